@@ -1,47 +1,594 @@
 // ============================================================
 // api.js — Unified API Adapter for LM Studio / AnythingLLM
-// Talks to any OpenAI-compatible /v1/chat/completions endpoint
+// Talks to any OpenAI-compatible /v1/chat/completions endpoint,
+// plus native adapters for providers with their own schema
 // ============================================================
 
 const API = (() => {
+  const ANTHROPIC_VERSION = '2023-06-01';
+  const MAX_TOOL_ROUNDS = 5;
+  const MAX_RETRY_DELAY = 30000;
+  const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
   // --------------- Helpers ---------------
+  // Stored settings with the active connection profile's fields applied
   function getSettings() {
+    let s;
     try {
-      return JSON.parse(localStorage.getItem('chatapp_settings')) || {};
+      s = JSON.parse(localStorage.getItem('chatapp_settings')) || {};
     } catch {
       return {};
     }
+    const profile = (s.profiles || []).find(p => p.id === s.activeProfileId);
+    if (!profile) return s;
+    const { id, name, ...fields } = profile;
+    return { ...s, ...fields, profileId: id, profileName: name };
+  }
+
+  function normalizeEndpoint(url, provider) {
+    const base = url.replace(/\/+$/, '');
+    // Ollama's native routes live at the server root, not under /v1 or /api
+    return provider === 'ollama' ? base.replace(/\/(v1|api)$/, '') : base;
+  }
+
+  // Best guess for fallback endpoints that don't name their provider
+  function detectProvider(url) {
+    if (/anthropic\.com/i.test(url)) return 'anthropic';
+    if (/:11434(\/|$)/.test(url)) return 'ollama';
+    return 'custom';
   }
 
   function getEndpoint() {
     const s = getSettings();
-    if (s.apiEndpoint) return s.apiEndpoint.replace(/\/+$/, '');
+    if (s.apiEndpoint) return normalizeEndpoint(s.apiEndpoint, s.provider);
     
     // Auto-endpoints based on provider
     switch (s.provider) {
       case 'openai': return 'https://api.openai.com/v1';
-      case 'anthropic': return 'https://api.anthropic.com/v1'; // Note: Anthropic uses a different schema, but we'll assume OpenAI shim or standard endpoint
+      case 'anthropic': return 'https://api.anthropic.com/v1';
       case 'gemini': return 'https://generativelanguage.googleapis.com/v1beta/openai'; 
       case 'groq': return 'https://api.groq.com/openai/v1';
       case 'anythingllm': return 'http://localhost:3001/api/v1';
       case 'lmstudio': return 'http://localhost:1234/v1';
+      case 'ollama': return 'http://localhost:11434';
       default: return 'http://localhost:1234/v1';
     }
   }
 
   function getHeaders() {
-    const s = getSettings();
-    const headers = { 'Content-Type': 'application/json' };
-    if (s.apiKey) {
-      headers['Authorization'] = `Bearer ${s.apiKey}`;
+    return getAdapter().headers(getSettings());
+  }
+
+  // --------------- Provider Adapters ---------------
+  // Every adapter accepts the OpenAI-style `messages` array that Chat builds
+  // and reports streamed text through the same onToken/onDone callbacks.
+  const openaiAdapter = {
+    headers(s) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (s.apiKey) {
+        headers['Authorization'] = `Bearer ${s.apiKey}`;
+      }
+      return headers;
+    },
+
+    modelsPath: '/models',
+
+    parseModels(data) {
+      // OpenAI-compatible: data.data is array of {id, ...}
+      return (data.data || []).map(m => ({
+        id: m.id,
+        name: m.id,
+        owned_by: m.owned_by || 'local',
+      }));
+    },
+
+    chatPath: '/chat/completions',
+
+    supportsTools: true,
+
+    buildBody(messages, options, settings, model, stream) {
+      const body = {
+        model: model,
+        messages: messages,
+        stream: stream,
+        temperature: options.temperature ?? settings.temperature ?? 0.7,
+        top_p: options.topP ?? settings.topP ?? 0.9,
+        max_tokens: options.maxTokens ?? settings.maxTokens ?? 4096,
+      };
+      if (stream) {
+        // Ask for a final chunk carrying the real token usage
+        body.stream_options = { include_usage: true };
+      }
+      if (options.responseFormat) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: options.responseFormat.name || 'response', schema: options.responseFormat.schema },
+        };
+      }
+      return body;
+    },
+
+    // Returns { tokens, toolCalls, usage, finishReason, done } for one parsed `data:`
+    // payload. The usage chunk follows finish_reason, so the stream is read until [DONE].
+    parseStreamChunk(parsed) {
+      const tokens = [];
+      const delta = parsed.choices?.[0]?.delta;
+      if (delta?.content) {
+        tokens.push(delta.content);
+      }
+      const toolCalls = (delta?.tool_calls || []).map(tc => ({
+        index: tc.index,
+        id: tc.id,
+        name: tc.function?.name,
+        arguments: tc.function?.arguments,
+      }));
+      return { tokens, toolCalls, usage: parsed.usage, finishReason: parsed.choices?.[0]?.finish_reason || undefined, done: false };
+    },
+
+    toolCallMessage(content, calls) {
+      return {
+        role: 'assistant',
+        content: content || null,
+        tool_calls: calls.map(c => ({
+          id: c.id,
+          type: 'function',
+          function: { name: c.name, arguments: c.arguments || '{}' },
+        })),
+      };
+    },
+
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    embedPath: '/embeddings',
+
+    parseEmbeddings(data) {
+      return (data.data || [])
+        .slice()
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    },
+  };
+
+  // Ollama native API (/api/chat streams newline-delimited JSON, not SSE)
+  const ollamaAdapter = {
+    headers(s) {
+      const headers = { 'Content-Type': 'application/json' };
+      // Only needed when Ollama sits behind an authenticating proxy
+      if (s.apiKey) {
+        headers['Authorization'] = `Bearer ${s.apiKey}`;
+      }
+      return headers;
+    },
+
+    modelsPath: '/api/tags',
+
+    parseModels(data) {
+      return (data.models || []).map(m => ({
+        id: m.model || m.name,
+        name: m.name,
+        owned_by: 'ollama',
+      }));
+    },
+
+    chatPath: '/api/chat',
+
+    streamFormat: 'ndjson',
+
+    supportsTools: true,
+
+    buildBody(messages, options, settings, model, stream) {
+      const body = {
+        model: model,
+        messages: messages.map(toOllamaMessage),
+        stream: stream,
+        options: {
+          temperature: options.temperature ?? settings.temperature ?? 0.7,
+          top_p: options.topP ?? settings.topP ?? 0.9,
+          num_predict: options.maxTokens ?? settings.maxTokens ?? 4096,
+        },
+      };
+      // Ollama constrains decoding to a JSON Schema passed as `format`
+      if (options.responseFormat) body.format = options.responseFormat.schema;
+      return body;
+    },
+
+    parseStreamChunk(parsed, state) {
+      if (parsed.error) {
+        throw new Error(`API error: ${parsed.error}`);
+      }
+      const tokens = [];
+      const msg = parsed.message || {};
+      // Reasoning models report thinking separately when `think` is enabled
+      if (msg.thinking) {
+        if (!state.inThinking) {
+          state.inThinking = true;
+          tokens.push('<think>');
+        }
+        tokens.push(msg.thinking);
+      }
+      if (msg.content) {
+        if (state.inThinking) {
+          state.inThinking = false;
+          tokens.push('</think>\n\n');
+        }
+        tokens.push(msg.content);
+      }
+      // Ollama sends each tool call whole, with arguments as an object
+      const toolCalls = (msg.tool_calls || []).map(tc => ({
+        name: tc.function?.name,
+        arguments: JSON.stringify(tc.function?.arguments || {}),
+      }));
+      // The final chunk reports evaluated prompt and output token counts
+      const usage = parsed.done ? {
+        prompt_tokens: parsed.prompt_eval_count,
+        completion_tokens: parsed.eval_count,
+      } : undefined;
+      const finishReason = parsed.done ? parsed.done_reason || 'stop' : undefined;
+      return { tokens, toolCalls, usage, finishReason, done: !!parsed.done };
+    },
+
+    toolCallMessage(content, calls) {
+      return {
+        role: 'assistant',
+        content: content || '',
+        tool_calls: calls.map(c => ({
+          function: { name: c.name, arguments: JSON.parse(c.arguments || '{}') },
+        })),
+      };
+    },
+
+    parseResponse(data) {
+      return data.message?.content || '';
+    },
+
+    embedPath: '/api/embed',
+
+    parseEmbeddings(data) {
+      return data.embeddings || [];
+    },
+  };
+
+  // Anthropic Messages API (https://docs.anthropic.com/en/api/messages)
+  const anthropicAdapter = {
+    headers(s) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for calls made directly from a browser page
+        'anthropic-dangerous-direct-browser-access': 'true',
+      };
+      if (s.apiKey) {
+        headers['x-api-key'] = s.apiKey;
+      }
+      return headers;
+    },
+
+    modelsPath: '/models',
+
+    parseModels(data) {
+      return (data.data || []).map(m => ({
+        id: m.id,
+        name: m.display_name || m.id,
+        owned_by: 'anthropic',
+      }));
+    },
+
+    chatPath: '/messages',
+
+    buildBody(messages, options, settings, model, stream) {
+      const { system, messages: converted } = toAnthropicMessages(messages);
+      const body = {
+        model: model,
+        messages: converted,
+        stream: stream,
+        max_tokens: options.maxTokens ?? settings.maxTokens ?? 4096,
+        // Anthropic caps temperature at 1 and rejects temperature + top_p
+        // together on newer models, so only temperature is forwarded.
+        temperature: Math.min(options.temperature ?? settings.temperature ?? 0.7, 1),
+      };
+      // No schema-constrained decoding here, so the schema goes in the prompt
+      const parts = [system, options.responseFormat && schemaInstruction(options.responseFormat)].filter(Boolean);
+      if (parts.length > 0) body.system = parts.join('\n\n');
+      return body;
+    },
+
+    parseStreamChunk(parsed, state) {
+      const tokens = [];
+      switch (parsed.type) {
+        case 'message_start':
+          return { tokens, usage: toUsage(parsed.message?.usage), done: false };
+        case 'message_delta':
+          return { tokens, usage: toUsage(parsed.usage), finishReason: toFinishReason(parsed.delta?.stop_reason), done: false };
+        case 'content_block_start':
+          // Surface extended thinking the same way local reasoning models do
+          if (parsed.content_block?.type === 'thinking') {
+            state.inThinking = true;
+            tokens.push('<think>');
+          }
+          break;
+        case 'content_block_delta':
+          if (parsed.delta?.type === 'text_delta' && parsed.delta.text) {
+            tokens.push(parsed.delta.text);
+          } else if (parsed.delta?.type === 'thinking_delta' && parsed.delta.thinking) {
+            tokens.push(parsed.delta.thinking);
+          }
+          break;
+        case 'content_block_stop':
+          if (state.inThinking) {
+            state.inThinking = false;
+            tokens.push('</think>\n\n');
+          }
+          break;
+        case 'message_stop':
+          return { tokens, done: true };
+        case 'error':
+          throw new Error(`API error: ${parsed.error?.message || 'Unknown stream error'}`);
+        // ping carries nothing
+      }
+      return { tokens, done: false };
+    },
+
+    parseResponse(data) {
+      return (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+  };
+
+  // Ollama takes plain-text content plus a list of raw base64 images
+  function toOllamaMessage(m) {
+    if (!Array.isArray(m.content)) return m;
+    const text = m.content.filter(p => p.type === 'text').map(p => p.text).join('\n\n');
+    const images = m.content
+      .filter(p => p.type === 'image_url')
+      .map(p => parseDataUrl(p.image_url.url)?.data)
+      .filter(Boolean);
+    return { ...m, content: text, images };
+  }
+
+  function parseDataUrl(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(url || '');
+    return match ? { mediaType: match[1], data: match[2] } : null;
+  }
+
+  // OpenAI content parts → Anthropic content blocks
+  function toAnthropicContent(content) {
+    if (!Array.isArray(content)) return [{ type: 'text', text: content || '' }];
+    return content.map(part => {
+      // Blocks that are already in Anthropic's format pass through
+      if (part.type !== 'image_url') return part;
+      const parsed = parseDataUrl(part.image_url.url);
+      return parsed
+        ? { type: 'image', source: { type: 'base64', media_type: parsed.mediaType, data: parsed.data } }
+        : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+    });
+  }
+
+  function hasContent(content) {
+    if (Array.isArray(content)) return content.some(b => b.type !== 'text' || (b.text && b.text.trim()));
+    return !!(content && content.trim());
+  }
+
+  // Anthropic stop reasons in OpenAI's finish_reason vocabulary
+  function toFinishReason(stopReason) {
+    if (!stopReason) return undefined;
+    return { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' }[stopReason] || stopReason;
+  }
+
+  function toUsage(usage) {
+    if (!usage) return undefined;
+    return {
+      prompt_tokens: usage.input_tokens,
+      completion_tokens: usage.output_tokens,
+    };
+  }
+
+  function schemaInstruction(format) {
+    return 'Respond with a single JSON document that validates against this JSON Schema. '
+      + 'Output only the JSON, with no prose or code fences.\n\n'
+      + JSON.stringify(format.schema, null, 2);
+  }
+
+  // Anthropic wants the system prompt as a top-level field and strictly
+  // alternating user/assistant turns, so merge consecutive same-role turns.
+  function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    messages.forEach(m => {
+      if (m.role === 'system') {
+        if (m.content) systemParts.push(m.content);
+        return;
+      }
+      const role = m.role === 'assistant' ? 'assistant' : 'user';
+      const last = converted[converted.length - 1];
+      if (last && last.role === role) {
+        // Merging a multimodal turn switches both to content blocks
+        if (Array.isArray(last.content) || Array.isArray(m.content)) {
+          last.content = [...toAnthropicContent(last.content), ...toAnthropicContent(m.content)];
+        } else {
+          last.content += '\n\n' + m.content;
+        }
+      } else {
+        converted.push({ role, content: Array.isArray(m.content) ? toAnthropicContent(m.content) : m.content });
+      }
+    });
+
+    // Drop empty placeholder turns; the API rejects empty content
+    const filtered = converted.filter(m => hasContent(m.content));
+    return { system: systemParts.join('\n\n'), messages: filtered };
+  }
+
+  const adapters = {
+    anthropic: anthropicAdapter,
+    ollama: ollamaAdapter,
+  };
+
+  function getAdapter(provider = getSettings().provider) {
+    return adapters[provider] || openaiAdapter;
+  }
+
+  // --------------- Debug Log ---------------
+  // Every HTTP exchange is reported to debug listeners (the inspector panel)
+  // as events tagged with a request id. Keys are redacted before they leave.
+  const debugListeners = new Set();
+  const requestIds = new WeakMap();
+  let nextRequestId = 1;
+
+  function onDebug(listener) {
+    debugListeners.add(listener);
+    return () => debugListeners.delete(listener);
+  }
+
+  function emitDebug(event) {
+    debugListeners.forEach(listener => {
+      try {
+        listener({ time: Date.now(), ...event });
+      } catch (err) {
+        console.error('Debug listener failed:', err);
+      }
+    });
+  }
+
+  function redactHeaders(headers) {
+    const out = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      const lower = name.toLowerCase();
+      if (lower === 'authorization') out[name] = 'Bearer $API_KEY';
+      else if (lower === 'x-api-key') out[name] = '$API_KEY';
+      else out[name] = value;
+    });
+    return out;
+  }
+
+  // fetch() that reports the request, its response or its network error
+  async function tracedFetch(url, init) {
+    const id = nextRequestId++;
+    if (debugListeners.size > 0) {
+      emitDebug({ type: 'request', id, url, method: init.method, headers: redactHeaders(init.headers), body: init.body || '' });
+    }
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      emitDebug({ type: 'error', id, error: err.name === 'AbortError' ? 'Aborted' : err.message });
+      throw err;
+    }
+    requestIds.set(res, id);
+    if (debugListeners.size > 0) {
+      const headers = {};
+      res.headers?.forEach?.((value, name) => { headers[name] = value; });
+      emitDebug({ type: 'response', id, status: res.status, statusText: res.statusText, headers });
+    }
+    return res;
+  }
+
+  // Non-streamed bodies are logged as a single chunk
+  function traceBody(res, data) {
+    const id = requestIds.get(res);
+    emitDebug({ type: 'chunk', id, data: JSON.stringify(data) });
+    emitDebug({ type: 'end', id, usage: data?.usage });
+  }
+
+  // --------------- Retry & Failover ---------------
+  // A target is one endpoint/model pair to try: the primary from settings,
+  // then each configured fallback in order.
+  function getTargets(settings, model) {
+    const primary = {
+      endpoint: getEndpoint(),
+      model: model,
+      provider: settings.provider,
+      apiKey: settings.apiKey || '',
+      fallback: false,
+    };
+    const fallbacks = (settings.fallbacks || [])
+      .filter(f => f.endpoint && f.model)
+      .map(f => {
+        const provider = f.provider || detectProvider(f.endpoint);
+        return {
+          endpoint: normalizeEndpoint(f.endpoint, provider),
+          model: f.model,
+          provider: provider,
+          apiKey: f.apiKey || '',
+          fallback: true,
+        };
+      });
+    return [primary, ...fallbacks];
+  }
+
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  // Honour Retry-After (seconds or HTTP date), else exponential backoff with jitter
+  function getRetryDelay(attempt, res, baseDelay) {
+    const header = res?.headers?.get('Retry-After');
+    if (header) {
+      const seconds = Number(header);
+      const ms = isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, MAX_RETRY_DELAY);
     }
-    return headers;
+    return Math.min(baseDelay * 2 ** attempt + Math.random() * 250, MAX_RETRY_DELAY);
+  }
+
+  // POSTs to each target in turn, retrying transient failures (429/5xx,
+  // network errors) before failing over. Other HTTP errors are thrown as-is.
+  // Resolves { res, target } for the first target that answered.
+  async function postWithFailover(targets, buildBody, settings, signal, onRetry) {
+    const retries = settings.retryCount ?? 2;
+    const baseDelay = settings.retryDelay ?? 1000;
+    let lastError = null;
+
+    for (const target of targets) {
+      const adapter = getAdapter(target.provider);
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        let res = null;
+        try {
+          res = await tracedFetch(`${target.endpoint}${adapter.chatPath}`, {
+            method: 'POST',
+            headers: adapter.headers({ ...settings, apiKey: target.apiKey }),
+            body: JSON.stringify(buildBody(target, adapter)),
+            signal: signal,
+          });
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          lastError = new Error(`Could not reach ${target.endpoint}: ${err.message}`);
+        }
+
+        if (res) {
+          if (res.ok) return { res, target };
+          const errText = await res.text().catch(() => '');
+          lastError = new Error(`API error ${res.status}: ${errText || res.statusText}`);
+          lastError.status = res.status;
+          emitDebug({ type: 'error', id: requestIds.get(res), error: lastError.message });
+          if (!RETRYABLE_STATUS.includes(res.status)) throw lastError;
+        }
+
+        if (attempt < retries) {
+          const delay = getRetryDelay(attempt, res, baseDelay);
+          if (onRetry) onRetry({ attempt: attempt + 1, retries, delay, target, error: lastError });
+          await sleep(delay, signal);
+        }
+      }
+    }
+    throw lastError;
   }
 
   // --------------- Fetch Models ---------------
   async function fetchModels() {
     const endpoint = getEndpoint();
-    const res = await fetch(`${endpoint}/models`, {
+    const adapter = getAdapter();
+    const res = await tracedFetch(`${endpoint}${adapter.modelsPath}`, {
       method: 'GET',
       headers: getHeaders(),
     });
@@ -51,18 +598,176 @@ const API = (() => {
     }
 
     const data = await res.json();
-    // OpenAI-compatible: data.data is array of {id, ...}
-    return (data.data || []).map(m => ({
-      id: m.id,
-      name: m.id,
-      owned_by: m.owned_by || 'local',
+    traceBody(res, data);
+    return adapter.parseModels(data);
+  }
+
+  // --------------- Tool Calling ---------------
+  // Tools come from the Tools registry: { name, description, parameters, handler }
+  function toToolDefinitions(tools) {
+    return tools.map(t => ({
+      type: 'function',
+      function: {
+        name: t.name,
+        description: t.description || '',
+        parameters: t.parameters || { type: 'object', properties: {} },
+      },
     }));
   }
 
+  // Streamed tool calls arrive as fragments keyed by index; stitch them together
+  function mergeToolCallDeltas(calls, deltas) {
+    deltas.forEach(d => {
+      const idx = d.index ?? calls.length;
+      if (!calls[idx]) {
+        calls[idx] = { id: '', name: '', arguments: '' };
+      }
+      const call = calls[idx];
+      if (d.id) call.id = d.id;
+      if (d.name) call.name += d.name;
+      if (d.arguments) call.arguments += d.arguments;
+    });
+  }
+
+  async function runToolCall(tools, call) {
+    const tool = tools.find(t => t.name === call.name);
+    if (!tool) return `Error: Unknown tool "${call.name}".`;
+
+    let args = {};
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch {
+      return `Error: Arguments for "${call.name}" are not valid JSON.`;
+    }
+
+    try {
+      const result = await tool.handler(args);
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (err) {
+      return `Error: ${err.message}`;
+    }
+  }
+
+  // --------------- Usage ---------------
+  // Within one stream the latest report wins: Anthropic sends input tokens with
+  // message_start and running totals with each message_delta
+  function updateUsage(target, usage) {
+    if (!usage) return target;
+    ['prompt_tokens', 'completion_tokens'].forEach(key => {
+      if (typeof usage[key] === 'number') target[key] = usage[key];
+    });
+    target.total_tokens = (target.prompt_tokens || 0) + (target.completion_tokens || 0);
+    return target;
+  }
+
+  // Tool rounds are separate requests, so their usage adds up
+  function mergeUsage(target, usage) {
+    if (!usage) return target;
+    ['prompt_tokens', 'completion_tokens'].forEach(key => {
+      if (typeof usage[key] === 'number') target[key] = (target[key] || 0) + usage[key];
+    });
+    target.total_tokens = (target.prompt_tokens || 0) + (target.completion_tokens || 0);
+    return target;
+  }
+
+  // --------------- Stream Reader ---------------
+  // Reads one streamed response to the end. Resolves with any tool calls
+  // the model made so the caller can decide whether another round is needed.
+  async function readStream(res, adapter, onToken) {
+    const id = requestIds.get(res);
+    let firstToken = false;
+    const emitToken = (token) => {
+      if (!firstToken) {
+        firstToken = true;
+        emitDebug({ type: 'first-token', id });
+      }
+      onToken(token);
+    };
+    try {
+      const result = await readStreamChunks(res, adapter, emitToken, id);
+      emitDebug({ type: 'end', id, usage: result.usage });
+      return result;
+    } catch (err) {
+      emitDebug({ type: 'error', id, error: err.name === 'AbortError' ? 'Aborted' : err.message });
+      throw err;
+    }
+  }
+
+  async function readStreamChunks(res, adapter, onToken, id) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const streamState = {};
+    const toolCalls = [];
+    let usage = null;
+    let finishReason = null;
+    let buffer = '';
+
+    while (true) {
+      let read;
+      try {
+        read = await reader.read();
+      } catch (err) {
+        // Flag network drops so they can be told apart from errors the server reported
+        if (err.name !== 'AbortError') err.dropped = true;
+        throw err;
+      }
+      const { done, value } = read;
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        emitDebug({ type: 'chunk', id, data: trimmed });
+
+        let dataStr = trimmed;
+        if (adapter.streamFormat !== 'ndjson') {
+          if (!trimmed.startsWith('data:')) continue;
+          dataStr = trimmed.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            return { toolCalls, usage, finishReason };
+          }
+        }
+
+        let parsed;
+        try {
+          parsed = JSON.parse(dataStr);
+        } catch (err) {
+          // Skip malformed JSON lines, but let the inspector show them
+          emitDebug({ type: 'parse-error', id, data: dataStr, error: err.message });
+          continue;
+        }
+
+        const chunk = adapter.parseStreamChunk(parsed, streamState);
+        chunk.tokens.forEach(onToken);
+        if (chunk.toolCalls) {
+          mergeToolCallDeltas(toolCalls, chunk.toolCalls);
+        }
+        if (chunk.usage) {
+          usage = updateUsage(usage || {}, chunk.usage);
+        }
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (chunk.done) {
+          return { toolCalls, usage, finishReason };
+        }
+      }
+    }
+    return { toolCalls, usage, finishReason };
+  }
+
   // --------------- Send Message (Streaming) ---------------
+  // options.tools enables the tool loop; options.onToolCall(call) and
+  // options.onToolResult(call, result) report progress to the UI, and
+  // options.onRetry({ attempt, retries, delay, target, error }) reports backoff.
+  // options.responseFormat ({ name, schema }) asks for JSON matching a schema.
+  // onDone receives { usage, endpoint, model, fallback } for the target that answered,
+  // plus { provider, profile, params, finishReason, timing: { firstTokenMs, durationMs } }.
+  // The abort controller is returned right away so retries can be cancelled too.
   async function sendMessageStream(messages, options = {}, onToken, onDone, onError) {
     const settings = getSettings();
-    const endpoint = getEndpoint();
     const model = options.model || settings.model || '';
 
     if (!model) {
@@ -70,119 +775,195 @@ const API = (() => {
       return null;
     }
 
-    const body = {
-      model: model,
-      messages: messages,
-      stream: true,
-      temperature: options.temperature ?? settings.temperature ?? 0.7,
-      top_p: options.topP ?? settings.topP ?? 0.9,
-      max_tokens: options.maxTokens ?? settings.maxTokens ?? 4096,
-    };
-
+    const conversation = [...messages];
     const abortController = new AbortController();
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+    let targets = getTargets(settings, model);
+    let answered = null;
+    let tools = [];
+    let toolsRejected = false;
 
-    try {
-      const res = await fetch(`${endpoint}/chat/completions`, {
-        method: 'POST',
-        headers: getHeaders(),
-        body: JSON.stringify(body),
-        signal: abortController.signal,
-      });
-
-      if (!res.ok) {
-        const errText = await res.text().catch(() => '');
-        throw new Error(`API error ${res.status}: ${errText || res.statusText}`);
-      }
-
-      const reader = res.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      const read = async () => {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || !trimmed.startsWith('data:')) continue;
-
-            const dataStr = trimmed.slice(5).trim();
-            if (dataStr === '[DONE]') {
-              onDone();
-              return;
-            }
-
-            try {
-              const parsed = JSON.parse(dataStr);
-              const delta = parsed.choices?.[0]?.delta;
-              if (delta?.content) {
-                onToken(delta.content);
-              }
-              // Check finish reason
-              if (parsed.choices?.[0]?.finish_reason) {
-                onDone();
-                return;
-              }
-            } catch {
-              // Skip malformed JSON lines
-            }
+    const openStream = async (offerTools) => {
+      let sentTools = false;
+      let opened;
+      try {
+        opened = await postWithFailover(targets, (t, adapter) => {
+          const body = adapter.buildBody(conversation, options, settings, t.model, true);
+          const available = adapter.supportsTools && !toolsRejected ? (options.tools || []) : [];
+          if (offerTools && available.length > 0) {
+            body.tools = toToolDefinitions(available);
+            sentTools = true;
           }
+          return body;
+        }, settings, abortController.signal, options.onRetry);
+      } catch (err) {
+        // Models without tool support answer 400 ("does not support tools");
+        // ask once more without them so plain chat keeps working
+        if (err.status !== 400 || !sentTools) throw err;
+        toolsRejected = true;
+        return openStream(false);
+      }
+      const { res, target } = opened;
+
+      // Later tool rounds stay on the endpoint that answered first
+      if (!answered) {
+        answered = target;
+        targets = [target];
+        const adapter = getAdapter(target.provider);
+        tools = adapter.supportsTools && !toolsRejected ? (options.tools || []) : [];
+      }
+      return res;
+    };
+
+    // A stream that drops before its first token is requested again; once
+    // text has reached the UI it cannot be taken back, so later drops are final
+    const readWithRetry = async (res, adapter, offerTools) => {
+      const retries = settings.retryCount ?? 2;
+      let content = '';
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await readStream(res, adapter, (token) => {
+            if (firstTokenAt === null) firstTokenAt = Date.now();
+            content += token;
+            onToken(token);
+          });
+          return { ...result, content };
+        } catch (err) {
+          if (!err.dropped) throw err;
+          if (content) throw new Error(`Connection lost mid-reply: ${err.message}`);
+          if (attempt >= retries) throw new Error(`Connection lost before the reply started: ${err.message}`);
+          const delay = getRetryDelay(attempt, null, settings.retryDelay ?? 1000);
+          const error = new Error(`Connection lost: ${err.message}`);
+          if (options.onRetry) options.onRetry({ attempt: attempt + 1, retries, delay, target: answered, error });
+          await sleep(delay, abortController.signal);
+          res = await openStream(offerTools);
         }
-        onDone();
-      };
+      }
+    };
+
+    // Keep re-sending with tool results until the model answers in plain text
+    const run = async () => {
+      let offerTools = true;
+      let res = await openStream(offerTools);
+      const adapter = getAdapter(answered.provider);
+      let usage = null;
+      let finishReason = null;
+
+      for (let round = 1; ; round++) {
+        const result = await readWithRetry(res, adapter, offerTools);
+        const content = result.content;
+        if (result.usage) usage = mergeUsage(usage || {}, result.usage);
+        finishReason = result.finishReason;
+
+        const toolCalls = result.toolCalls;
+        const calls = toolCalls.filter(c => c && c.name);
+        // Past the last round tools are no longer offered; calls made anyway are not run
+        if (calls.length === 0 || round > MAX_TOOL_ROUNDS) break;
 
-      read().catch(err => {
-        if (err.name !== 'AbortError') {
-          onError(err);
+        calls.forEach((call, i) => {
+          if (!call.id) call.id = `call_${round}_${i}`;
+        });
+        conversation.push(adapter.toolCallMessage(content, calls));
+
+        for (const call of calls) {
+          if (options.onToolCall) options.onToolCall(call);
+          const result = await runToolCall(tools, call);
+          if (options.onToolResult) options.onToolResult(call, result);
+          conversation.push({ role: 'tool', tool_call_id: call.id, name: call.name, content: result });
         }
+
+        // Withhold tools on the last round so the model has to answer
+        offerTools = round < MAX_TOOL_ROUNDS;
+        res = await openStream(offerTools);
+      }
+      onDone({
+        usage,
+        endpoint: answered.endpoint,
+        model: answered.model,
+        fallback: answered.fallback,
+        provider: answered.provider || 'custom',
+        profile: answered.fallback ? '' : settings.profileName || '',
+        // The values asked for; adapters may clamp or drop some (see anthropicAdapter)
+        params: {
+          temperature: options.temperature ?? settings.temperature ?? 0.7,
+          top_p: options.topP ?? settings.topP ?? 0.9,
+          max_tokens: options.maxTokens ?? settings.maxTokens ?? 4096,
+        },
+        finishReason,
+        timing: {
+          firstTokenMs: firstTokenAt === null ? null : firstTokenAt - startedAt,
+          durationMs: Date.now() - startedAt,
+        },
       });
+    };
 
-      return abortController;
-    } catch (err) {
+    run().catch(err => {
       if (err.name !== 'AbortError') {
         onError(err);
       }
-      return null;
-    }
+    });
+
+    return abortController;
   }
 
   // --------------- Send Message (Non-streaming) ---------------
   async function sendMessage(messages, options = {}) {
     const settings = getSettings();
-    const endpoint = getEndpoint();
     const model = options.model || settings.model || '';
 
     if (!model) {
       throw new Error('No model selected.');
     }
 
-    const body = {
-      model: model,
-      messages: messages,
-      stream: false,
-      temperature: options.temperature ?? settings.temperature ?? 0.7,
-      top_p: options.topP ?? settings.topP ?? 0.9,
-      max_tokens: options.maxTokens ?? settings.maxTokens ?? 4096,
-    };
+    const { res, target } = await postWithFailover(
+      getTargets(settings, model),
+      (t, adapter) => adapter.buildBody(messages, options, settings, t.model, false),
+      settings,
+      options.signal,
+      options.onRetry,
+    );
 
-    const res = await fetch(`${endpoint}/chat/completions`, {
+    const data = await res.json();
+    traceBody(res, data);
+    return getAdapter(target.provider).parseResponse(data);
+  }
+
+  // --------------- Embeddings ---------------
+  // Returns one vector per input text, in order. Uses the primary endpoint
+  // only: fallbacks are chat models and would produce incompatible vectors.
+  async function embed(texts, options = {}) {
+    const settings = getSettings();
+    const model = options.model || settings.embeddingModel || '';
+    const adapter = getAdapter();
+
+    if (!model) {
+      throw new Error('No embedding model selected.');
+    }
+    if (!adapter.embedPath) {
+      throw new Error('This provider has no embeddings endpoint.');
+    }
+
+    const res = await tracedFetch(`${getEndpoint()}${adapter.embedPath}`, {
       method: 'POST',
       headers: getHeaders(),
-      body: JSON.stringify(body),
+      body: JSON.stringify({ model: model, input: texts }),
+      signal: options.signal,
     });
 
     if (!res.ok) {
       const errText = await res.text().catch(() => '');
-      throw new Error(`API error ${res.status}: ${errText || res.statusText}`);
+      throw new Error(`Embeddings error ${res.status}: ${errText || res.statusText}`);
     }
 
     const data = await res.json();
-    return data.choices?.[0]?.message?.content || '';
+    // The vectors themselves are too bulky for the inspector log
+    traceBody(res, { ...data, data: undefined, embeddings: undefined, count: texts.length });
+    const vectors = adapter.parseEmbeddings(data);
+    if (vectors.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings, got ${vectors.length}.`);
+    }
+    return vectors;
   }
 
   // --------------- Health Check ---------------
@@ -200,7 +981,9 @@ const API = (() => {
     fetchModels,
     sendMessageStream,
     sendMessage,
+    embed,
     checkConnection,
     getSettings,
+    onDebug,
   };
 })();
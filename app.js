@@ -12,7 +12,8 @@ const AppState = {
     features: {
         research: false,
         web: false,
-        multiModel: false
+        multiModel: false,
+        arena: false
     }
 };
 
@@ -52,8 +53,14 @@ const Toast = (() => {
 const App = (() => {
 
     // ---- Initialize everything ----
-    function init() {
+    async function init() {
         Settings.init();
+        Inspector.init();
+        Arena.init();
+        Exporter.init();
+        Importer.init();
+        await Conversations.init();
+        Search.init();
 
         // Ensure at least one conversation exists
         if (Conversations.loadAll().length === 0) {
@@ -114,11 +121,20 @@ const App = (() => {
             if (window.innerWidth <= 640) toggleSidebar(false);
         });
 
+        // New Folder (chats are filed into it by drag and drop or 📁)
+        document.getElementById('btn-new-folder').addEventListener('click', () => {
+            const path = Conversations.parseFolderPath(prompt('New folder (use / for subfolders):'));
+            if (path.length === 0) return;
+            Conversations.createFolder(path);
+            renderSidebar();
+        });
+
         // Feature Toggles (Toolbar)
         const toolbarButtons = [
             { id: 'btn-toggle-research', key: 'research' },
             { id: 'btn-toggle-web', key: 'web' },
-            { id: 'btn-toggle-multi', key: 'multiModel' }
+            { id: 'btn-toggle-multi', key: 'multiModel' },
+            { id: 'btn-toggle-arena', key: 'arena' }
         ];
 
         toolbarButtons.forEach(feature => {
@@ -134,17 +150,18 @@ const App = (() => {
                             inlineSelect.style.display = AppState.features[feature.key] ? 'block' : 'none';
                         }
                     }
+
+                    if (feature.key === 'arena') {
+                        document.getElementById('arena-picker')?.classList.toggle('hidden', !AppState.features.arena);
+                    }
                 });
             }
         });
 
-        // Export current conversation
+        // Export current conversation (format and options are picked in the dialog)
         document.getElementById('btn-export').addEventListener('click', () => {
             const activeId = Conversations.getActiveId();
-            if (activeId) {
-                Conversations.exportOne(activeId);
-                Toast.show('Conversation exported', 'success');
-            }
+            if (activeId) Exporter.open(activeId);
         });
 
         // Import
@@ -158,17 +175,35 @@ const App = (() => {
         });
 
         document.getElementById('file-attach')?.addEventListener('change', async (e) => {
-            for (const file of e.target.files) {
-                try {
-                    const text = await file.text();
-                    Chat.addAttachment(file, text);
-                } catch (err) {
-                    Toast.show(`Could not read ${file.name}`, 'error');
-                }
-            }
+            await attachFiles(e.target.files);
             e.target.value = '';
         });
 
+        // Paste images from the clipboard (plain text pastes as usual)
+        input.addEventListener('paste', (e) => {
+            const images = [...(e.clipboardData?.files || [])].filter(f => IMAGE_TYPES.includes(f.type));
+            if (images.length === 0) return;
+            e.preventDefault();
+            attachFiles(images);
+        });
+
+        // Drag & drop files onto the input area
+        const inputArea = document.getElementById('input-area');
+        inputArea.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            inputArea.classList.add('drag-over');
+        });
+        inputArea.addEventListener('dragleave', (e) => {
+            if (!inputArea.contains(e.relatedTarget)) inputArea.classList.remove('drag-over');
+        });
+        inputArea.addEventListener('drop', (e) => {
+            if (!e.dataTransfer?.files.length) return;
+            e.preventDefault();
+            inputArea.classList.remove('drag-over');
+            attachFiles(e.dataTransfer.files);
+        });
+
         // Voice Input (Speech Recognition)
         const btnMic = document.getElementById('btn-mic');
         if (btnMic) {
@@ -206,6 +241,16 @@ const App = (() => {
             }
         }
 
+        // Structured Output
+        document.getElementById('btn-structured')?.addEventListener('click', openSchemaEditor);
+        document.getElementById('btn-close-schema')?.addEventListener('click', closeSchemaEditor);
+        document.getElementById('schema-overlay')?.addEventListener('click', closeSchemaEditor);
+        document.getElementById('btn-schema-save')?.addEventListener('click', saveSchema);
+        document.getElementById('btn-schema-example')?.addEventListener('click', () => {
+            document.getElementById('schema-text').value = JSON.stringify(EXAMPLE_SCHEMA, null, 2);
+            document.getElementById('schema-name').value = 'answer';
+        });
+
         // Prompt Studio
         document.getElementById('btn-prompt-studio')?.addEventListener('click', openPromptStudio);
         document.getElementById('btn-close-prompt')?.addEventListener('click', () => {
@@ -238,27 +283,15 @@ const App = (() => {
             const file = e.target.files[0];
             if (!file) return;
             const reader = new FileReader();
-            reader.onload = () => {
-                const ok = Conversations.importFromJSON(reader.result);
-                if (ok) {
-                    Toast.show('Conversations imported successfully', 'success');
-                    renderSidebar();
-                    const all = Conversations.loadAll();
-                    if (all.length > 0) {
-                        switchConversation(all[0].id);
-                    }
-                } else {
-                    Toast.show('Invalid import file format', 'error');
-                }
-            };
+            // Importer checks the file and lets the user pick what to import
+            reader.onload = () => Importer.preview(reader.result);
             reader.readAsText(file);
             e.target.value = '';
         });
 
         // Export all (from settings)
         document.getElementById('btn-export-all').addEventListener('click', () => {
-            Conversations.exportAll();
-            Toast.show('All conversations exported', 'success');
+            Exporter.open(null);
         });
 
         // Export Knowledge & Codebase (ZIP)
@@ -280,6 +313,7 @@ const App = (() => {
         document.getElementById('btn-clear-all').addEventListener('click', () => {
             if (confirm('Are you sure? This will delete ALL conversations and settings.')) {
                 Conversations.clearAll();
+                Rag.clear();
                 localStorage.removeItem('chatapp_settings');
                 const conv = Conversations.create();
                 switchConversation(conv.id);
@@ -295,6 +329,58 @@ const App = (() => {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', handleShortcuts);
+
+        // Copying rendered math gives back its TeX source
+        document.addEventListener('copy', copyWithTexSource);
+    }
+
+    // ---- Attachments ----
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+    const MAX_IMAGE_DIMENSION = 1568;
+    const MAX_IMAGE_BYTES = 1024 * 1024;
+
+    async function attachFiles(files) {
+        for (const file of files) {
+            try {
+                if (IMAGE_TYPES.includes(file.type)) {
+                    const dataUrl = await readImageFile(file);
+                    Chat.addImageAttachment(file.name || 'pasted-image.png', dataUrl);
+                } else {
+                    const text = await file.text();
+                    Chat.addAttachment(file, text);
+                }
+            } catch (err) {
+                Toast.show(`Could not read ${file.name}`, 'error');
+            }
+        }
+    }
+
+    // Reads an image as a data URL, downscaling large ones so conversations
+    // stay within localStorage limits and vision-model input sizes
+    function readImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(reader.error);
+            reader.onload = () => {
+                const img = new Image();
+                img.onerror = () => reject(new Error('Unsupported image'));
+                img.onload = () => {
+                    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(img.width, img.height));
+                    if (scale === 1 && file.size <= MAX_IMAGE_BYTES) {
+                        resolve(reader.result);
+                        return;
+                    }
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(img.width * scale);
+                    canvas.height = Math.round(img.height * scale);
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+                    resolve(canvas.toDataURL(type, 0.85));
+                };
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
     }
 
     // ---- Keyboard Shortcuts ----
@@ -307,6 +393,13 @@ const App = (() => {
             Toast.show('New chat created', 'success');
         }
 
+        // Ctrl+K — Search conversations
+        if (e.ctrlKey && !e.shiftKey && e.key === 'k') {
+            e.preventDefault();
+            if (window.innerWidth <= 768 && !document.getElementById('sidebar').classList.contains('open')) toggleSidebar();
+            Search.focus();
+        }
+
         // Ctrl+Shift+S — Settings
         if (e.ctrlKey && e.shiftKey && e.key === 'S') {
             e.preventDefault();
@@ -317,19 +410,62 @@ const App = (() => {
             }
         }
 
+        // Ctrl+Shift+L — Request Inspector
+        if (e.ctrlKey && e.shiftKey && e.key === 'L') {
+            e.preventDefault();
+            Inspector.toggle();
+        }
+
         // Escape — Close panels
         if (e.key === 'Escape') {
             if (Settings.isOpen()) {
                 Settings.close();
             }
+            Inspector.close();
+            Exporter.close();
+            Importer.close();
             closeSidebar();
         }
     }
 
+    // ---- Copy Selection ----
+    // Rendered math is MathML, whose text is glyph soup; swap each formula
+    // in the selection for the TeX it came from before it hits the clipboard
+    function copyWithTexSource(e) {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return;
+        const range = selection.getRangeAt(0);
+
+        const container = range.commonAncestorContainer;
+        const enclosing = (container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement)?.closest('.math');
+        if (enclosing) {
+            e.clipboardData.setData('text/plain', enclosing.dataset.source);
+            e.preventDefault();
+            return;
+        }
+
+        const fragment = range.cloneContents();
+        const formulas = fragment.querySelectorAll('.math');
+        if (formulas.length === 0) return;
+        formulas.forEach(el => el.replaceWith(el.dataset.source));
+
+        // innerText needs a rendered node to keep line breaks between blocks
+        const holder = document.createElement('div');
+        holder.style.cssText = 'position:fixed; left:-9999px; top:0; white-space:normal;';
+        holder.appendChild(fragment);
+        document.body.appendChild(holder);
+        const text = holder.innerText;
+        holder.remove();
+
+        e.clipboardData.setData('text/plain', text);
+        e.preventDefault();
+    }
+
     // ---- Switch Conversation ----
-    function switchConversation(id) {
+    // `options` go on to Chat.renderMessages (e.g. a message to highlight)
+    function switchConversation(id, options = {}) {
         Conversations.setActiveId(id);
-        Chat.renderMessages(id);
+        Chat.renderMessages(id, options);
         renderSidebar();
         closeSidebar();
 
@@ -341,6 +477,7 @@ const App = (() => {
 
     // ---- Delete Conversation Handler ----
     function onDeleteConversation(deletedId) {
+        Rag.removeConversation(deletedId);
         const all = Conversations.loadAll();
         if (all.length > 0) {
             switchConversation(all[0].id);
@@ -410,7 +547,7 @@ const App = (() => {
             Toast.show('Generating ZIP package...', 'info');
 
             // Files to include
-            const files = ['index.html', 'index.css', 'app.js', 'chat.js', 'api.js', 'conversations.js', 'settings.js'];
+            const files = ['index.html', 'index.css', 'app.js', 'chat.js', 'api.js', 'tools.js', 'tokenizer.js', 'schema.js', 'inspector.js', 'rag.js', 'markdown.js', 'syntax.js', 'latex.js', 'diagram.js', 'virtuallist.js', 'store.js', 'conversations.js', 'search.js', 'exporter.js', 'importer.js', 'arena.js', 'settings.js'];
             
             for (const filename of files) {
                 try {
@@ -452,7 +589,7 @@ const App = (() => {
             rawContent += "Description: This file contains all source code and chat history for the AI Chatbot project.\n";
             rawContent += "=".repeat(80) + "\n\n";
 
-            const files = ['index.html', 'index.css', 'app.js', 'chat.js', 'api.js', 'conversations.js', 'settings.js'];
+            const files = ['index.html', 'index.css', 'app.js', 'chat.js', 'api.js', 'tools.js', 'tokenizer.js', 'schema.js', 'inspector.js', 'rag.js', 'markdown.js', 'syntax.js', 'latex.js', 'diagram.js', 'virtuallist.js', 'store.js', 'conversations.js', 'search.js', 'exporter.js', 'importer.js', 'arena.js', 'settings.js'];
             
             for (const filename of files) {
                 try {
@@ -534,12 +671,79 @@ const App = (() => {
         if (systemPromptInput) systemPromptInput.value = p.prompt;
     }
 
+    // ---- Structured Output ----
+    const EXAMPLE_SCHEMA = {
+        type: 'object',
+        properties: {
+            answer: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            sources: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['answer', 'confidence'],
+        additionalProperties: false,
+    };
+
+    function openSchemaEditor() {
+        let conv = Conversations.getActive();
+        if (!conv) {
+            conv = Conversations.create();
+            switchConversation(conv.id);
+        }
+        const so = conv.structuredOutput || {};
+        document.getElementById('schema-enabled').checked = !!so.enabled;
+        document.getElementById('schema-name').value = so.name || '';
+        document.getElementById('schema-text').value = so.schema ? JSON.stringify(so.schema, null, 2) : '';
+        document.getElementById('schema-status').classList.remove('error');
+
+        document.getElementById('schema-modal').classList.add('active');
+        document.getElementById('schema-overlay').classList.add('active');
+    }
+
+    function closeSchemaEditor() {
+        document.getElementById('schema-modal').classList.remove('active');
+        document.getElementById('schema-overlay').classList.remove('active');
+    }
+
+    function saveSchema() {
+        const activeId = Conversations.getActiveId();
+        if (!activeId) return;
+        const enabled = document.getElementById('schema-enabled').checked;
+        const name = document.getElementById('schema-name').value.trim().replace(/[^a-zA-Z0-9_-]/g, '_') || 'response';
+        const text = document.getElementById('schema-text').value.trim();
+        const status = document.getElementById('schema-status');
+
+        let schema = null;
+        if (text) {
+            try {
+                schema = JSON.parse(text);
+                if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+                    throw new Error('The schema must be a JSON object.');
+                }
+            } catch (err) {
+                status.textContent = `Invalid schema: ${err.message}`;
+                status.classList.add('error');
+                return;
+            }
+        }
+        if (enabled && !schema) {
+            status.textContent = 'Enter a schema before enabling structured output.';
+            status.classList.add('error');
+            return;
+        }
+
+        Conversations.update(activeId, { structuredOutput: { enabled, name, schema } });
+        Chat.renderMessages(activeId);
+        closeSchemaEditor();
+        Toast.show(enabled ? 'Structured output enabled for this chat' : 'Structured output disabled', 'success');
+    }
+
     // ---- Code Artifact Preview ----
     function previewCode(btn) {
         const pre = btn.closest('.code-block-header').nextElementSibling;
         const code = pre?.textContent || '';
         
         const iframe = document.getElementById('artifact-frame');
+        document.getElementById('artifact-title').textContent = 'Code Preview';
         
         let htmlDoc = code;
         // Basic check if it's not a full HTML document
@@ -0,0 +1,149 @@
+// ============================================================
+// arena.js — Side-by-Side Model Comparison
+// Which models take part in the next arena prompt, and a running
+// tally of how often each one was picked as the winner
+// ============================================================
+
+const Arena = (() => {
+    const STORAGE_KEY = 'chatapp_arena';
+    const MIN_MODELS = 2;
+    const MAX_MODELS = 4;
+
+    // ---- Storage ----
+    function load() {
+        try {
+            const state = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            return { models: state.models || [], tally: state.tally || {} };
+        } catch {
+            return { models: [], tally: {} };
+        }
+    }
+
+    function save(state) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+
+    // ---- Models ----
+    function getModels() {
+        return load().models;
+    }
+
+    // Ids from the main model dropdown, filled by Settings.refreshModels
+    function availableModels() {
+        const select = document.getElementById('model-select');
+        return [...(select?.options || [])].map(opt => opt.value).filter(Boolean);
+    }
+
+    // Returns false when the model would go past MAX_MODELS
+    function setModel(model, selected) {
+        const state = load();
+        const models = state.models.filter(m => m !== model);
+        if (selected) {
+            if (models.length >= MAX_MODELS) return false;
+            models.push(model);
+        }
+        state.models = models;
+        save(state);
+        return true;
+    }
+
+    // Error message for an unusable selection, null when the arena can run
+    function validate(models = getModels()) {
+        if (models.length < MIN_MODELS) return `Pick at least ${MIN_MODELS} models for the arena.`;
+        if (models.length > MAX_MODELS) return `The arena compares at most ${MAX_MODELS} models.`;
+        return null;
+    }
+
+    // ---- Tally ----
+    // Every model in the round counts a game; the winner also counts a win
+    function recordWinner(models, winner) {
+        const state = load();
+        models.forEach(model => {
+            const entry = state.tally[model] || { wins: 0, games: 0 };
+            entry.games++;
+            if (model === winner) entry.wins++;
+            state.tally[model] = entry;
+        });
+        save(state);
+    }
+
+    // [{ model, wins, games }], most wins first
+    function getTally() {
+        return Object.entries(load().tally)
+            .map(([model, entry]) => ({ model, ...entry }))
+            .sort((a, b) => b.wins - a.wins || a.games - b.games || a.model.localeCompare(b.model));
+    }
+
+    function resetTally() {
+        const state = load();
+        state.tally = {};
+        save(state);
+        renderPicker();
+    }
+
+    // ---- Picker ----
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function renderPicker() {
+        const menu = document.getElementById('arena-menu');
+        if (!menu) return;
+        const selected = getModels();
+        // Keep selected models that the current endpoint no longer lists
+        const models = [...new Set([...availableModels(), ...selected])];
+        const options = models.length > 0
+            ? models.map(model => `
+                <label class="arena-option">
+                    <input type="checkbox" value="${escapeHtml(model)}"${selected.includes(model) ? ' checked' : ''}>
+                    <span>${escapeHtml(model)}</span>
+                </label>`).join('')
+            : '<div class="arena-empty">Load models in Settings first.</div>';
+
+        const tally = getTally();
+        const tallyHtml = tally.length > 0
+            ? `<div class="arena-menu-title">Wins</div>
+                ${tally.map(t => `<div class="arena-tally-row"><span>${escapeHtml(t.model)}</span><span>${t.wins} / ${t.games}</span></div>`).join('')}
+                <button class="arena-reset" onclick="Arena.resetTally()">Reset tally</button>`
+            : '';
+
+        menu.innerHTML = `<div class="arena-menu-title">Compare ${MIN_MODELS}–${MAX_MODELS} models</div>${options}${tallyHtml}`;
+        updateButton();
+    }
+
+    function updateButton() {
+        const btn = document.getElementById('btn-arena-models');
+        if (btn) btn.textContent = `${getModels().length} models ▾`;
+    }
+
+    function init() {
+        const picker = document.getElementById('arena-picker');
+        if (!picker) return;
+        // The model list may have changed since the menu was last shown
+        picker.addEventListener('mouseenter', renderPicker);
+        picker.addEventListener('focusin', (e) => {
+            if (e.target.id === 'btn-arena-models') renderPicker();
+        });
+        picker.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            if (!setModel(e.target.value, e.target.checked)) {
+                e.target.checked = false;
+                Toast.show(`The arena compares at most ${MAX_MODELS} models.`, 'warning');
+            }
+            updateButton();
+        });
+        updateButton();
+    }
+
+    return {
+        init,
+        getModels,
+        validate,
+        recordWinner,
+        getTally,
+        resetTally,
+        renderPicker,
+    };
+})();
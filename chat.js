@@ -6,6 +6,8 @@ const Chat = (() => {
     let currentAbort = null;
     let isGenerating = false;
     let streamedContent = '';
+    let streamedToolCalls = [];
+    let streamedReferences = [];
 
     // ---- DOM ----
     function getEls() {
@@ -20,85 +22,515 @@ const Chat = (() => {
         };
     }
 
-    // ---- Markdown Parser (lightweight) ----
-    function parseMarkdown(text, isInternal = false) {
-        if (!text) return '';
+    // ---- Markdown ----
+    function renderCodeBlock(node) {
+        if (node.closed && Diagram.resolve(node.lang)) return renderDiagramBlock(node);
+        const settings = Settings.load();
+        const { language, detected, html } = Syntax.highlight(node.code, node.lang);
+        const label = language ? `${language}${detected ? ' (auto)' : ''}` : (node.lang || 'code');
+        const isWeb = ['html', 'css', 'javascript'].includes(language);
+        const previewBtn = isWeb ? `<button onclick="App.previewCode(this)" class="btn-copy-code" style="background:var(--color-accent); border-color:var(--color-accent); color:#fff;">Preview Artifact</button>` : '';
+        const option = (name, text, title) => `<button onclick="Chat.toggleCodeOption('${name}')" class="btn-copy-code btn-code-option${settings[name] ? ' active' : ''}" data-option="${name}" title="${title}">${text}</button>`;
+        const classes = ['code-block'];
+        if (settings.codeLineNumbers) classes.push('line-numbers');
+        if (settings.codeWrap) classes.push('wrap');
+        return `<div class="code-block-header"><span>${Markdown.escapeHtml(label)}</span><div class="code-block-actions">${previewBtn}${option('codeLineNumbers', '#', 'Toggle line numbers')}${option('codeWrap', 'Wrap', 'Toggle line wrapping')}<button onclick="Chat.copyCode(this)" class="btn-copy-code">Copy</button></div></div><pre class="${classes.join(' ')}"><code${language ? ` class="language-${language}"` : ''}>${html}</code></pre>`;
+    }
 
-        let html = text;
+    // Diagram fences keep their source in the hidden <pre> right after the
+    // header so Copy and the Source toggle work like any other code block.
+    // Fences still streaming stay as plain code until they close. Drawing is
+    // asynchronous: the block shows a placeholder until the diagram is ready.
+    function renderDiagramBlock(node) {
+        const code = `<code>${Markdown.escapeHtml(node.code)}</code>`;
+        const key = hashString(`${node.lang}\n${node.code}`);
+        const drawn = Diagram.cached(node.code, node.lang);
+        if (!drawn) drawDiagram(node, key);
+        if (drawn?.error) {
+            return `<div class="diagram-block" data-diagram="${key}"><div class="code-block-header"><span>${Markdown.escapeHtml(node.lang)}</span><div class="code-block-actions"><button onclick="Chat.copyCode(this)" class="btn-copy-code">Copy</button></div></div><pre class="code-block">${code}</pre><div class="diagram-error">Could not draw diagram: ${Markdown.escapeHtml(drawn.error.message)}</div></div>`;
+        }
+        const actions = [
+            `<button onclick="Chat.toggleDiagramSource(this)" class="btn-copy-code" title="Show diagram source">Source</button>`,
+            `<button onclick="Chat.exportDiagram(this, 'svg')" class="btn-copy-code">Export SVG</button>`,
+            `<button onclick="Chat.exportDiagram(this, 'png')" class="btn-copy-code">Export PNG</button>`,
+            `<button onclick="Chat.copyCode(this)" class="btn-copy-code">Copy</button>`,
+        ];
+        const view = drawn ? drawn.svg : '<div class="diagram-pending">Drawing diagram…</div>';
+        return `<div class="diagram-block" data-diagram="${key}"><div class="code-block-header"><span>${Markdown.escapeHtml(node.lang)}</span><div class="code-block-actions">${actions.join('')}</div></div><pre class="code-block hidden">${code}</pre><div class="diagram-view">${view}</div></div>`;
+    }
 
-        // Escape HTML first (but preserve think tags for extraction)
-        html = html.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        
-        // Restore think tags from escaped versions
-        html = html.replace(/&lt;think&gt;/g, '<think>').replace(/&lt;\/think&gt;/g, '</think>');
+    // Once a diagram is drawn (or fails), cached message HTML still holds the
+    // placeholder: drop it and swap the blocks already on screen
+    const drawingDiagrams = new Set();
+
+    function drawDiagram(node, key) {
+        if (drawingDiagrams.has(key)) return;
+        drawingDiagrams.add(key);
+        Diagram.render(node.code, node.lang).catch(() => {}).finally(() => {
+            drawingDiagrams.delete(key);
+            messageHtmlCache.clear();
+            document.querySelectorAll(`.diagram-block[data-diagram="${key}"]`).forEach(block => {
+                block.outerHTML = renderDiagramBlock(node);
+            });
+        });
+    }
+
+    function toggleDiagramSource(btn) {
+        const pre = btn.closest('.code-block-header').nextElementSibling;
+        const view = pre.nextElementSibling;
+        const showSource = pre.classList.toggle('hidden') === false;
+        view.classList.toggle('hidden', showSource);
+        btn.textContent = showSource ? 'Diagram' : 'Source';
+        btn.title = showSource ? 'Show rendered diagram' : 'Show diagram source';
+    }
+
+    async function exportDiagram(btn, format) {
+        const svg = btn.closest('.code-block-header').nextElementSibling.nextElementSibling.querySelector('svg');
+        if (!svg) return;
+        const markup = new XMLSerializer().serializeToString(svg);
+        try {
+            const blob = format === 'png'
+                ? await Diagram.toPng(markup)
+                : new Blob([markup], { type: 'image/svg+xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `diagram-${new Date().toISOString().slice(0, 10)}.${format}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            Toast.show(`Export failed: ${err.message}`, 'error');
+        }
+    }
+
+    // Line numbers and wrapping are app-wide preferences, so flipping one
+    // applies to every block and survives re-renders while streaming
+    function toggleCodeOption(name) {
+        const enabled = !Settings.load()[name];
+        Settings.save({ [name]: enabled });
+        const cls = name === 'codeWrap' ? 'wrap' : 'line-numbers';
+        // Cached messages were rendered with the old setting
+        messageHtmlCache.clear();
+        document.querySelectorAll('pre.code-block').forEach(pre => pre.classList.toggle(cls, enabled));
+        document.querySelectorAll(`.btn-code-option[data-option="${name}"]`).forEach(btn => btn.classList.toggle('active', enabled));
+    }
+
+    function renderMath(node) {
+        return Latex.render(node.tex, node.display, node.source);
+    }
 
-        // Extract reasoning (think blocks)
-        html = html.replace(/<think>([\s\S]*?)<\/think>/g, (_, thinking) => {
-            const parsedThinking = parseMarkdown(thinking.trim(), true);
+    const MARKDOWN_OPTIONS = { breaks: true, math: true, renderCode: renderCodeBlock, renderMath };
+
+    function renderThinking(thinking, closed) {
+        const body = Markdown.toHtml(thinking.trim(), MARKDOWN_OPTIONS);
+        if (closed) {
             return `<details class="thinking-panel">
                 <summary>
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path></svg>
                     Reasoning Process
                 </summary>
-                <div class="thinking-content">${parsedThinking}</div>
+                <div class="thinking-content">${body}</div>
             </details>`;
-        });
-        
-        // Handle unclosed think tags (during streaming)
-        html = html.replace(/<think>([\s\S]*)$/g, (_, thinking) => {
-            const parsedThinking = parseMarkdown(thinking.trim(), true);
-            return `<details class="thinking-panel" open>
+        }
+        // Unclosed think tag: the model is still reasoning
+        return `<details class="thinking-panel" open>
                 <summary>
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>
                     Thinking...
                 </summary>
-                <div class="thinking-content">${parsedThinking}</div>
+                <div class="thinking-content">${body}</div>
+            </details>`;
+    }
+
+    // Reasoning blocks are pulled out first; everything else goes through
+    // the Markdown parser, which escapes all text and raw HTML
+    function parseMarkdown(text) {
+        if (!text) return '';
+
+        const pattern = /<think>([\s\S]*?)(<\/think>|$)/g;
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            html += Markdown.toHtml(text.slice(last, match.index), MARKDOWN_OPTIONS);
+            html += renderThinking(match[1], !!match[2]);
+            last = pattern.lastIndex;
+            if (!match[2]) break;
+        }
+        html += Markdown.toHtml(text.slice(last), MARKDOWN_OPTIONS);
+        return html;
+    }
+
+    // ---- Tool Calls ----
+    function escapeCode(text) {
+        // Quotes too: it also fills alt, title and src attributes
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function formatToolArguments(args) {
+        try {
+            return JSON.stringify(JSON.parse(args || '{}'), null, 2);
+        } catch {
+            return args || '';
+        }
+    }
+
+    function renderToolCalls(toolCalls) {
+        if (!toolCalls || toolCalls.length === 0) return '';
+        return toolCalls.map(call => {
+            const pending = call.result === undefined;
+            const result = pending ? '' : `
+                    <div class="tool-label">Result</div>
+                    <pre><code>${escapeCode(call.result)}</code></pre>`;
+            return `<details class="thinking-panel tool-panel">
+                <summary>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"/></svg>
+                    ${pending ? 'Calling' : 'Called'} ${escapeCode(call.name)}${pending ? '…' : ''}
+                </summary>
+                <div class="thinking-content tool-content">
+                    <div class="tool-label">Arguments</div>
+                    <pre><code>${escapeCode(formatToolArguments(call.arguments))}</code></pre>${result}
+                </div>
             </details>`;
+        }).join('');
+    }
+
+    // Stream options that wire the tool registry and retry notices into API.sendMessageStream
+    function streamOptions(convId) {
+        const refresh = () => {
+            if (!document.getElementById('streaming-body')) {
+                showStreamingMessage();
+            }
+            const toolsEl = document.getElementById('streaming-tools');
+            if (toolsEl) toolsEl.innerHTML = renderToolCalls(streamedToolCalls);
+            Conversations.updateLastAssistantMessage(convId, streamedContent, { toolCalls: streamedToolCalls });
+            scrollToBottom();
+        };
+
+        return {
+            tools: Tools.getEnabled(),
+            responseFormat: getResponseFormat(Conversations.get(convId)),
+            onToolCall: (call) => {
+                streamedToolCalls.push({ id: call.id, name: call.name, arguments: call.arguments });
+                refresh();
+            },
+            onToolResult: (call, result) => {
+                const entry = streamedToolCalls.find(c => c.id === call.id);
+                if (entry) entry.result = result;
+                refresh();
+            },
+            onRetry: ({ attempt, retries, delay, target, error }) => {
+                const seconds = Math.max(1, Math.round(delay / 1000));
+                Toast.show(`${error.message} — retrying ${target.model} in ${seconds}s (${attempt}/${retries})`, 'warning', Math.max(delay, 2000));
+            },
+        };
+    }
+
+    // ---- Structured Output ----
+    const MAX_REPAIR_ATTEMPTS = 2;
+
+    function getResponseFormat(conv) {
+        const so = conv?.structuredOutput;
+        if (!so?.enabled || !so.schema) return undefined;
+        return { name: so.name || 'response', schema: so.schema };
+    }
+
+    function repairPrompt(errors) {
+        return 'Your previous reply does not validate against the required JSON Schema:\n'
+            + Schema.formatErrors(errors)
+            + '\n\nReply again with only the corrected JSON document.';
+    }
+
+    // Validates the last reply and re-prompts the model (non-streaming)
+    // until it matches the schema or the repair attempts run out
+    async function checkStructuredOutput(convId, requestMessages) {
+        const conv = Conversations.get(convId);
+        const format = getResponseFormat(conv);
+        const last = conv?.messages[conv.messages.length - 1];
+        if (!format || last?.role !== 'assistant') return;
+
+        let content = last.content;
+        let result = Schema.check(content, format.schema);
+        let repairs = 0;
+        const history = [...requestMessages];
+
+        while (!result.valid && repairs < MAX_REPAIR_ATTEMPTS) {
+            repairs++;
+            Toast.show(`Reply does not match the schema — asking for a repair (${repairs}/${MAX_REPAIR_ATTEMPTS})`, 'warning');
+            history.push({ role: 'assistant', content }, { role: 'user', content: repairPrompt(result.errors) });
+            const controller = new AbortController();
+            currentAbort = controller;
+            showTyping();
+            try {
+                content = await API.sendMessage(history, { responseFormat: format, signal: controller.signal });
+            } catch (err) {
+                if (err.name !== 'AbortError') Toast.show(`Repair failed: ${err.message}`, 'error');
+                break;
+            } finally {
+                hideTyping();
+            }
+            result = Schema.check(content, format.schema);
+        }
+
+        Conversations.updateLastAssistantMessage(convId, content, {
+            structured: { valid: result.valid, errors: result.errors, repairs },
         });
+    }
+
+    // Collapsible tree for valid structured replies
+    function renderJsonValue(value, key) {
+        const label = key === undefined ? '' : `<span class="json-key">${escapeCode(JSON.stringify(key))}</span>: `;
+        if (value && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((v, i) => [undefined, v]) : Object.entries(value);
+            const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+            if (entries.length === 0) {
+                return `<div class="json-line">${label}${open}${close}</div>`;
+            }
+            const count = `${entries.length} ${isArray ? 'item' : 'key'}${entries.length !== 1 ? 's' : ''}`;
+            return `<details class="json-node" open>
+                <summary>${label}${open}<span class="json-count">${count}</span></summary>
+                <div class="json-children">${entries.map(([k, v]) => renderJsonValue(v, k)).join('')}</div>
+                <div class="json-line">${close}</div>
+            </details>`;
+        }
+        const type = value === null ? 'null' : typeof value;
+        return `<div class="json-line">${label}<span class="json-${type}">${escapeCode(JSON.stringify(value))}</span></div>`;
+    }
+
+    function renderStructured(msg) {
+        if (msg.structured.valid) {
+            try {
+                return `<div class="json-tree">${renderJsonValue(Schema.extractJSON(msg.content))}</div>`;
+            } catch {
+                // Content edited since validation — fall back to markdown
+            }
+        }
+        const errors = msg.structured.errors || [];
+        const attempts = msg.structured.repairs ? ` after ${msg.structured.repairs} repair attempt${msg.structured.repairs !== 1 ? 's' : ''}` : '';
+        return `<div class="structured-errors">
+            <strong>Reply does not match the schema${attempts}</strong>
+            <pre><code>${escapeCode(Schema.formatErrors(errors))}</code></pre>
+        </div>` + parseMarkdown(msg.content);
+    }
+
+    function renderAssistantBody(msg, idx) {
+        const body = msg.structured ? renderStructured(msg) : parseMarkdown(msg.content);
+        return renderToolCalls(msg.toolCalls) + body + renderReferences(msg.references, idx) + renderDrafts(msg.drafts);
+    }
+
+    // ---- Retrieval (Local RAG) ----
+    // Room for whole files when no context window is set
+    const WHOLE_FILE_TOKENS = 8000;
+
+    // Token budget for files sent whole: half the prompt room of the context window
+    function wholeFileBudget() {
+        const s = Settings.load();
+        return s.contextLimit > 0 ? Math.max(0, Math.floor((s.contextLimit - s.maxTokens) / 2)) : WHOLE_FILE_TOKENS;
+    }
 
-        // Code blocks (```lang\n...\n```)
-        html = html.replace(/```(\w*)\n([\s\S]*?)```/g, (_, lang, code) => {
-            const langLabel = lang || 'code';
-            const isWeb = ['html', 'css', 'js', 'javascript'].includes(lang.toLowerCase());
-            const previewBtn = isWeb ? `<button onclick="App.previewCode(this)" class="btn-copy-code" style="margin-right:8px; background:var(--color-accent); border-color:var(--color-accent); color:#fff;">Preview Artifact</button>` : '';
-            const escapedCode = code.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').trim();
-            return `<div class="code-block-header"><span>${langLabel}</span><div style="display:flex;">${previewBtn}<button onclick="Chat.copyCode(this)" class="btn-copy-code">Copy</button></div></div><pre><code>${escapedCode}</code></pre>`;
+    // Text attachments that fit the budget are returned for inlining, as they
+    // are; bigger ones go into the conversation's vector index and reach the
+    // model as retrieved excerpts. Files that cannot be indexed are inlined too.
+    async function indexAttachments(convId, attachments) {
+        const files = [];
+        const inline = [];
+        const model = Settings.load().model;
+        let budget = wholeFileBudget();
+        const toIndex = attachments.filter(att => {
+            const tokens = Tokenizer.count(att.content, model);
+            if (tokens > budget) return true;
+            budget -= tokens;
+            inline.push(att);
+            return false;
         });
+        if (toIndex.length > 0) {
+            Toast.show(`Indexing ${toIndex.length} file${toIndex.length !== 1 ? 's' : ''}…`, 'info', 2000);
+        }
+        for (const att of toIndex) {
+            try {
+                const doc = await Rag.addDocument(convId, att.name, att.content);
+                files.push({ name: doc.name, chunks: doc.chunks, embedded: doc.embedded });
+                if (doc.error) {
+                    Toast.show(`Could not embed ${att.name} (${doc.error}) — using keyword search`, 'warning');
+                }
+            } catch (err) {
+                console.warn('Indexing failed, sending the whole file:', err);
+                inline.push(att);
+            }
+        }
+        return { files, inline };
+    }
 
-        // Inline code
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+    // Adds the most relevant chunks of the conversation's files to the last user turn
+    async function retrieveContext(convId, apiMessages) {
+        const conv = Conversations.get(convId);
+        const lastUser = [...conv.messages].reverse().find(m => m.role === 'user');
+        const target = apiMessages[apiMessages.length - 1];
+        if (!lastUser || target?.role !== 'user') return [];
+
+        let references = [];
+        try {
+            references = await Rag.retrieve(convId, lastUser.content || '');
+        } catch (err) {
+            console.warn('Retrieval failed:', err);
+            return [];
+        }
+        if (references.length > 0) {
+            appendToContent(target, Rag.formatContext(references));
+        }
+        return references;
+    }
 
-        // Bold
-        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+    function renderFiles(files) {
+        if (!files || files.length === 0) return '';
+        return `<div class="message-files">${files.map(f => `
+            <span class="file-chip" title="${f.chunks} chunk${f.chunks !== 1 ? 's' : ''}${f.embedded ? ', embedded' : ', keyword search'}">📄 ${escapeCode(f.name)}</span>`).join('')}
+        </div>`;
+    }
 
-        // Italic
-        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
+    function renderReferences(references, msgIdx) {
+        if (!references || references.length === 0) return '';
+        return `<div class="message-references">${references.map((ref, i) => `
+            <button class="reference-chip" title="View excerpt (score ${ref.score})" onclick="Chat.viewReference(${msgIdx}, ${i})">[${ref.n}] ${escapeCode(ref.docName)} · part ${ref.index + 1}</button>`).join('')}
+        </div>`;
+    }
 
-        // Headings
-        html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-        html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-        html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
+    function viewReference(msgIdx, refIdx) {
+        const conv = Conversations.getActive();
+        const ref = conv?.messages[msgIdx]?.references?.[refIdx];
+        if (!ref) return;
+        document.getElementById('artifact-title').textContent = `[${ref.n}] ${ref.docName} — part ${ref.index + 1} of ${ref.chunkCount}`;
+        document.getElementById('artifact-frame').srcdoc = `<!DOCTYPE html><html><body style="margin:0;padding:20px;font-family:system-ui,sans-serif;"><pre style="white-space:pre-wrap;font-family:ui-monospace,monospace;font-size:13px;">${escapeCode(ref.text)}</pre></body></html>`;
+        document.getElementById('artifact-modal').classList.add('active');
+        document.getElementById('artifact-overlay').classList.add('active');
+    }
 
-        // Unordered lists
-        html = html.replace(/^[*-] (.+)$/gm, '<li>$1</li>');
-        html = html.replace(/((?:<li>.*<\/li>\n?)+)/g, '<ul>$1</ul>');
+    // ---- API Message Building ----
+    // Messages with images become OpenAI-style content parts; adapters
+    // translate them for providers with their own multimodal format
+    function toApiMessage(m) {
+        if (!m.images || m.images.length === 0) {
+            return { role: m.role, content: m.content };
+        }
+        const parts = m.content ? [{ type: 'text', text: m.content }] : [];
+        m.images.forEach(img => {
+            parts.push({ type: 'image_url', image_url: { url: img.dataUrl } });
+        });
+        return { role: m.role, content: parts };
+    }
 
-        // Ordered lists
-        html = html.replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
+    function appendToContent(message, extra) {
+        if (!Array.isArray(message.content)) {
+            message.content += extra;
+            return;
+        }
+        const textPart = message.content.find(p => p.type === 'text');
+        if (textPart) {
+            textPart.text += extra;
+        } else {
+            message.content.unshift({ type: 'text', text: extra.trim() });
+        }
+    }
 
-        // Links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    // ---- Context Budget ----
+    // Leaves out the oldest turns when the request would overflow the context window;
+    // the latest turn always goes out whole
+    function fitToContext(apiMessages) {
+        const settings = Settings.load();
+        const fit = Tokenizer.fitMessages(apiMessages, {
+            model: settings.model,
+            contextLimit: settings.contextLimit,
+            maxTokens: settings.maxTokens,
+        });
+        if (fit.overflow) {
+            Toast.show(`This message needs ~${fit.promptTokens} tokens but the context window leaves room for ${fit.budget}. It was sent in full; the model may reject or cut it.`, 'error');
+        } else if (fit.dropped > 0) {
+            Toast.show(`Context limit reached: ${fit.dropped} older message${fit.dropped !== 1 ? 's' : ''} left out.`, 'warning');
+        }
+        return fit.messages;
+    }
 
-        // Line breaks → paragraphs
-        html = html.replace(/\n\n/g, '</p><p>');
-        html = html.replace(/\n/g, '<br>');
+    // Fields saved on the assistant message once a stream completes
+    function streamResultFields(info, content = streamedContent) {
+        const fields = { toolCalls: streamedToolCalls };
+        if (info?.usage) fields.usage = info.usage;
+        if (streamedReferences.length > 0) {
+            fields.references = Rag.citedReferences(content, streamedReferences);
+        }
+        if (info?.endpoint) {
+            fields.servedBy = { endpoint: info.endpoint, model: info.model, fallback: !!info.fallback };
+        }
+        if (info?.timing) fields.generation = generationInfo(info, content);
+        return fields;
+    }
 
-        // Wrap in paragraph if not already wrapped (skip for internal parsing to prevent duplicate p tags inside details)
-        if (!isInternal && !html.startsWith('<h') && !html.startsWith('<ul') && !html.startsWith('<ol') && !html.startsWith('<div') && !html.startsWith('<pre') && !html.startsWith('<details')) {
-            html = '<p>' + html + '</p>';
+    // Model, sampling parameters, timing and finish reason of one reply
+    function generationInfo(info, content) {
+        const { firstTokenMs = null, durationMs } = info.timing;
+        const outputTokens = info.usage?.completion_tokens ?? Tokenizer.count(content, info.model);
+        const streamingMs = durationMs - (firstTokenMs ?? 0);
+        return {
+            model: info.model,
+            provider: info.provider,
+            profile: info.profile || null,
+            temperature: info.params?.temperature ?? null,
+            top_p: info.params?.top_p ?? null,
+            max_tokens: info.params?.max_tokens ?? null,
+            firstTokenMs,
+            durationMs,
+            tokensPerSecond: outputTokens && streamingMs > 0 ? Math.round(outputTokens / (streamingMs / 1000) * 10) / 10 : null,
+            finishReason: info.finishReason || null,
+        };
+    }
+
+    function formatSeconds(ms) {
+        return ms == null ? '—' : `${(ms / 1000).toFixed(2)} s`;
+    }
+
+    // "ⓘ Info" popover in the message actions; opens on hover or focus like the export menu
+    function renderGenerationInfo(msg) {
+        const gen = msg.generation;
+        if (!gen) return '';
+        const rows = [
+            ['Model', gen.model],
+            ['Provider', gen.profile ? `${gen.provider} · ${gen.profile}` : gen.provider],
+            ['Temperature', gen.temperature],
+            ['Top P', gen.top_p],
+            ['Max tokens', gen.max_tokens],
+            ['First token', formatSeconds(gen.firstTokenMs)],
+            ['Duration', formatSeconds(gen.durationMs)],
+            ['Speed', gen.tokensPerSecond != null ? `${gen.tokensPerSecond} tok/s` : '—'],
+        ];
+        if (msg.usage) {
+            rows.push(['Tokens', `${msg.usage.prompt_tokens ?? '?'} in · ${msg.usage.completion_tokens ?? '?'} out`]);
         }
+        const truncated = gen.finishReason === 'length';
+        rows.push(['Finish', truncated ? 'length (hit max tokens)' : gen.finishReason || '—']);
+        const items = rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeCode(String(value ?? '—'))}</dd>`).join('');
+        return `
+              <span class="message-info">
+                <button title="Generation details">ⓘ Info</button>
+                <dl class="message-info-popover">${items}</dl>
+              </span>`;
+    }
 
-        return html;
+    // Shown next to the role when the reply stopped at the token limit
+    function renderTruncated(msg) {
+        if (msg.generation?.finishReason !== 'length') return '';
+        return ' <span class="message-truncated" title="The reply stopped at the max tokens limit">⚠ Truncated</span>';
+    }
+
+    // Shown next to the role when a fallback endpoint produced the answer
+    function renderServedBy(msg) {
+        if (!msg.servedBy?.fallback) return '';
+        let host = msg.servedBy.endpoint;
+        try {
+            host = new URL(msg.servedBy.endpoint).host;
+        } catch {
+            // Keep the raw endpoint string
+        }
+        return ` <span class="message-served-by" title="${escapeCode(msg.servedBy.endpoint)}">via ${escapeCode(host)} · ${escapeCode(msg.servedBy.model)}</span>`;
     }
 
     // ---- Copy Code ----
@@ -112,48 +544,219 @@ const Chat = (() => {
     }
 
     // ---- Render Messages ----
-    function renderMessages(conversationId) {
+    // Only messages near the viewport are mounted (see virtuallist.js). Each
+    // message's HTML is cached under a version derived from its data, so a
+    // re-render only rebuilds the messages that actually changed.
+    const HTML_CACHE_LIMIT = 500;
+    const messageHtmlCache = new Map(); // message id -> { version, html }
+    const scrollAnchors = new Map();    // conversation id -> anchor to return to
+    let messageList = null;
+    let welcomeEl = null;
+    let renderedConvId = null;
+    let renderedIds = [];
+
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    // Images are left out: they are large and never change on a message
+    function messageVersion(conv, msg) {
+        const { images, ...data } = msg;
+        const siblings = Conversations.siblingsOf(conv, msg.id);
+        return `${hashString(JSON.stringify(data))}.${data.content.length}.${siblings.indexOf(msg.id)}/${siblings.length}`;
+    }
+
+    function cachedMessageHtml(conv, msg, idx, version) {
+        const cached = messageHtmlCache.get(msg.id);
+        if (cached?.version === version) return cached.html;
+        const html = renderMessage(conv, msg, idx);
+        messageHtmlCache.delete(msg.id);
+        messageHtmlCache.set(msg.id, { version, html });
+        if (messageHtmlCache.size > HTML_CACHE_LIMIT) messageHtmlCache.delete(messageHtmlCache.keys().next().value);
+        return html;
+    }
+
+    // Rough height for messages that have not been on screen yet
+    function estimateMessageHeight(item) {
+        return 96 + Math.ceil(item.length / 90) * 26 + (item.hasImages ? 140 : 0);
+    }
+
+    // `options.highlightId` scrolls to that message and flashes it (search results)
+    function renderMessages(conversationId, options = {}) {
         const els = getEls();
         const conv = Conversations.get(conversationId);
+        document.getElementById('btn-structured')?.classList.toggle('active', !!getResponseFormat(conv));
+        welcomeEl = welcomeEl || els.welcome;
+        if (renderedConvId && messageList && renderedConvId !== conv?.id) {
+            scrollAnchors.set(renderedConvId, messageList.getAnchor());
+        }
 
         if (!conv || conv.messages.length === 0) {
-            els.welcome.classList.remove('hidden');
+            messageList?.reset();
+            renderedConvId = null;
+            renderedIds = [];
+            welcomeEl.classList.remove('hidden');
             els.container.innerHTML = '';
-            els.container.appendChild(els.welcome);
+            els.container.appendChild(welcomeEl);
             els.chatTitle.textContent = conv?.title || 'New Chat';
             return;
         }
 
-        els.welcome.classList.add('hidden');
+        welcomeEl.classList.add('hidden');
         els.chatTitle.textContent = conv.title;
 
-        // Build messages HTML
-        let html = '';
-        conv.messages.forEach((msg, idx) => {
-            const isUser = msg.role === 'user';
-            const avatarLetter = isUser ? 'U' : 'AI';
-            const roleLabel = isUser ? 'You' : 'Assistant';
-            const bodyHtml = isUser ? escapeHtml(msg.content) : parseMarkdown(msg.content);
-            const readAloudBtn = !isUser && window.speechSynthesis ? `<button onclick="Chat.readAloud(this, ${idx})">🔊 Read</button>` : '';
-
-            html += `
+        if (!messageList) messageList = VirtualList.create(els.container, { estimateHeight: estimateMessageHeight });
+        const switched = renderedConvId !== conv.id;
+        const previousIds = switched ? [] : renderedIds;
+        const items = conv.messages.map((msg, idx) => {
+            const version = messageVersion(conv, msg);
+            return {
+                key: msg.id,
+                version,
+                length: msg.content.length,
+                hasImages: !!msg.images?.length,
+                render: () => cachedMessageHtml(conv, msg, idx, version),
+            };
+        });
+        const last = conv.messages[conv.messages.length - 1];
+        if (last.arena && !last.arena.winner) items.push(arenaItem(conv, last));
+        messageList.setItems(items);
+
+        // Follow new messages at the end; branch switches and edits keep the view still
+        const ids = conv.messages.map(m => m.id);
+        const grew = ids.length > previousIds.length && previousIds.every((id, i) => ids[i] === id);
+        if (switched) {
+            const anchor = scrollAnchors.get(conv.id);
+            if (anchor) messageList.scrollToAnchor(anchor);
+            else messageList.scrollToBottom();
+        } else if (grew) {
+            messageList.scrollToBottom();
+        }
+        renderedConvId = conv.id;
+        renderedIds = ids;
+        if (options.highlightId && ids.includes(options.highlightId)) highlightMessage(options.highlightId);
+    }
+
+    function highlightMessage(id) {
+        messageList.scrollToAnchor({ key: id, offset: 24 });
+        const el = getEls().container.querySelector(`.message[data-key="${id}"]`);
+        if (!el) return;
+        el.classList.remove('search-highlight');
+        void el.offsetWidth; // restart the animation
+        el.classList.add('search-highlight');
+        setTimeout(() => el.classList.remove('search-highlight'), 2500);
+    }
+
+    function renderMessage(conv, msg, idx) {
+        const isUser = msg.role === 'user';
+        const avatarLetter = isUser ? 'U' : 'AI';
+        const roleLabel = isUser ? 'You' : 'Assistant';
+        let bodyHtml;
+        try {
+            bodyHtml = isUser ? renderImages(msg.images, idx) + renderFiles(msg.files) + escapeHtml(msg.content) : renderAssistantBody(msg, idx);
+        } catch (err) {
+            // One message that cannot be rendered must not take the conversation down with it
+            console.warn('Could not render message, showing it as text:', err);
+            bodyHtml = escapeHtml(msg.content);
+        }
+        const readAloudBtn = !isUser && window.speechSynthesis ? `<button onclick="Chat.readAloud(this, ${idx})">🔊 Read</button>` : '';
+
+        return `
         <div class="message ${msg.role}" data-index="${idx}">
           <div class="message-avatar">${avatarLetter}</div>
           <div class="message-content">
-            <div class="message-role">${roleLabel}</div>
+            <div class="message-role">${roleLabel}${renderBranchSwitcher(conv, msg, idx)}${renderServedBy(msg)}${!isUser ? renderTruncated(msg) : ''}</div>
             <div class="message-body">${bodyHtml}</div>
             <div class="message-actions">
               <button onclick="Chat.copyMessage(${idx})">📋 Copy</button>
+              <button onclick="Chat.editMessage(${idx})">✏️ Edit</button>
               ${readAloudBtn}
-              ${!isUser ? `<button onclick="Chat.regenerate()">🔄 Regenerate</button>` : ''}
+              ${!isUser ? `<button onclick="Chat.regenerate(${idx})">🔄 Regenerate</button>` : ''}
+              ${!isUser ? renderGenerationInfo(msg) : ''}
             </div>
           </div>
-        </div>
-      `;
-        });
+        </div>`;
+    }
 
-        els.container.innerHTML = html;
-        scrollToBottom();
+    // "‹ 2/3 ›" between a message's edits or regenerations
+    function renderBranchSwitcher(conv, msg, idx) {
+        const siblings = Conversations.siblingsOf(conv, msg.id);
+        if (siblings.length < 2) return '';
+        const position = siblings.indexOf(msg.id) + 1;
+        return ` <span class="branch-switcher">
+                <button onclick="Chat.switchBranch(${idx}, -1)" title="Previous version"${position === 1 ? ' disabled' : ''}>‹</button>
+                <span>${position}/${siblings.length}</span>
+                <button onclick="Chat.switchBranch(${idx}, 1)" title="Next version"${position === siblings.length ? ' disabled' : ''}>›</button>
+            </span>`;
+    }
+
+    function switchBranch(idx, offset) {
+        if (isGenerating) return;
+        const convId = Conversations.getActiveId();
+        const msg = Conversations.get(convId)?.messages[idx];
+        if (msg && Conversations.switchBranch(convId, msg.id, offset)) renderMessages(convId);
+    }
+
+    // ---- Edit & Resend ----
+    // The edit box replaces the message body; saving adds the new text as a
+    // sibling branch, and an edited user message is answered again
+    function editMessage(idx) {
+        if (isGenerating) return;
+        const msg = Conversations.getActive()?.messages[idx];
+        const body = document.querySelector(`.message[data-index="${idx}"] .message-body`);
+        if (!msg || !body) return;
+        const submitLabel = msg.role === 'user' ? 'Save & Send' : 'Save';
+        body.innerHTML = `
+            <div class="message-edit">
+                <textarea class="message-edit-input" rows="3">${escapeCode(msg.content)}</textarea>
+                <div class="message-edit-actions">
+                    <button class="btn-secondary" onclick="Chat.renderMessages(Conversations.getActiveId())">Cancel</button>
+                    <button class="btn-primary" onclick="Chat.submitEdit(${idx})">${submitLabel}</button>
+                </div>
+            </div>`;
+        const input = body.querySelector('textarea');
+        autoResize(input);
+        input.addEventListener('input', () => autoResize(input));
+        input.focus();
+    }
+
+    async function submitEdit(idx) {
+        if (isGenerating) return;
+        const convId = Conversations.getActiveId();
+        const msg = Conversations.get(convId)?.messages[idx];
+        const input = document.querySelector(`.message[data-index="${idx}"] .message-edit-input`);
+        if (!msg || !input) return;
+        const content = input.value.trim();
+        if (!content || content === msg.content) {
+            renderMessages(convId);
+            return;
+        }
+        Conversations.editMessage(convId, msg.id, content);
+        renderMessages(convId);
+        if (msg.role === 'user') await respond(convId);
+    }
+
+    function renderImages(images, msgIdx) {
+        if (!images || images.length === 0) return '';
+        return `<div class="message-images">${images.map((img, i) => `
+            <img class="message-image" src="${escapeCode(img.dataUrl)}" alt="${escapeCode(img.name || 'image')}" title="${escapeCode(img.name || 'image')}" onclick="Chat.viewImage(${msgIdx}, ${i})">`).join('')}
+        </div>`;
+    }
+
+    // Full-size view in the artifact modal
+    function viewImage(msgIdx, imgIdx) {
+        const conv = Conversations.getActive();
+        const img = conv?.messages[msgIdx]?.images?.[imgIdx];
+        if (!img) return;
+        document.getElementById('artifact-title').textContent = img.name || 'Image';
+        document.getElementById('artifact-frame').srcdoc = `<!DOCTYPE html><html><body style="margin:0;display:flex;align-items:center;justify-content:center;min-height:100vh;background:#111;"><img src="${escapeCode(img.dataUrl)}" style="max-width:100%;max-height:100vh;"></body></html>`;
+        document.getElementById('artifact-modal').classList.add('active');
+        document.getElementById('artifact-overlay').classList.add('active');
     }
 
     function escapeHtml(text) {
@@ -261,23 +864,114 @@ const Chat = (() => {
       <div class="message-avatar">AI</div>
       <div class="message-content">
         <div class="message-role">Assistant</div>
-        <div class="message-body" id="streaming-body"></div>
+        <div id="streaming-tools"></div>
+        <div class="message-body" id="streaming-body"><div class="stream-tail" id="streaming-tail"></div></div>
+        <div id="streaming-drafts"></div>
       </div>
     `;
         els.container.appendChild(div);
+        resetStreamRenderer();
+        scrollToBottom();
+    }
+
+    // ---- Incremental Stream Rendering ----
+    // Finished blocks are rendered once and inserted before the tail, so their
+    // DOM (text selection, open panels) is never replaced; only the block still
+    // being written is re-parsed, at most once per animation frame. Reference
+    // links defined in a later block resolve when the full message re-renders.
+    const STREAM_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+    const STREAM_MATH = /^ {0,3}(\$\$|\\\[)/;
+    const STREAM_LIST_ITEM = /^(?:[-+*]|\d{1,9}[.)])(?:\s|$)/;
+    let stream = null;
+
+    function resetStreamRenderer() {
+        if (stream?.frame) cancelAnimationFrame(stream.frame);
+        stream = {
+            frozenLength: 0,  // streamedContent before this offset is in the DOM for good
+            scanned: 0,       // offset of the first line not yet scanned
+            boundary: 0,      // latest offset where a new top-level block starts
+            fence: null,      // opening marker of the fenced code block we are in
+            mathCloser: null, // closer of the display math block we are in
+            thinking: false,
+            blank: false,
+            frame: null,
+        };
+    }
+
+    // Scans newly completed lines and returns the start of the last top-level
+    // block that follows a blank line outside fences, math and <think>. Lists,
+    // quotes and indented lines may still continue the block before them.
+    function findStableBoundary(text) {
+        let end;
+        while ((end = text.indexOf('\n', stream.scanned)) !== -1) {
+            const start = stream.scanned;
+            const line = text.slice(start, end);
+            stream.scanned = end + 1;
+
+            if (stream.fence) {
+                const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+                if (close && close[1][0] === stream.fence[0] && close[1].length >= stream.fence.length) stream.fence = null;
+                continue;
+            }
+            if (stream.mathCloser) {
+                if (line.trimEnd().endsWith(stream.mathCloser)) stream.mathCloser = null;
+                continue;
+            }
+            if (!line.trim()) {
+                stream.blank = true;
+                continue;
+            }
+
+            if (stream.blank && !stream.thinking && /^\S/.test(line) && !STREAM_LIST_ITEM.test(line) && !line.startsWith('>')) {
+                stream.boundary = start;
+            }
+            stream.blank = false;
+
+            const opened = line.lastIndexOf('<think>');
+            const closed = line.lastIndexOf('</think>');
+            if (opened !== -1 || closed !== -1) stream.thinking = opened > closed;
+
+            const fence = line.match(STREAM_FENCE);
+            if (fence && !(fence[1][0] === '`' && line.slice(fence[0].length).includes('`'))) {
+                stream.fence = fence[1];
+                continue;
+            }
+            const math = line.match(STREAM_MATH);
+            if (math) {
+                const closer = math[1] === '$$' ? '$$' : '\\]';
+                if (!line.slice(math[0].length).trimEnd().endsWith(closer)) stream.mathCloser = closer;
+            }
+        }
+        return stream.boundary;
+    }
+
+    function flushStream() {
+        stream.frame = null;
+        const tail = document.getElementById('streaming-tail');
+        if (!tail) return;
+        const boundary = findStableBoundary(streamedContent);
+        if (boundary > stream.frozenLength) {
+            tail.insertAdjacentHTML('beforebegin', parseMarkdown(streamedContent.slice(stream.frozenLength, boundary)));
+            stream.frozenLength = boundary;
+        }
+        // Panels the user opened or closed in the tail keep that state, unless
+        // they changed meaning (e.g. "Thinking..." became the finished reasoning)
+        const panels = [...tail.querySelectorAll('details')].map(d => ({ open: d.open, summary: d.querySelector('summary')?.textContent }));
+        tail.innerHTML = parseMarkdown(streamedContent.slice(stream.frozenLength));
+        tail.querySelectorAll('details').forEach((d, i) => {
+            if (panels[i] && panels[i].summary === d.querySelector('summary')?.textContent) d.open = panels[i].open;
+        });
         scrollToBottom();
     }
 
     function appendStreamToken(token) {
         streamedContent += token;
-        const body = document.getElementById('streaming-body');
-        if (body) {
-            body.innerHTML = parseMarkdown(streamedContent);
-            scrollToBottom();
-        }
+        if (stream && !stream.frame) stream.frame = requestAnimationFrame(flushStream);
     }
 
     function finalizeStream() {
+        if (stream?.frame) cancelAnimationFrame(stream.frame);
+        stream = null;
         const el = document.getElementById('streaming-message');
         if (el) el.remove();
     }
@@ -286,7 +980,13 @@ const Chat = (() => {
     let currentAttachments = [];
 
     function addAttachment(file, content) {
-        currentAttachments.push({ name: file.name, content: content });
+        currentAttachments.push({ name: file.name, content: content, kind: 'text' });
+        renderAttachments();
+    }
+
+    // Images stay data URLs and are sent as content parts, not inlined text
+    function addImageAttachment(name, dataUrl) {
+        currentAttachments.push({ name: name, dataUrl: dataUrl, kind: 'image' });
         renderAttachments();
     }
 
@@ -300,7 +1000,9 @@ const Chat = (() => {
         if (!container) return;
         container.innerHTML = currentAttachments.map((att, i) => `
             <div class="attachment-item">
-                <span>📎 ${att.name}</span>
+                ${att.kind === 'image'
+                    ? `<img class="attachment-thumb" src="${escapeCode(att.dataUrl)}" alt=""><span>${escapeCode(att.name)}</span>`
+                    : `<span>📎 ${escapeCode(att.name)}</span>`}
                 <span class="remove" onclick="Chat.removeAttachment(${i})">✕</span>
             </div>
         `).join('');
@@ -317,15 +1019,30 @@ const Chat = (() => {
         let text = els.input.value.trim();
         if ((!text && currentAttachments.length === 0) || isGenerating) return;
 
-        // Inject attachments into user text
-        if (currentAttachments.length > 0) {
-            let attContext = "\\n\\n[Attached Files Context:]\\n";
-            currentAttachments.forEach(att => {
-                attContext += `--- File: ${att.name} ---\\n${att.content}\\n`;
-            });
-            text += attContext;
-            clearAttachments();
+        const active = Conversations.getActive();
+        const pending = active?.messages[active.messages.length - 1];
+        if (pending?.arena && !pending.arena.winner) {
+            Toast.show('Pick a winner in the arena before sending the next message.', 'warning');
+            return;
+        }
+        const isArena = document.getElementById('btn-toggle-arena')?.classList.contains('active');
+        const arenaError = isArena && Arena.validate();
+        if (arenaError) {
+            Toast.show(arenaError, 'warning');
+            return;
         }
+        const isMulti = !isArena && document.getElementById('btn-toggle-multi')?.classList.contains('active');
+        if (isMulti && synthesisModels().drafts.length === 0) {
+            Toast.show('Choose the draft models for Multi-Model Synthesis in Settings.', 'warning');
+            return;
+        }
+
+        // Large text attachments go into the retrieval index; images travel with the message
+        const textAttachments = currentAttachments.filter(att => att.kind !== 'image');
+        const images = currentAttachments
+            .filter(att => att.kind === 'image')
+            .map(att => ({ name: att.name, dataUrl: att.dataUrl }));
+        clearAttachments();
 
         const activeId = Conversations.getActiveId();
         if (!activeId) {
@@ -336,8 +1053,23 @@ const Chat = (() => {
 
         const convId = Conversations.getActiveId();
 
+        const messageFields = {};
+        if (images.length > 0) messageFields.images = images;
+        if (textAttachments.length > 0) {
+            const { files, inline } = await indexAttachments(convId, textAttachments);
+            if (files.length > 0) messageFields.files = files;
+            // Inject small files and those that could not be indexed into the user text
+            if (inline.length > 0) {
+                let attContext = "\n\n[Attached Files Context:]\n";
+                inline.forEach(att => {
+                    attContext += `--- File: ${att.name} ---\n${att.content}\n`;
+                });
+                text += attContext;
+            }
+        }
+
         // Add user message
-        Conversations.addMessage(convId, 'user', text);
+        Conversations.addMessage(convId, 'user', text, messageFields);
         els.input.value = '';
         els.input.style.height = 'auto';
         updateTokenCount('');
@@ -357,15 +1089,14 @@ const Chat = (() => {
 
         // Conversation history
         conv.messages.forEach(m => {
-            apiMessages.push({ role: m.role, content: m.content });
+            apiMessages.push(toApiMessage(m));
         });
 
         // Advanced Feature Instructions
         const isResearch = document.getElementById('btn-toggle-research')?.classList.contains('active');
         const isWeb = document.getElementById('btn-toggle-web')?.classList.contains('active');
-        const isMulti = document.getElementById('btn-toggle-multi')?.classList.contains('active');
 
-        if (isResearch || isWeb || isMulti) {
+        if (isResearch || isWeb) {
             let extra = "\n\n[System Note: The user has enabled the following advanced features for this request:\n";
             
             if (isResearch) {
@@ -397,24 +1128,32 @@ const Chat = (() => {
                      extra += "- Web Search Error: Could not fetch real-time data.\n";
                 }
             }
-
-            if (isMulti) {
-                const settings = Settings.load();
-                const modelToCombine = settings.multiModelPrimary || "an expert model";
-                extra += `- Multi-Model Synthesis: Synthesize insights as if combining knowledge from several specialized expert models, heavily weighting the perspective of ${modelToCombine}.\n`;
-            }
             extra += "Please adjust your response accordingly.]";
             
             // Append to the last user message in the API call only (don't save to history)
             if (apiMessages.length > 0 && apiMessages[apiMessages.length - 1].role === 'user') {
-                apiMessages[apiMessages.length - 1].content += extra;
+                appendToContent(apiMessages[apiMessages.length - 1], extra);
             }
         }
 
+        const references = await retrieveContext(convId, apiMessages);
+        const requestMessages = fitToContext(apiMessages);
+
+        if (isArena) {
+            await runArena(convId, requestMessages, references);
+            return;
+        }
+        if (isMulti) {
+            await runSynthesis(convId, requestMessages, references);
+            return;
+        }
+
         // Start streaming
         setGenerating(true);
         showTyping();
         streamedContent = '';
+        streamedToolCalls = [];
+        streamedReferences = references;
         document.getElementById('tps-count').textContent = '';
 
         // Add placeholder assistant message
@@ -424,8 +1163,8 @@ const Chat = (() => {
         let tokenCount = 0;
 
         currentAbort = await API.sendMessageStream(
-            apiMessages,
-            {},
+            requestMessages,
+            streamOptions(convId),
             // onToken
             (token) => {
                 if (!document.getElementById('streaming-body')) {
@@ -443,14 +1182,16 @@ const Chat = (() => {
                 }
 
                 // Save incrementally
-                Conversations.updateLastAssistantMessage(convId, streamedContent);
+                Conversations.updateLastAssistantMessage(convId, streamedContent, { toolCalls: streamedToolCalls });
             },
             // onDone
-            () => {
+            async (info) => {
                 finalizeStream();
                 hideTyping();
+                Conversations.updateLastAssistantMessage(convId, streamedContent, streamResultFields(info));
+                renderMessages(convId);
+                await checkStructuredOutput(convId, requestMessages);
                 setGenerating(false);
-                Conversations.updateLastAssistantMessage(convId, streamedContent);
                 renderMessages(convId);
                 Conversations.renderList(
                     (id) => App.switchConversation(id),
@@ -463,32 +1204,41 @@ const Chat = (() => {
                 hideTyping();
                 setGenerating(false);
 
-                // Remove empty assistant message
-                const c = Conversations.get(convId);
-                if (c && c.messages.length > 0 && c.messages[c.messages.length - 1].role === 'assistant' && !c.messages[c.messages.length - 1].content) {
-                    c.messages.pop();
-                    Conversations.update(convId, { messages: c.messages });
-                }
-
+                removeEmptyReply(convId);
                 renderMessages(convId);
                 Toast.show(`Error: ${err.message}`, 'error');
             }
         );
     }
 
+    // Drops the placeholder reply of a request that failed before any output
+    function removeEmptyReply(convId) {
+        const c = Conversations.get(convId);
+        const last = c?.messages[c.messages.length - 1];
+        if (last && last.role === 'assistant' && !last.content && !(last.toolCalls?.length > 0)) {
+            Conversations.removeMessage(convId, last.id);
+        }
+    }
+
     // ---- Regenerate ----
-    async function regenerate() {
+    // The old reply is kept as a sibling of the new one
+    async function regenerate(idx) {
+        if (isGenerating) return;
         const convId = Conversations.getActiveId();
         const conv = Conversations.get(convId);
         if (!conv || conv.messages.length < 2) return;
 
-        // Remove last assistant message
-        if (conv.messages[conv.messages.length - 1].role === 'assistant') {
-            conv.messages.pop();
-            Conversations.update(convId, { messages: conv.messages });
-        }
+        const target = idx === undefined ? conv.messages.length - 1 : idx;
+        const reply = conv.messages[target];
+        if (reply?.role !== 'assistant') return;
+        Conversations.rewindTo(convId, reply.parentId);
+        await respond(convId);
+    }
 
-        // Render without last message
+    // Answers the end of the active path as a new reply
+    async function respond(convId) {
+        const conv = Conversations.get(convId);
+        if (!conv) return;
         renderMessages(convId);
 
         // Re-build API messages
@@ -497,43 +1247,396 @@ const Chat = (() => {
             apiMessages.push({ role: 'system', content: conv.systemPrompt });
         }
         conv.messages.forEach(m => {
-            apiMessages.push({ role: m.role, content: m.content });
+            apiMessages.push(toApiMessage(m));
         });
+        const references = await retrieveContext(convId, apiMessages);
+        const requestMessages = fitToContext(apiMessages);
 
         // Send again
         setGenerating(true);
         showTyping();
         streamedContent = '';
+        streamedToolCalls = [];
+        streamedReferences = references;
         Conversations.addMessage(convId, 'assistant', '');
 
         currentAbort = await API.sendMessageStream(
-            apiMessages,
-            {},
+            requestMessages,
+            streamOptions(convId),
             (token) => {
                 if (!document.getElementById('streaming-body')) {
                     showStreamingMessage();
                 }
                 appendStreamToken(token);
-                Conversations.updateLastAssistantMessage(convId, streamedContent);
+                Conversations.updateLastAssistantMessage(convId, streamedContent, { toolCalls: streamedToolCalls });
             },
-            () => {
+            async (info) => {
                 finalizeStream();
                 hideTyping();
+                Conversations.updateLastAssistantMessage(convId, streamedContent, streamResultFields(info));
+                renderMessages(convId);
+                await checkStructuredOutput(convId, requestMessages);
                 setGenerating(false);
-                Conversations.updateLastAssistantMessage(convId, streamedContent);
                 renderMessages(convId);
             },
             (err) => {
                 finalizeStream();
                 hideTyping();
                 setGenerating(false);
+                removeEmptyReply(convId);
+                renderMessages(convId);
+                Toast.show(`Error: ${err.message}`, 'error');
+            }
+        );
+    }
+
+    // ---- Arena ----
+    // One prompt streams from several models at once, each with its own
+    // request and abort controller, into side-by-side columns. The replies
+    // are siblings in the message tree; the picked one continues the thread.
+    // Tools and structured output stay with the normal single-model flow.
+    let arenaRound = null; // { convId, promptId, runs: Map(reply id -> run) }
+    let arenaFrame = null;
+    const arenaDirty = new Set();
+
+    async function runArena(convId, requestMessages, references) {
+        const { messages } = Conversations.get(convId);
+        const prompt = messages[messages.length - 1];
+        const models = Arena.getModels();
+        const replyIds = Conversations.addArena(convId, prompt.id, models);
+        const runs = new Map(replyIds.map((id, i) => [id, {
+            model: models[i],
+            content: '',
+            tokens: 0,
+            startedAt: Date.now(),
+            firstTokenAt: null,
+            abort: null,
+            done: false,
+            finish: null,
+        }]));
+        arenaRound = { convId, promptId: prompt.id, runs };
+        streamedToolCalls = [];
+        streamedReferences = references;
+        document.getElementById('tps-count').textContent = '';
+
+        setGenerating(true);
+        renderMessages(convId);
+        scrollToBottom();
+        await Promise.all(replyIds.map(id => streamArenaReply(convId, id, requestMessages)));
+
+        // Replies that failed or were stopped before any output are dropped
+        const empty = replyIds.filter(id => !runs.get(id).content);
+        if (empty.length > 0) Conversations.discardArenaReplies(convId, prompt.id, empty);
+        arenaRound = null;
+        setGenerating(false);
+        renderMessages(convId);
+        if (empty.length === replyIds.length) Toast.show('No model in the arena produced an answer.', 'error');
+    }
+
+    function streamArenaReply(convId, replyId, requestMessages) {
+        const run = arenaRound.runs.get(replyId);
+        return new Promise(resolve => {
+            run.finish = (fields) => {
+                if (run.done) return;
+                run.done = true;
+                Conversations.updateMessage(convId, replyId, { content: run.content, ...fields });
+                resolve();
+                if (arenaRound) renderMessages(convId);
+            };
+            API.sendMessageStream(
+                requestMessages,
+                {
+                    model: run.model,
+                    onRetry: ({ attempt, retries, delay, error }) => {
+                        Toast.show(`${run.model}: ${error.message} — retrying (${attempt}/${retries})`, 'warning', Math.max(delay, 2000));
+                    },
+                },
+                (token) => {
+                    if (run.firstTokenAt === null) run.firstTokenAt = Date.now();
+                    run.content += token;
+                    run.tokens++;
+                    scheduleArenaColumn(replyId);
+                },
+                (info) => run.finish(streamResultFields(info, run.content)),
+                (err) => {
+                    Toast.show(`${run.model}: ${err.message}`, 'error');
+                    run.finish({});
+                }
+            ).then(abort => {
+                run.abort = abort;
+            });
+        });
+    }
+
+    // Live columns are patched in place, at most once per animation frame
+    function scheduleArenaColumn(replyId) {
+        arenaDirty.add(replyId);
+        if (arenaFrame) return;
+        arenaFrame = requestAnimationFrame(() => {
+            arenaFrame = null;
+            arenaDirty.forEach(updateArenaColumn);
+            arenaDirty.clear();
+        });
+    }
+
+    function updateArenaColumn(replyId) {
+        const run = arenaRound?.runs.get(replyId);
+        const column = document.querySelector(`.arena-column[data-reply="${replyId}"]`);
+        if (!run || run.done || !column) return;
+        column.querySelector('.arena-body').innerHTML = parseMarkdown(run.content);
+        column.querySelector('.arena-stats').textContent = liveArenaStats(run);
+    }
+
+    function liveArenaStats(run) {
+        if (run.firstTokenAt === null) return 'waiting…';
+        const elapsed = (Date.now() - run.firstTokenAt) / 1000;
+        const speed = elapsed > 0 ? ` · ${(run.tokens / elapsed).toFixed(1)} tok/s` : '';
+        return `first token ${formatSeconds(run.firstTokenAt - run.startedAt)} · ${run.tokens} tokens${speed}`;
+    }
+
+    // Timing summary of a finished reply or draft
+    function generationStats(reply) {
+        const gen = reply.generation;
+        if (!gen) return 'stopped';
+        const tokens = reply.usage?.completion_tokens ?? Tokenizer.count(reply.content, gen.model);
+        const speed = gen.tokensPerSecond != null ? ` · ${gen.tokensPerSecond} tok/s` : '';
+        return `first token ${formatSeconds(gen.firstTokenMs)} · ${tokens} tokens${speed} · ${formatSeconds(gen.durationMs)}`;
+    }
+
+    // The undecided round is rendered as one extra list item after its prompt
+    function arenaItem(conv, prompt) {
+        const replies = prompt.arena.replyIds.map(id => conv.nodes[id]).filter(Boolean);
+        const live = arenaRound?.promptId === prompt.id;
+        const state = live ? [...arenaRound.runs.values()].map(run => run.done ? 'd' : 'r').join('') : '';
+        return {
+            key: `arena_${prompt.id}`,
+            version: `${hashString(JSON.stringify(replies))}.${state}`,
+            length: Math.max(0, ...replies.map(reply => reply.content.length)) * 2,
+            hasImages: false,
+            render: () => renderArena(prompt, replies),
+        };
+    }
+
+    function renderArena(prompt, replies) {
+        const live = arenaRound?.promptId === prompt.id ? arenaRound.runs : null;
+        const columns = replies.map(reply => {
+            const run = live?.get(reply.id);
+            const streaming = run && !run.done;
+            const content = streaming ? run.content : reply.content;
+            const body = content
+                ? parseMarkdown(content)
+                : '<div class="typing-indicator"><div class="dot"></div><div class="dot"></div><div class="dot"></div></div>';
+            return `
+            <div class="arena-column" data-reply="${reply.id}">
+              <div class="arena-column-header">
+                <span class="arena-model">${escapeCode(reply.arenaModel)}</span>
+                <span class="arena-stats">${streaming ? liveArenaStats(run) : generationStats(reply)}</span>
+              </div>
+              <div class="message-body arena-body">${body}</div>
+              <button class="btn-secondary arena-pick" onclick="Chat.pickArenaWinner('${reply.id}')"${live ? ' disabled' : ''}>🏆 Pick this answer</button>
+            </div>`;
+        }).join('');
+        const hint = live ? 'Streaming from each model…' : 'Pick the better answer to continue with it';
+        return `
+        <div class="arena" data-arena="${prompt.id}">
+          <div class="arena-header"><span class="message-role">Arena</span> <span>${hint}</span></div>
+          <div class="arena-grid" style="--arena-columns: ${replies.length}">${columns}</div>
+        </div>`;
+    }
+
+    function stopArena() {
+        arenaRound.runs.forEach(run => {
+            if (run.done) return;
+            run.abort?.abort();
+            run.finish({});
+        });
+    }
+
+    // The picked reply becomes the active branch; the others stay reachable with ‹ ›
+    function pickArenaWinner(replyId) {
+        if (isGenerating) return;
+        const convId = Conversations.getActiveId();
+        const conv = Conversations.get(convId);
+        const reply = conv?.nodes[replyId];
+        const prompt = reply && conv.nodes[reply.parentId];
+        if (!prompt?.arena || prompt.arena.winner) return;
+        Conversations.pickArenaWinner(convId, prompt.id, replyId);
+        Arena.recordWinner(prompt.arena.replyIds.map(id => conv.nodes[id].arenaModel), reply.arenaModel);
+        renderMessages(convId);
+        Toast.show(`${reply.arenaModel} wins this round`, 'success');
+    }
+
+    // ---- Multi-Model Synthesis ----
+    // The prompt goes to every draft model at once; the primary model then
+    // writes the answer with all drafts in view. The drafts are kept on the
+    // reply and shown in collapsible panels under it.
+    let synthesis = null; // { drafts: [{ model, content, done, abort, finish, ... }], stopped }
+    let draftsFrame = null;
+
+    function synthesisModels() {
+        const settings = Settings.load();
+        return {
+            drafts: settings.multiModelDrafts || [],
+            primary: settings.multiModelPrimary || settings.model,
+        };
+    }
+
+    function synthesisInstructions(drafts) {
+        const sections = drafts.map((d, i) => `--- Draft ${i + 1} (${d.model}) ---\n${d.content}`).join('\n\n');
+        return `\n\n[Drafts from other models:]\n${sections}\n\n[Write the final answer to the message above. Combine the strongest points of the drafts, correct their mistakes and settle where they disagree. Answer directly, without mentioning the drafts.]`;
+    }
+
+    async function runSynthesis(convId, requestMessages, references) {
+        const { drafts: models, primary } = synthesisModels();
+        setGenerating(true);
+        streamedContent = '';
+        streamedToolCalls = [];
+        streamedReferences = references;
+        document.getElementById('tps-count').textContent = '';
+        Conversations.addMessage(convId, 'assistant', '');
+        showStreamingMessage();
+
+        synthesis = {
+            drafts: models.map(model => ({ model, content: '', done: false, abort: null, finish: null })),
+            stopped: false,
+        };
+        renderLiveDrafts();
+        await Promise.all(synthesis.drafts.map(draft => streamDraft(draft, requestMessages)));
+
+        const { drafts, stopped } = synthesis;
+        synthesis = null;
+        const usable = drafts.filter(d => d.content && !d.error);
+        if (stopped || usable.length === 0) {
+            finalizeStream();
+            setGenerating(false);
+            if (usable.length > 0) {
+                Conversations.updateLastAssistantMessage(convId, '', { drafts: savedDrafts(drafts) });
+            } else {
+                removeEmptyReply(convId);
+                if (!stopped) Toast.show('No draft model produced an answer.', 'error');
+            }
+            renderMessages(convId);
+            return;
+        }
+        Conversations.updateLastAssistantMessage(convId, '', { drafts: savedDrafts(drafts) });
+
+        // The drafts ride along with the latest user turn of this request only
+        const synthesisMessages = requestMessages.map(m => ({
+            ...m,
+            content: Array.isArray(m.content) ? m.content.map(part => ({ ...part })) : m.content,
+        }));
+        appendToContent(synthesisMessages[synthesisMessages.length - 1], synthesisInstructions(usable));
+        const finalMessages = fitToContext(synthesisMessages);
+
+        currentAbort = await API.sendMessageStream(
+            finalMessages,
+            { ...streamOptions(convId), tools: [], model: primary },
+            (token) => {
+                appendStreamToken(token);
+                Conversations.updateLastAssistantMessage(convId, streamedContent, { toolCalls: streamedToolCalls });
+            },
+            async (info) => {
+                finalizeStream();
+                Conversations.updateLastAssistantMessage(convId, streamedContent, streamResultFields(info));
+                renderMessages(convId);
+                await checkStructuredOutput(convId, finalMessages);
+                setGenerating(false);
+                renderMessages(convId);
+                Conversations.renderList(
+                    (id) => App.switchConversation(id),
+                    (id) => App.onDeleteConversation(id)
+                );
+            },
+            (err) => {
+                finalizeStream();
+                setGenerating(false);
+                renderMessages(convId);
                 Toast.show(`Error: ${err.message}`, 'error');
             }
         );
     }
 
+    function streamDraft(draft, requestMessages) {
+        return new Promise(resolve => {
+            draft.finish = (fields = {}) => {
+                if (draft.done) return;
+                Object.assign(draft, fields, { done: true });
+                resolve();
+                renderLiveDrafts();
+            };
+            API.sendMessageStream(
+                requestMessages,
+                {
+                    model: draft.model,
+                    onRetry: ({ attempt, retries, delay, error }) => {
+                        Toast.show(`${draft.model}: ${error.message} — retrying (${attempt}/${retries})`, 'warning', Math.max(delay, 2000));
+                    },
+                },
+                (token) => {
+                    draft.content += token;
+                    scheduleLiveDrafts();
+                },
+                (info) => draft.finish({ generation: generationInfo(info, draft.content) }),
+                (err) => draft.finish({ error: err.message })
+            ).then(abort => {
+                draft.abort = abort;
+            });
+        });
+    }
+
+    function savedDrafts(drafts) {
+        return drafts.map(({ model, content, generation, error }) => ({ model, content, generation, error }));
+    }
+
+    function scheduleLiveDrafts() {
+        if (draftsFrame) return;
+        draftsFrame = requestAnimationFrame(() => {
+            draftsFrame = null;
+            renderLiveDrafts();
+        });
+    }
+
+    // Progress rows while the drafts are written; panels come with the final render
+    function renderLiveDrafts() {
+        const el = document.getElementById('streaming-drafts');
+        if (!el || !synthesis) return;
+        const rows = synthesis.drafts.map(d => {
+            const status = d.error ? `failed: ${d.error}` : d.done ? `done · ${d.content.length} chars` : `writing… ${d.content.length} chars`;
+            return `<div class="synthesis-status-row"><span>${escapeCode(d.model)}</span><span>${escapeCode(status)}</span></div>`;
+        }).join('');
+        el.innerHTML = `<div class="synthesis-status"><div class="tool-label">Drafts</div>${rows}</div>`;
+    }
+
+    function renderDrafts(drafts) {
+        if (!drafts?.length) return '';
+        const panels = drafts.map(d => `
+            <details class="thinking-panel draft-panel">
+                <summary>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect></svg>
+                    ${escapeCode(d.model)}
+                    <span class="draft-meta">${escapeCode(d.error ? 'failed' : generationStats(d))}</span>
+                </summary>
+                <div class="thinking-content tool-content">${d.error ? `<p>${escapeCode(d.error)}</p>` : parseMarkdown(d.content)}</div>
+            </details>`).join('');
+        return `<div class="synthesis-drafts"><div class="tool-label">Drafts from ${drafts.length} model${drafts.length !== 1 ? 's' : ''}</div>${panels}</div>`;
+    }
+
     // ---- Stop Generation ----
     function stop() {
+        if (arenaRound) {
+            stopArena();
+            Toast.show('Generation stopped', 'info');
+            return;
+        }
+        if (synthesis) {
+            synthesis.stopped = true;
+            synthesis.drafts.forEach(draft => {
+                draft.abort?.abort();
+                draft.finish();
+            });
+            Toast.show('Generation stopped', 'info');
+            return;
+        }
         if (currentAbort) {
             currentAbort.abort();
             currentAbort = null;
@@ -543,8 +1646,8 @@ const Chat = (() => {
         setGenerating(false);
 
         const convId = Conversations.getActiveId();
-        if (streamedContent) {
-            Conversations.updateLastAssistantMessage(convId, streamedContent);
+        if (streamedContent || streamedToolCalls.length > 0) {
+            Conversations.updateLastAssistantMessage(convId, streamedContent, { toolCalls: streamedToolCalls });
         }
         renderMessages(convId);
         Toast.show('Generation stopped', 'info');
@@ -566,11 +1669,13 @@ const Chat = (() => {
         }
     }
 
-    // ---- Token Counter (approximate) ----
+    // ---- Token Counter ----
+    // Exact when a BPE table for the model family is loaded, "~" estimate otherwise
     function updateTokenCount(text) {
-        const count = Math.ceil((text || '').length / 4);
+        const model = Settings.load().model;
+        const count = Tokenizer.count(text || '', model);
         const el = document.getElementById('token-count');
-        if (el) el.textContent = `~${count} tokens`;
+        if (el) el.textContent = `${Tokenizer.isExact(model) ? '' : '~'}${count} tokens`;
     }
 
     // ---- Auto-resize Input ----
@@ -584,14 +1689,24 @@ const Chat = (() => {
         send,
         stop,
         regenerate,
+        switchBranch,
+        editMessage,
+        submitEdit,
+        pickArenaWinner,
         copyMessage,
         copyCode,
+        toggleCodeOption,
+        toggleDiagramSource,
+        exportDiagram,
         readAloud,
         updateTokenCount,
         autoResize,
         scrollToBottom,
         addAttachment,
+        addImageAttachment,
         removeAttachment,
+        viewImage,
+        viewReference,
         isGenerating: () => isGenerating,
     };
 })();
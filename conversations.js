@@ -1,17 +1,30 @@
 // ============================================================
-// conversations.js — Multi-Conversation Management (localStorage)
+// conversations.js — Multi-Conversation Management
+// Kept in memory and persisted through store.js (IndexedDB), or
+// in localStorage where IndexedDB is not available
 // ============================================================
 
 const Conversations = (() => {
     const STORAGE_KEY = 'chatapp_conversations';
     const ACTIVE_KEY = 'chatapp_active_conversation';
+    const FOLDERS_KEY = 'chatapp_folders';
 
     // ---- Helpers ----
     function generateId() {
         return 'conv_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
     }
 
-    function loadAll() {
+    function generateMessageId() {
+        return 'msg_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+    }
+
+    // ---- Storage ----
+    // `records` holds the stored form (no `messages`), newest first. Reads hand
+    // out copies, so callers can change what they get without saving it.
+    let records = null;
+    let backend = 'localStorage';
+
+    function readLocal() {
         try {
             return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
         } catch {
@@ -19,8 +32,143 @@ const Conversations = (() => {
         }
     }
 
-    function saveAll(conversations) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(conversations));
+    function writeLocal() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+        } catch (err) {
+            Toast.show(`Could not save conversations: ${err.message}`, 'error');
+        }
+    }
+
+    // `messages` is derived from the tree on load, so it is not stored
+    function toRecord({ messages, ...conv }) {
+        return conv;
+    }
+
+    // Until init() has run (or without IndexedDB) conversations come from localStorage
+    function stored() {
+        if (!records) records = readLocal().map(conv => toRecord(hydrate(conv)));
+        return records;
+    }
+
+    function persist(conv) {
+        if (backend === 'indexeddb') Store.save(conv);
+        else writeLocal();
+        emitChange(conv.id);
+    }
+
+    function forget(id) {
+        if (backend === 'indexeddb') Store.remove(id);
+        else writeLocal();
+        emitChange(id);
+    }
+
+    // ---- Change Listeners ----
+    // Called with the id of a conversation that was created, changed or
+    // deleted (addMessage and every tree operation end in update), or with
+    // null when all of them were replaced
+    const changeListeners = new Set();
+
+    function onChange(listener) {
+        changeListeners.add(listener);
+        return () => changeListeners.delete(listener);
+    }
+
+    function emitChange(id) {
+        changeListeners.forEach(listener => {
+            try {
+                listener(id);
+            } catch (err) {
+                console.error('Conversation listener failed:', err);
+            }
+        });
+    }
+
+    // Loads conversations from IndexedDB. The first time, whatever older
+    // versions kept in localStorage is moved over and the old key removed.
+    async function init() {
+        try {
+            const legacy = localStorage.getItem(STORAGE_KEY);
+            if (legacy !== null) {
+                await Store.putAll(readLocal().map(conv => toRecord(hydrate(conv))));
+                localStorage.removeItem(STORAGE_KEY);
+            }
+            const loaded = await Store.loadAll();
+            records = loaded.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+            backend = 'indexeddb';
+        } catch (err) {
+            console.warn('IndexedDB unavailable, keeping conversations in localStorage:', err);
+            backend = 'localStorage';
+            records = null;
+            return;
+        }
+        // Batched writes should not be lost when the tab goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') Store.flush();
+        });
+        window.addEventListener('pagehide', () => Store.flush());
+    }
+
+    function loadAll() {
+        return stored().map(conv => hydrate(structuredClone(conv)));
+    }
+
+    // ---- Message Tree ----
+    // Messages live in `nodes`, keyed by id. Each node knows its parent, its
+    // children (edits and regenerations are siblings) and which child is on
+    // the active path; `rootIds` / `activeRootId` do the same for the first
+    // message. `conv.messages` is the active path, root to leaf.
+    function childIds(conv, parentId) {
+        return parentId ? conv.nodes[parentId].children : conv.rootIds;
+    }
+
+    function setActiveChild(conv, parentId, childId) {
+        if (parentId) conv.nodes[parentId].activeChild = childId;
+        else conv.activeRootId = childId;
+    }
+
+    function activePath(conv) {
+        const path = [];
+        let id = conv.activeRootId;
+        while (id && conv.nodes[id]) {
+            const { children, activeChild, ...message } = conv.nodes[id];
+            path.push(message);
+            id = activeChild;
+        }
+        return path;
+    }
+
+    // Old conversations (and old exports) keep a flat `messages` array
+    function fromFlat(conv) {
+        const tree = { nodes: {}, rootIds: [], activeRootId: null };
+        let parentId = null;
+        (conv.messages || []).forEach(msg => {
+            const node = { ...msg, id: generateMessageId(), parentId, children: [], activeChild: null };
+            tree.nodes[node.id] = node;
+            if (parentId) tree.nodes[parentId].children.push(node.id);
+            else tree.rootIds.push(node.id);
+            setActiveChild(tree, parentId, node.id);
+            parentId = node.id;
+        });
+        return tree;
+    }
+
+    function hydrate(conv) {
+        if (!conv.nodes) Object.assign(conv, fromFlat(conv));
+        conv.messages = activePath(conv);
+        return conv;
+    }
+
+    function appendNode(conv, parentId, fields) {
+        const node = { ...fields, id: generateMessageId(), parentId, children: [], activeChild: null };
+        conv.nodes[node.id] = node;
+        childIds(conv, parentId).push(node.id);
+        setActiveChild(conv, parentId, node.id);
+        return node;
+    }
+
+    function saveTree(conv, updates = {}) {
+        return update(conv.id, { nodes: conv.nodes, rootIds: conv.rootIds, activeRootId: conv.activeRootId, ...updates });
     }
 
     function getActiveId() {
@@ -33,24 +181,29 @@ const Conversations = (() => {
 
     // ---- CRUD ----
     function create(title) {
-        const conversations = loadAll();
         const settings = Settings.load();
         const conv = {
             id: generateId(),
             title: title || 'New Chat',
-            messages: [],
+            nodes: {},
+            rootIds: [],
+            activeRootId: null,
             systemPrompt: settings.systemPrompt || 'You are a helpful AI assistant.',
+            pinned: false,
+            tags: [],
+            folder: [],
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
         };
-        conversations.unshift(conv);
-        saveAll(conversations);
+        stored().unshift(conv);
+        persist(conv);
         setActiveId(conv.id);
-        return conv;
+        return hydrate(structuredClone(conv));
     }
 
     function get(id) {
-        return loadAll().find(c => c.id === id) || null;
+        const conv = stored().find(c => c.id === id);
+        return conv ? hydrate(structuredClone(conv)) : null;
     }
 
     function getActive() {
@@ -60,68 +213,360 @@ const Conversations = (() => {
     }
 
     function update(id, updates) {
-        const conversations = loadAll();
-        const idx = conversations.findIndex(c => c.id === id);
+        const all = stored();
+        const idx = all.findIndex(c => c.id === id);
         if (idx === -1) return null;
-        conversations[idx] = {
-            ...conversations[idx],
-            ...updates,
+        all[idx] = toRecord({
+            ...all[idx],
+            ...structuredClone(updates),
             updatedAt: new Date().toISOString(),
-        };
-        saveAll(conversations);
-        return conversations[idx];
+        });
+        persist(all[idx]);
+        return hydrate(structuredClone(all[idx]));
     }
 
     function remove(id) {
-        let conversations = loadAll();
-        conversations = conversations.filter(c => c.id !== id);
-        saveAll(conversations);
+        records = stored().filter(c => c.id !== id);
+        forget(id);
         // If we deleted the active one, switch to first available
         if (getActiveId() === id) {
-            if (conversations.length > 0) {
-                setActiveId(conversations[0].id);
+            if (records.length > 0) {
+                setActiveId(records[0].id);
             } else {
                 localStorage.removeItem(ACTIVE_KEY);
             }
         }
-        return conversations;
+        return loadAll();
     }
 
     function rename(id, newTitle) {
         return update(id, { title: newTitle });
     }
 
-    function addMessage(id, role, content) {
+    // Appends to the end of the active path. `fields` carries extra message
+    // data such as attached images.
+    function addMessage(id, role, content, fields = {}) {
         const conv = get(id);
         if (!conv) return null;
-        if (!conv.messages) conv.messages = [];
-        conv.messages.push({
+        const last = conv.messages[conv.messages.length - 1];
+        appendNode(conv, last ? last.id : null, {
+            ...fields,
             role,
             content,
             timestamp: new Date().toISOString(),
         });
         // Auto-title from first user message
-        if (role === 'user' && conv.messages.filter(m => m.role === 'user').length === 1 && conv.title === 'New Chat') {
+        if (role === 'user' && content && conv.title === 'New Chat' && !conv.messages.some(m => m.role === 'user')) {
             conv.title = content.slice(0, 40) + (content.length > 40 ? '…' : '');
         }
-        return update(id, { messages: conv.messages, title: conv.title });
+        return saveTree(conv, { title: conv.title });
     }
 
-    function updateLastAssistantMessage(id, content) {
+    // `fields` merges extra data (e.g. toolCalls) onto the message
+    function updateLastAssistantMessage(id, content, fields = {}) {
         const conv = get(id);
         if (!conv) return null;
-        for (let i = conv.messages.length - 1; i >= 0; i--) {
-            if (conv.messages[i].role === 'assistant') {
-                conv.messages[i].content = content;
-                break;
-            }
+        const last = [...conv.messages].reverse().find(m => m.role === 'assistant');
+        if (last) Object.assign(conv.nodes[last.id], fields, { content });
+        return saveTree(conv);
+    }
+
+    // Adds an edited copy of a message as its sibling and switches to it;
+    // the original and everything after it stay reachable as a branch
+    function editMessage(id, messageId, content) {
+        const conv = get(id);
+        const original = conv?.nodes[messageId];
+        if (!original) return null;
+        // An arena round belongs to the original prompt, not to its edits
+        const { arena, ...fields } = original;
+        appendNode(conv, original.parentId, { ...fields, content, timestamp: new Date().toISOString() });
+        return saveTree(conv);
+    }
+
+    // Makes `messageId` the end of the active path (its replies stay as a
+    // branch), so the next addMessage becomes a sibling of them
+    function rewindTo(id, messageId) {
+        const conv = get(id);
+        if (!conv) return null;
+        if (messageId) {
+            if (!conv.nodes[messageId]) return null;
+            conv.nodes[messageId].activeChild = null;
+        } else {
+            conv.activeRootId = null;
+        }
+        return saveTree(conv);
+    }
+
+    // Shows the previous (-1) or next (+1) alternative of a message
+    function switchBranch(id, messageId, offset) {
+        const conv = get(id);
+        const node = conv?.nodes[messageId];
+        if (!node) return null;
+        const siblings = childIds(conv, node.parentId);
+        const target = siblings[siblings.indexOf(messageId) + offset];
+        if (!target) return null;
+        setActiveChild(conv, node.parentId, target);
+        return saveTree(conv);
+    }
+
+    // Deletes a message with its replies; the path falls back to the newest remaining sibling
+    function removeMessage(id, messageId) {
+        const conv = get(id);
+        const node = conv?.nodes[messageId];
+        if (!node) return null;
+        const drop = nodeId => {
+            conv.nodes[nodeId].children.forEach(drop);
+            delete conv.nodes[nodeId];
+        };
+        drop(messageId);
+        const siblings = childIds(conv, node.parentId);
+        siblings.splice(siblings.indexOf(messageId), 1);
+        const parentActive = node.parentId ? conv.nodes[node.parentId].activeChild : conv.activeRootId;
+        if (parentActive === messageId) setActiveChild(conv, node.parentId, siblings[siblings.length - 1] || null);
+        return saveTree(conv);
+    }
+
+    // `fields` merges onto any message, e.g. one of several replies streaming at once
+    function updateMessage(id, messageId, fields) {
+        const conv = get(id);
+        if (!conv?.nodes[messageId]) return null;
+        Object.assign(conv.nodes[messageId], fields);
+        return saveTree(conv);
+    }
+
+    // ---- Arena ----
+    // One empty reply per model under `messageId`, recorded on that message as
+    // `arena: { models, replyIds, winner }`. The active path stops at the prompt
+    // until a winner is picked. Returns the reply ids in model order.
+    function addArena(id, messageId, models) {
+        const conv = get(id);
+        const prompt = conv?.nodes[messageId];
+        if (!prompt) return [];
+        const replyIds = models.map(model => appendNode(conv, messageId, {
+            role: 'assistant',
+            content: '',
+            arenaModel: model,
+            timestamp: new Date().toISOString(),
+        }).id);
+        prompt.arena = { models, replyIds, winner: null };
+        prompt.activeChild = null;
+        saveTree(conv);
+        return replyIds;
+    }
+
+    // The winning reply continues the conversation; the others stay as its siblings
+    function pickArenaWinner(id, messageId, replyId) {
+        const conv = get(id);
+        const prompt = conv?.nodes[messageId];
+        if (!prompt?.arena || !prompt.children.includes(replyId)) return null;
+        prompt.arena.winner = replyId;
+        prompt.activeChild = replyId;
+        return saveTree(conv);
+    }
+
+    // Replies that failed are dropped; without any left the prompt is a plain message again
+    function discardArenaReplies(id, messageId, replyIds) {
+        const conv = get(id);
+        const prompt = conv?.nodes[messageId];
+        if (!prompt?.arena) return null;
+        replyIds.forEach(replyId => {
+            if (!conv.nodes[replyId]) return;
+            delete conv.nodes[replyId];
+            prompt.children.splice(prompt.children.indexOf(replyId), 1);
+        });
+        prompt.arena.replyIds = prompt.arena.replyIds.filter(replyId => !replyIds.includes(replyId));
+        if (prompt.arena.replyIds.length === 0) delete prompt.arena;
+        return saveTree(conv);
+    }
+
+    // Ids of a message and its alternatives, in creation order
+    function siblingsOf(conv, messageId) {
+        const node = conv?.nodes?.[messageId];
+        return node ? childIds(conv, node.parentId) : [];
+    }
+
+    // ---- Organization ----
+    // Kept on each record: `pinned`, `tags` ([{ name, color }]) and `folder`
+    // (the folder path, e.g. ['Work', 'Clients']; [] when unfiled). None of
+    // it changes `updatedAt`, so tidying up does not reorder the list.
+    const TAG_COLORS = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#8b5cf6', '#14b8a6'];
+
+    function organize(id, fields) {
+        const all = stored();
+        const idx = all.findIndex(c => c.id === id);
+        if (idx === -1) return null;
+        all[idx] = { ...all[idx], ...structuredClone(fields) };
+        persist(all[idx]);
+        return hydrate(structuredClone(all[idx]));
+    }
+
+    function togglePinned(id) {
+        const conv = stored().find(c => c.id === id);
+        return conv ? organize(id, { pinned: !conv.pinned }) : null;
+    }
+
+    // Map(name -> color) of every tag in use, by name
+    function allTags() {
+        const tags = new Map();
+        stored().forEach(conv => (conv.tags || []).forEach(tag => {
+            if (!tags.has(tag.name)) tags.set(tag.name, tag.color);
+        }));
+        return new Map([...tags].sort((a, b) => a[0].localeCompare(b[0])));
+    }
+
+    // A tag keeps its color everywhere; new ones take the next palette color
+    function tagColor(name, tags = allTags()) {
+        return tags.get(name) || TAG_COLORS[tags.size % TAG_COLORS.length];
+    }
+
+    function toggleTag(id, name, on) {
+        const conv = stored().find(c => c.id === id);
+        if (!conv || !name) return null;
+        const tags = (conv.tags || []).filter(tag => tag.name !== name);
+        if (on) tags.push({ name, color: tagColor(name) });
+        return organize(id, { tags });
+    }
+
+    function setTagColor(name, color) {
+        stored().forEach(conv => {
+            if (!(conv.tags || []).some(tag => tag.name === name)) return;
+            organize(conv.id, { tags: conv.tags.map(tag => tag.name === name ? { name, color } : tag) });
+        });
+    }
+
+    // Folders exist while a conversation is filed in them; empty ones (just
+    // created, or emptied by moving chats out) are remembered separately
+    function loadFolderState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(FOLDERS_KEY)) || {};
+            return { folders: state.folders || [], collapsed: state.collapsed || [] };
+        } catch {
+            return { folders: [], collapsed: [] };
         }
-        return update(id, { messages: conv.messages });
+    }
+
+    function saveFolderState(state) {
+        localStorage.setItem(FOLDERS_KEY, JSON.stringify(state));
+    }
+
+    // 'Work / Clients' -> ['Work', 'Clients']
+    function parseFolderPath(text) {
+        return (text || '').split('/').map(part => part.trim()).filter(Boolean);
+    }
+
+    function folderKey(path) {
+        return JSON.stringify(path);
+    }
+
+    function isWithin(path, folder) {
+        return folder.length <= path.length && folder.every((part, i) => path[i] === part);
+    }
+
+    // Every folder path, parents included, sorted by name
+    function listFolders() {
+        const keys = new Set();
+        const add = path => path.forEach((_, i) => keys.add(folderKey(path.slice(0, i + 1))));
+        loadFolderState().folders.forEach(add);
+        stored().forEach(conv => add(conv.folder || []));
+        return [...keys].map(key => JSON.parse(key)).sort((a, b) => a.join('\u0000').localeCompare(b.join('\u0000')));
+    }
+
+    function createFolder(path) {
+        if (path.length === 0) return;
+        const state = loadFolderState();
+        if (!state.folders.some(folder => folderKey(folder) === folderKey(path))) state.folders.push(path);
+        saveFolderState(state);
+    }
+
+    function moveToFolder(id, path) {
+        return organize(id, { folder: path });
+    }
+
+    // Moves a folder with everything in it from `from` to `to`
+    function reprefix(from, to) {
+        const move = path => isWithin(path, from) ? [...to, ...path.slice(from.length)] : path;
+        stored().forEach(conv => {
+            if (isWithin(conv.folder || [], from)) organize(conv.id, { folder: move(conv.folder) });
+        });
+        const state = loadFolderState();
+        const folders = new Map(state.folders.map(move).filter(path => path.length > 0).map(path => [folderKey(path), path]));
+        state.folders = [...folders.values()];
+        state.collapsed = state.collapsed.map(key => folderKey(move(JSON.parse(key))));
+        saveFolderState(state);
+    }
+
+    function renameFolder(path, name) {
+        reprefix(path, [...path.slice(0, -1), name]);
+    }
+
+    // Returns false when a folder would end up inside itself
+    function moveFolder(path, parent) {
+        if (isWithin(parent, path)) return false;
+        reprefix(path, [...parent, path[path.length - 1]]);
+        return true;
+    }
+
+    // Conversations and subfolders move up to the parent folder
+    function deleteFolder(path) {
+        reprefix(path, path.slice(0, -1));
+    }
+
+    function toggleFolderCollapsed(path) {
+        const state = loadFolderState();
+        const key = folderKey(path);
+        state.collapsed = state.collapsed.includes(key)
+            ? state.collapsed.filter(k => k !== key)
+            : [...state.collapsed, key];
+        saveFolderState(state);
+    }
+
+    // Imported files may come from other versions or be edited by hand
+    function normalizeOrganization(conv) {
+        const tags = allTags();
+        conv.pinned = !!conv.pinned;
+        conv.tags = (Array.isArray(conv.tags) ? conv.tags : [])
+            .filter(tag => typeof tag?.name === 'string' && tag.name.trim())
+            .map(tag => {
+                const name = tag.name.trim();
+                const color = tags.get(name) || (/^#[0-9a-f]{6}$/i.test(tag.color) ? tag.color : tagColor(name, tags));
+                return { name, color };
+            });
+        conv.folder = (Array.isArray(conv.folder) ? conv.folder : [])
+            .filter(part => typeof part === 'string' && part.trim())
+            .map(part => part.trim());
+        return conv;
     }
 
     function clearAll() {
+        records = [];
+        if (backend === 'indexeddb') Store.clear();
         localStorage.removeItem(STORAGE_KEY);
         localStorage.removeItem(ACTIVE_KEY);
+        localStorage.removeItem(FOLDERS_KEY);
+        emitChange(null);
+    }
+
+    // ---- Storage Usage ----
+    // { backend, conversations, messages, usage, quota }; sizes in bytes, null when unknown
+    async function storageInfo() {
+        const all = stored();
+        const info = {
+            backend,
+            conversations: all.length,
+            messages: all.reduce((sum, conv) => sum + Object.keys(conv.nodes || {}).length, 0),
+            usage: null,
+            quota: null,
+        };
+        if (backend === 'indexeddb') {
+            const estimate = await navigator.storage?.estimate?.().catch(() => null);
+            info.usage = estimate?.usage ?? null;
+            info.quota = estimate?.quota ?? null;
+        } else {
+            // UTF-16 in memory; browsers allow about 5 MB per origin
+            info.usage = (localStorage.getItem(STORAGE_KEY) || '').length * 2;
+            info.quota = 5 * 1024 * 1024;
+        }
+        return info;
     }
 
     // ---- Export / Import ----
@@ -148,44 +593,302 @@ const Conversations = (() => {
         URL.revokeObjectURL(url);
     }
 
-    function importFromJSON(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            const conversations = loadAll();
-
-            if (Array.isArray(data)) {
-                // Multiple conversations
-                data.forEach(conv => {
-                    if (conv.id && conv.messages) {
-                        conv.id = generateId(); // Avoid conflicts
-                        conversations.unshift(conv);
-                    }
-                });
-            } else if (data.id && data.messages) {
-                // Single conversation
-                data.id = generateId();
-                conversations.unshift(data);
+    // Stores conversations read and validated by Importer. Mode 'replace'
+    // overwrites the conversation with the same id; 'copy' (or a missing id)
+    // stores it under a new one. Returns the ids stored.
+    function importConversations(items) {
+        return items.map(({ conv, mode }) => {
+            const record = toRecord(hydrate(normalizeOrganization(structuredClone(conv))));
+            const all = stored();
+            const idx = record.id ? all.findIndex(c => c.id === record.id) : -1;
+            if (mode === 'replace' && idx !== -1) {
+                all[idx] = record;
             } else {
-                throw new Error('Invalid format');
+                if (!record.id || idx !== -1) record.id = generateId();
+                all.unshift(record);
             }
+            persist(record);
+            return record.id;
+        });
+    }
 
-            saveAll(conversations);
-            return true;
-        } catch (err) {
-            console.error('Import error:', err);
-            return false;
+    // ---- Render Sidebar ----
+    // Pinned chats first, then the folder tree, then unfiled chats grouped by
+    // when they were last updated. Picking a tag shows only chats with that tag.
+    const DRAG_CONVERSATION = 'application/x-chat-conversation';
+    const DRAG_FOLDER = 'application/x-chat-folder';
+    let listHandlers = [null, null];
+    let tagFilter = null;
+    let tagMenu = null;
+
+    function refreshList() {
+        renderList(...listHandlers);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    function byUpdated(a, b) {
+        return (b.updatedAt || '').localeCompare(a.updatedAt || '');
+    }
+
+    function dateGroup(iso, now = new Date()) {
+        const DAY = 24 * 60 * 60 * 1000;
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const time = new Date(iso || 0).getTime();
+        if (time >= today) return 'Today';
+        if (time >= today - DAY) return 'Yesterday';
+        if (time >= today - 6 * DAY) return 'Last 7 days';
+        if (time >= today - 29 * DAY) return 'Last 30 days';
+        return 'Older';
+    }
+
+    function groupLabel(text) {
+        const label = document.createElement('div');
+        label.className = 'conv-group-label';
+        label.textContent = text;
+        return label;
+    }
+
+    function appendByDate(listEl, conversations) {
+        let current = null;
+        conversations.forEach(conv => {
+            const group = dateGroup(conv.updatedAt);
+            if (group !== current) listEl.appendChild(groupLabel(group));
+            current = group;
+            listEl.appendChild(renderItem(conv));
+        });
+    }
+
+    // Highlights a drop target while something it accepts is dragged over it
+    function makeDropTarget(el, onDrop) {
+        const accepts = e => [DRAG_CONVERSATION, DRAG_FOLDER].some(type => e.dataTransfer.types.includes(type));
+        el.addEventListener('dragover', (e) => {
+            if (!accepts(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            el.classList.add('drag-over');
+        });
+        el.addEventListener('dragleave', (e) => {
+            if (!el.contains(e.relatedTarget)) el.classList.remove('drag-over');
+        });
+        el.addEventListener('drop', (e) => {
+            if (!accepts(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            el.classList.remove('drag-over');
+            const convId = e.dataTransfer.getData(DRAG_CONVERSATION);
+            const folder = e.dataTransfer.getData(DRAG_FOLDER);
+            onDrop(convId ? { convId } : { folder: JSON.parse(folder) });
+        });
+    }
+
+    // Dropping into a folder, or onto the list itself to take things out
+    function dropInto(path) {
+        return ({ convId, folder }) => {
+            if (convId) moveToFolder(convId, path);
+            else if (!moveFolder(folder, path)) {
+                Toast.show('A folder cannot be moved into itself.', 'warning');
+                return;
+            }
+            refreshList();
+        };
+    }
+
+    function renderItem(conv) {
+        const [onSwitch, onDelete] = listHandlers;
+        const activeId = getActiveId();
+        const item = document.createElement('div');
+        item.className = 'conversation-item' + (conv.id === activeId ? ' active' : '') + (conv.pinned ? ' pinned' : '');
+        item.dataset.id = conv.id;
+        item.draggable = true;
+
+        const tags = (conv.tags || []).map(tag =>
+            `<button class="conv-tag" style="--tag-color:${tag.color}" data-tag="${escapeHtml(tag.name)}" title="Show chats tagged ${escapeHtml(tag.name)}">${escapeHtml(tag.name)}</button>`
+        ).join('');
+        item.innerHTML = `
+        <div class="conv-main">
+          <span class="conv-title" title="${escapeHtml(conv.title)}">${escapeHtml(conv.title)}</span>
+          ${tags ? `<div class="conv-tags">${tags}</div>` : ''}
+        </div>
+        <div class="conv-actions">
+          <button class="conv-pin" title="${conv.pinned ? 'Unpin' : 'Pin'}">📌</button>
+          <button class="conv-tag-edit" title="Tags">🏷</button>
+          <button class="conv-move" title="Move to folder">📁</button>
+          <button class="conv-rename" title="Rename">✎</button>
+          <button class="conv-delete" title="Delete">✕</button>
+        </div>
+      `;
+
+        // Click to switch
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.conv-actions')) return;
+            const tag = e.target.closest('.conv-tag');
+            if (tag) {
+                tagFilter = tag.dataset.tag;
+                refreshList();
+                return;
+            }
+            setActiveId(conv.id);
+            if (onSwitch) onSwitch(conv.id);
+        });
+
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(DRAG_CONVERSATION, conv.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        item.querySelector('.conv-pin').addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePinned(conv.id);
+            refreshList();
+        });
+
+        item.querySelector('.conv-tag-edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openTagMenu(conv.id, e.currentTarget);
+        });
+
+        // Without drag and drop (touch screens), or to create folders on the way
+        item.querySelector('.conv-move').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const input = prompt('Move to folder (use / for subfolders, leave empty for none):', (conv.folder || []).join(' / '));
+            if (input === null) return;
+            moveToFolder(conv.id, parseFolderPath(input));
+            refreshList();
+        });
+
+        // Rename
+        item.querySelector('.conv-rename').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const newTitle = prompt('Rename conversation:', conv.title);
+            if (newTitle && newTitle.trim()) {
+                rename(conv.id, newTitle.trim());
+                refreshList();
+                if (conv.id === activeId) {
+                    document.getElementById('chat-title').textContent = newTitle.trim();
+                }
+            }
+        });
+
+        // Delete
+        item.querySelector('.conv-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm('Delete this conversation?')) {
+                remove(conv.id);
+                if (onDelete) onDelete(conv.id);
+                refreshList();
+            }
+        });
+
+        return item;
+    }
+
+    // { name, path, children: Map(name -> node), conversations } for every folder
+    function folderTree(conversations) {
+        const root = { name: '', path: [], children: new Map(), conversations: [] };
+        const nodeAt = path => path.reduce((node, name, i) => {
+            if (!node.children.has(name)) {
+                node.children.set(name, { name, path: path.slice(0, i + 1), children: new Map(), conversations: [] });
+            }
+            return node.children.get(name);
+        }, root);
+        listFolders().forEach(nodeAt);
+        conversations.forEach(conv => nodeAt(conv.folder || []).conversations.push(conv));
+        return root;
+    }
+
+    function countIn(node) {
+        return [...node.children.values()].reduce((sum, child) => sum + countIn(child), node.conversations.length);
+    }
+
+    function renderFolder(node, collapsed) {
+        const isCollapsed = collapsed.includes(folderKey(node.path));
+        const folder = document.createElement('div');
+        folder.className = 'conv-folder' + (isCollapsed ? ' collapsed' : '');
+
+        const header = document.createElement('div');
+        header.className = 'conv-folder-header';
+        header.draggable = true;
+        header.innerHTML = `
+        <span class="conv-folder-caret">${isCollapsed ? '▸' : '▾'}</span>
+        <span class="conv-folder-name" title="${escapeHtml(node.path.join(' / '))}">📁 ${escapeHtml(node.name)}</span>
+        <span class="conv-folder-count">${countIn(node)}</span>
+        <div class="conv-actions">
+          <button class="folder-add" title="New subfolder">＋</button>
+          <button class="folder-rename" title="Rename folder">✎</button>
+          <button class="folder-delete" title="Delete folder">✕</button>
+        </div>
+      `;
+
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.conv-actions')) return;
+            toggleFolderCollapsed(node.path);
+            refreshList();
+        });
+
+        header.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(DRAG_FOLDER, JSON.stringify(node.path));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        header.querySelector('.folder-add').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const path = parseFolderPath(prompt(`New folder inside "${node.name}":`));
+            if (path.length === 0) return;
+            createFolder([...node.path, ...path]);
+            refreshList();
+        });
+
+        header.querySelector('.folder-rename').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const name = prompt('Rename folder:', node.name)?.trim();
+            if (!name || name === node.name) return;
+            if (name.includes('/')) {
+                Toast.show('Folder names cannot contain "/".', 'warning');
+                return;
+            }
+            renameFolder(node.path, name);
+            refreshList();
+        });
+
+        header.querySelector('.folder-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (!confirm(`Delete folder "${node.name}"? Its chats move up a level.`)) return;
+            deleteFolder(node.path);
+            refreshList();
+        });
+
+        // Anywhere on the folder, including its chats, files into it
+        makeDropTarget(folder, dropInto(node.path));
+        folder.appendChild(header);
+        if (!isCollapsed) {
+            const children = document.createElement('div');
+            children.className = 'conv-folder-children';
+            node.children.forEach(child => children.appendChild(renderFolder(child, collapsed)));
+            node.conversations.sort(byUpdated).forEach(conv => children.appendChild(renderItem(conv)));
+            folder.appendChild(children);
         }
+        return folder;
     }
 
-    // ---- Render Sidebar ----
     function renderList(onSwitch, onDelete) {
         const listEl = document.getElementById('conversation-list');
-        const conversations = loadAll();
-        const activeId = getActiveId();
+        const conversations = [...stored()].sort(byUpdated);
+        listHandlers = [onSwitch, onDelete];
 
         listEl.innerHTML = '';
+        // The list itself stays in place across renders, so it is set up once
+        if (!listEl.dataset.dropTarget) {
+            listEl.dataset.dropTarget = 'root';
+            makeDropTarget(listEl, dropInto([]));
+        }
 
-        if (conversations.length === 0) {
+        if (conversations.length === 0 && listFolders().length === 0) {
             listEl.innerHTML = `
         <div style="padding:24px 16px;text-align:center;color:var(--color-text-muted);font-size:var(--text-sm);">
           No conversations yet.<br>Click <strong>+ New</strong> to start.
@@ -193,54 +896,101 @@ const Conversations = (() => {
             return;
         }
 
-        conversations.forEach(conv => {
-            const item = document.createElement('div');
-            item.className = 'conversation-item' + (conv.id === activeId ? ' active' : '');
-            item.dataset.id = conv.id;
-
-            item.innerHTML = `
-        <span class="conv-title" title="${conv.title}">${conv.title}</span>
-        <div class="conv-actions">
-          <button class="conv-rename" title="Rename">✎</button>
-          <button class="conv-delete" title="Delete">✕</button>
-        </div>
+        if (tagFilter && !allTags().has(tagFilter)) tagFilter = null;
+        if (tagFilter) {
+            const bar = document.createElement('div');
+            bar.className = 'conv-filter';
+            bar.innerHTML = `
+        <span class="conv-tag" style="--tag-color:${tagColor(tagFilter)}">${escapeHtml(tagFilter)}</span>
+        <button class="conv-filter-clear" title="Show all chats">✕</button>
       `;
-
-            // Click to switch
-            item.addEventListener('click', (e) => {
-                if (e.target.closest('.conv-actions')) return;
-                setActiveId(conv.id);
-                if (onSwitch) onSwitch(conv.id);
+            bar.querySelector('.conv-filter-clear').addEventListener('click', () => {
+                tagFilter = null;
+                refreshList();
             });
+            listEl.appendChild(bar);
+            appendByDate(listEl, conversations.filter(conv => (conv.tags || []).some(tag => tag.name === tagFilter)));
+            return;
+        }
 
-            // Rename
-            item.querySelector('.conv-rename').addEventListener('click', (e) => {
-                e.stopPropagation();
-                const newTitle = prompt('Rename conversation:', conv.title);
-                if (newTitle && newTitle.trim()) {
-                    rename(conv.id, newTitle.trim());
-                    renderList(onSwitch, onDelete);
-                    if (conv.id === activeId) {
-                        document.getElementById('chat-title').textContent = newTitle.trim();
-                    }
-                }
-            });
+        const pinned = conversations.filter(conv => conv.pinned);
+        if (pinned.length > 0) {
+            listEl.appendChild(groupLabel('📌 Pinned'));
+            pinned.forEach(conv => listEl.appendChild(renderItem(conv)));
+        }
 
-            // Delete
-            item.querySelector('.conv-delete').addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (confirm('Delete this conversation?')) {
-                    remove(conv.id);
-                    if (onDelete) onDelete(conv.id);
-                    renderList(onSwitch, onDelete);
-                }
-            });
+        const tree = folderTree(conversations.filter(conv => !conv.pinned));
+        const { collapsed } = loadFolderState();
+        if (tree.children.size > 0) {
+            listEl.appendChild(groupLabel('Folders'));
+            tree.children.forEach(node => listEl.appendChild(renderFolder(node, collapsed)));
+        }
+        appendByDate(listEl, tree.conversations);
+    }
+
+    // ---- Tag Menu ----
+    // Opened from a conversation's 🏷 button: tick tags on and off, recolor
+    // them everywhere, or type a new one
+    function openTagMenu(convId, anchor) {
+        closeTagMenu();
+        tagMenu = document.createElement('div');
+        tagMenu.className = 'tag-menu';
+        document.body.appendChild(tagMenu);
+        const rect = anchor.getBoundingClientRect();
+        tagMenu.style.top = `${rect.bottom + 4}px`;
+        tagMenu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 248))}px`;
+        renderTagMenu(convId);
 
-            listEl.appendChild(item);
+        tagMenu.addEventListener('change', (e) => {
+            const name = e.target.closest('[data-tag]')?.dataset.tag;
+            if (!name) return;
+            if (e.target.type === 'checkbox') toggleTag(convId, name, e.target.checked);
+            else if (e.target.type === 'color') setTagColor(name, e.target.value);
+            refreshList();
         });
+        tagMenu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeTagMenu();
+            if (e.key !== 'Enter' || !e.target.classList.contains('tag-menu-new')) return;
+            const name = e.target.value.trim();
+            if (!name) return;
+            toggleTag(convId, name, true);
+            renderTagMenu(convId);
+            refreshList();
+        });
+        setTimeout(() => document.addEventListener('mousedown', onOutsideTagMenu));
+    }
+
+    function renderTagMenu(convId) {
+        const conv = stored().find(c => c.id === convId);
+        if (!tagMenu || !conv) return;
+        const own = new Set((conv.tags || []).map(tag => tag.name));
+        const rows = [...allTags()].map(([name, color]) => `
+            <label class="tag-menu-row" data-tag="${escapeHtml(name)}">
+              <input type="checkbox"${own.has(name) ? ' checked' : ''}>
+              <span class="conv-tag" style="--tag-color:${color}">${escapeHtml(name)}</span>
+              <input type="color" value="${color}" title="Tag color">
+            </label>`).join('');
+        tagMenu.innerHTML = `
+          <div class="tag-menu-title">Tags</div>
+          ${rows || '<div class="tag-menu-empty">No tags yet.</div>'}
+          <input type="text" class="input-text tag-menu-new" placeholder="New tag… (Enter)">
+        `;
+        tagMenu.querySelector('.tag-menu-new').focus();
+    }
+
+    function onOutsideTagMenu(e) {
+        if (!tagMenu?.contains(e.target)) closeTagMenu();
+    }
+
+    function closeTagMenu() {
+        tagMenu?.remove();
+        tagMenu = null;
+        document.removeEventListener('mousedown', onOutsideTagMenu);
     }
 
     return {
+        init,
+        onChange,
         create,
         get,
         getActive,
@@ -251,11 +1001,32 @@ const Conversations = (() => {
         rename,
         addMessage,
         updateLastAssistantMessage,
+        editMessage,
+        rewindTo,
+        switchBranch,
+        removeMessage,
+        siblingsOf,
+        updateMessage,
+        addArena,
+        pickArenaWinner,
+        discardArenaReplies,
+        togglePinned,
+        allTags,
+        toggleTag,
+        setTagColor,
+        listFolders,
+        parseFolderPath,
+        createFolder,
+        moveToFolder,
+        renameFolder,
+        moveFolder,
+        deleteFolder,
         clearAll,
+        storageInfo,
         loadAll,
         exportAll,
         exportOne,
-        importFromJSON,
+        importConversations,
         renderList,
     };
 })();
@@ -0,0 +1,210 @@
+// ============================================================
+// diagram.js — Mermaid & Graphviz (DOT) Diagrams → SVG
+// Draws fenced diagrams with the bundled Mermaid and Viz.js
+// (Graphviz compiled to WebAssembly) builds in vendor/, which are
+// loaded on first use, and rasterises the SVG to PNG for export.
+// ============================================================
+
+const Diagram = (() => {
+    const VENDOR_DIR = 'vendor';
+    const CACHE_LIMIT = 100;
+
+    const LANGUAGES = { mermaid: 'mermaid', dot: 'dot', graphviz: 'dot', gv: 'dot' };
+
+    // Drawn diagrams by language + source: { svg } or { error }. "__ID__" in
+    // the SVG is swapped for a fresh prefix on every use so ids stay unique
+    const cache = new Map();
+    const drawing = new Map();  // same key -> promise while the diagram is drawn
+    let idCounter = 0;
+    let mermaidReady = null;
+    let vizReady = null;
+    let mermaidQueue = Promise.resolve();
+
+    // ---- Libraries ----
+    // Both builds are several megabytes, so they are only fetched for the first diagram
+    function loadScript(file) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `${VENDOR_DIR}/${file}`;
+            script.onload = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Could not load ${file}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    function loadMermaid() {
+        if (!mermaidReady) {
+            mermaidReady = loadScript('mermaid.min.js').then(() => {
+                mermaid.initialize({
+                    startOnLoad: false,
+                    securityLevel: 'strict',
+                    theme: 'default',
+                    // SVG text instead of HTML labels, so exported files and PNGs draw the same
+                    htmlLabels: false,
+                    flowchart: { htmlLabels: false },
+                });
+                return mermaid;
+            });
+            mermaidReady.catch(() => { mermaidReady = null; });
+        }
+        return mermaidReady;
+    }
+
+    function loadViz() {
+        if (!vizReady) {
+            vizReady = loadScript('viz-global.js').then(() => Viz.instance());
+            vizReady.catch(() => { vizReady = null; });
+        }
+        return vizReady;
+    }
+
+    // ---- Drawing ----
+    // Mermaid measures text in a scratch element named after the id, so
+    // diagrams are drawn one at a time. Parsing first keeps a syntax error
+    // from leaving Mermaid's error graphic in the page.
+    function drawMermaid(source) {
+        const job = mermaidQueue.then(async () => {
+            const lib = await loadMermaid();
+            await lib.parse(source);
+            const { svg } = await lib.render('diagram__ID__', source);
+            return svg;
+        });
+        mermaidQueue = job.catch(() => {});
+        return job;
+    }
+
+    async function drawDot(source) {
+        const viz = await loadViz();
+        const svg = viz.renderString(source, { format: 'svg' });
+        // Drop the XML prolog and doctype, which mean nothing inside a page
+        return svg.slice(svg.indexOf('<svg'));
+    }
+
+    // ---- Sanitising ----
+    // Graphviz turns URL/href attributes into links and both libraries echo
+    // source text, so the SVG is cleaned before it is cached. It is parsed as
+    // HTML, the same way the page and exported files will read it.
+    const UNSAFE_ELEMENTS = new Set(['script', 'foreignobject']);
+    const ANIMATIONS = new Set(['animate', 'set']);
+
+    function sanitize(svg) {
+        const doc = new DOMParser().parseFromString(svg, 'text/html');
+        const root = doc.body.firstElementChild;
+        if (!root || root.localName !== 'svg') throw new Error('Diagram did not produce an SVG image');
+        for (const el of [root, ...root.querySelectorAll('*')]) {
+            const name = el.localName.toLowerCase();
+            // An animation can rewrite a link's href after the checks below
+            const animatesLink = ANIMATIONS.has(name) && /href$/i.test(el.getAttribute('attributeName') || '');
+            if (UNSAFE_ELEMENTS.has(name) || animatesLink) {
+                el.remove();
+                continue;
+            }
+            for (const attr of [...el.attributes]) {
+                const unsafe = /^on/i.test(attr.localName)
+                    || (attr.localName.toLowerCase() === 'href' && !Markdown.isSafeUrl(attr.value));
+                if (unsafe) el.removeAttributeNode(attr);
+            }
+        }
+        return root.outerHTML;
+    }
+
+    // ---- Public ----
+    function resolve(lang) {
+        return LANGUAGES[(lang || '').toLowerCase()] || null;
+    }
+
+    function cacheKey(source, lang) {
+        return `${resolve(lang)}\n${source}`;
+    }
+
+    function remember(key, entry) {
+        if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+        cache.set(key, entry);
+    }
+
+    // { svg } or { error } for a diagram drawn before, null when it has not been
+    function cached(source, lang) {
+        const entry = cache.get(cacheKey(source, lang));
+        if (!entry) return null;
+        return entry.svg ? { svg: entry.svg.replace(/__ID__/g, `-${++idCounter}`) } : entry;
+    }
+
+    // Resolves with SVG markup for a diagram; rejects with a readable message
+    // when the source cannot be drawn
+    function render(source, lang) {
+        const language = resolve(lang);
+        if (!language) return Promise.reject(new Error(`Unknown diagram language "${lang}"`));
+        const key = cacheKey(source, lang);
+        const done = cached(source, lang);
+        if (done) return done.svg ? Promise.resolve(done.svg) : Promise.reject(done.error);
+        if (!drawing.has(key)) {
+            const job = (language === 'dot' ? drawDot(source) : drawMermaid(source))
+                .then(sanitize)
+                .then(svg => remember(key, { svg }), err => {
+                    // Failures are kept too, so a re-render does not draw the same source again
+                    const error = new Error(String(err?.message || err).trim() || 'Invalid diagram');
+                    remember(key, { error });
+                    throw error;
+                })
+                .finally(() => drawing.delete(key));
+            drawing.set(key, job);
+        }
+        return drawing.get(key).then(() => {
+            const entry = cached(source, lang);
+            if (!entry?.svg) throw entry?.error || new Error('Diagram was evicted before it could be shown');
+            return entry.svg;
+        });
+    }
+
+    // Pixel size of standalone SVG markup: the viewBox, else width/height
+    function svgSize(svg) {
+        const root = svg.match(/<svg\b[^>]*>/)?.[0] || '';
+        const viewBox = root.match(/viewBox="[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/);
+        if (viewBox) return { width: parseFloat(viewBox[1]), height: parseFloat(viewBox[2]) };
+        return {
+            width: parseFloat(root.match(/\swidth="([\d.]+)/)?.[1]) || 800,
+            height: parseFloat(root.match(/\sheight="([\d.]+)/)?.[1]) || 600,
+        };
+    }
+
+    // Rasterises standalone SVG markup to a PNG blob on a white background
+    function toPng(svg, scale = 2) {
+        return new Promise((resolve, reject) => {
+            const { width, height } = svgSize(svg);
+            // Mermaid sizes its SVG as width="100%", which an <img> cannot resolve.
+            // The image is read as XML, which has no &nbsp; entity.
+            const sized = svg.replace(/<svg\b[^>]*>/, root => root
+                .replace(/\s(width|height)="[^"]*"/g, '')
+                .replace(/^<svg/, `<svg width="${width}" height="${height}"`))
+                .replace(/&nbsp;/g, '&#160;');
+            const url = URL.createObjectURL(new Blob([sized], { type: 'image/svg+xml' }));
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(width * scale);
+                canvas.height = Math.ceil(height * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create PNG')), 'image/png');
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not rasterise the diagram'));
+            };
+            img.src = url;
+        });
+    }
+
+    return {
+        resolve,
+        cached,
+        render,
+        toPng,
+    };
+})();
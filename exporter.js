@@ -0,0 +1,428 @@
+// ============================================================
+// exporter.js — Shareable Conversation Exports
+// Markdown, a standalone HTML page styled like the app, or a print
+// layout for saving as PDF. JSON stays the lossless backup format.
+// ============================================================
+
+const Exporter = (() => {
+    const OPTIONS_KEY = 'chatapp_export_options';
+    const DEFAULT_OPTIONS = { format: 'markdown', systemPrompt: true, reasoning: true, metadata: false };
+
+    let targetId = null;  // conversation to export, null for all of them
+    let diagramJobs = null;  // diagrams started while collecting them for an HTML export
+
+    // ---- Options ----
+    function loadOptions() {
+        try {
+            return { ...DEFAULT_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+        } catch {
+            return { ...DEFAULT_OPTIONS };
+        }
+    }
+
+    function saveOptions(options) {
+        localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+    }
+
+    // ---- Content ----
+    // Reasoning arrives inline as <think> blocks; an unclosed one runs to the end
+    function splitReasoning(text) {
+        const reasoning = [];
+        const answer = (text || '').replace(/<think>([\s\S]*?)(?:<\/think>|$)/g, (_, thought) => {
+            if (thought.trim()) reasoning.push(thought.trim());
+            return '';
+        }).trim();
+        return { reasoning, answer };
+    }
+
+    function formatDate(iso) {
+        return iso ? new Date(iso).toLocaleString() : '';
+    }
+
+    // "model · 3.2 s · 41 tok/s · date" for one message
+    function messageMeta(msg) {
+        const gen = msg.generation;
+        const parts = [];
+        if (gen?.model || msg.arenaModel) parts.push(gen?.model || msg.arenaModel);
+        if (gen?.durationMs != null) parts.push(`${(gen.durationMs / 1000).toFixed(1)} s`);
+        if (gen?.tokensPerSecond != null) parts.push(`${gen.tokensPerSecond} tok/s`);
+        if (gen?.finishReason === 'length') parts.push('truncated');
+        if (msg.timestamp) parts.push(formatDate(msg.timestamp));
+        return parts.join(' · ');
+    }
+
+    // [label, value] rows describing the conversation itself
+    function conversationMeta(conv) {
+        const rows = [['Created', formatDate(conv.createdAt)], ['Updated', formatDate(conv.updatedAt)]];
+        if (conv.tags?.length) rows.push(['Tags', conv.tags.map(tag => tag.name).join(', ')]);
+        if (conv.folder?.length) rows.push(['Folder', conv.folder.join(' / ')]);
+        return rows;
+    }
+
+    function formatArguments(args) {
+        try {
+            return JSON.stringify(JSON.parse(args || '{}'), null, 2);
+        } catch {
+            return args || '';
+        }
+    }
+
+    // Validated structured replies, pretty-printed; null for everything else
+    function structuredJson(msg, answer) {
+        if (!msg.structured?.valid) return null;
+        try {
+            return JSON.stringify(Schema.extractJSON(answer), null, 2);
+        } catch {
+            return null;  // Content edited since validation
+        }
+    }
+
+    function roleLabel(msg) {
+        return msg.role === 'user' ? 'You' : 'Assistant';
+    }
+
+    // ---- Markdown ----
+    // Longer than any backtick run inside, so the fence cannot close early
+    function fence(code, lang = '') {
+        const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+        const ticks = '`'.repeat(longest + 1);
+        return `${ticks}${lang}\n${code}\n${ticks}`;
+    }
+
+    function quote(text) {
+        return text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    }
+
+    function messageToMarkdown(msg, options) {
+        const parts = [`## ${roleLabel(msg)}`];
+        if (msg.role === 'user') {
+            (msg.images || []).forEach(img => parts.push(`*[Image: ${img.name || 'image'}]*`));
+            (msg.files || []).forEach(file => parts.push(`*[File: ${file.name}]*`));
+            parts.push(msg.content || '');
+        } else {
+            const { reasoning, answer } = splitReasoning(msg.content);
+            if (options.reasoning) {
+                reasoning.forEach(thought => parts.push(`<details>\n<summary>Reasoning</summary>\n\n${thought}\n\n</details>`));
+            }
+            if (options.metadata) {
+                (msg.toolCalls || []).forEach(call => {
+                    const result = call.result === undefined ? '' : `\n\nResult:\n\n${fence(String(call.result))}`;
+                    parts.push(`<details>\n<summary>Called ${call.name}</summary>\n\n${fence(formatArguments(call.arguments), 'json')}${result}\n\n</details>`);
+                });
+            }
+            const json = structuredJson(msg, answer);
+            parts.push(json ? fence(json, 'json') : answer);
+        }
+        const meta = options.metadata && messageMeta(msg);
+        if (meta) parts.push(`*${meta}*`);
+        return parts.filter(Boolean).join('\n\n');
+    }
+
+    function conversationToMarkdown(conv, options) {
+        const parts = [`# ${conv.title}`];
+        if (options.metadata) {
+            parts.push(conversationMeta(conv).map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+        }
+        if (options.systemPrompt && conv.systemPrompt) {
+            parts.push(quote(`**System prompt**\n\n${conv.systemPrompt}`));
+        }
+        conv.messages.forEach(msg => parts.push(messageToMarkdown(msg, options)));
+        return parts.join('\n\n') + '\n';
+    }
+
+    function toMarkdown(conversations, options) {
+        return conversations.map(conv => conversationToMarkdown(conv, options)).join('\n---\n\n');
+    }
+
+    // ---- HTML ----
+    const escapeHtml = text => Markdown.escapeHtml(String(text ?? ''));
+
+    // Code and diagrams without the app's buttons, which would do nothing here
+    function renderCode(node) {
+        if (node.closed && Diagram.resolve(node.lang)) {
+            const drawn = Diagram.cached(node.code, node.lang);
+            if (drawn?.svg) return `<div class="diagram">${drawn.svg}</div>`;
+            if (!drawn && diagramJobs) diagramJobs.push(Diagram.render(node.code, node.lang));
+            // Diagrams that cannot be drawn are shown as their source below
+        }
+        const { language, html } = Syntax.highlight(node.code, node.lang);
+        const label = language || node.lang;
+        return `${label ? `<div class="code-label">${escapeHtml(label)}</div>` : ''}<pre><code>${html}</code></pre>`;
+    }
+
+    const MARKDOWN_OPTIONS = {
+        breaks: true,
+        math: true,
+        renderCode,
+        renderMath: node => Latex.render(node.tex, node.display, node.source),
+    };
+
+    // Collapsed in the page; printed pages cannot be expanded, so they start open
+    function panel(summary, body, print) {
+        return `<details class="panel"${print ? ' open' : ''}><summary>${summary}</summary><div class="panel-content">${body}</div></details>`;
+    }
+
+    function messageToHtml(msg, options, print) {
+        let body;
+        if (msg.role === 'user') {
+            const images = (msg.images || []).map(img => `<img src="${escapeHtml(img.dataUrl)}" alt="${escapeHtml(img.name || 'image')}">`).join('');
+            const files = (msg.files || []).map(file => `<span class="file">📄 ${escapeHtml(file.name)}</span>`).join('');
+            body = (images ? `<div class="images">${images}</div>` : '')
+                + (files ? `<div class="files">${files}</div>` : '')
+                + `<div class="user-text">${escapeHtml(msg.content)}</div>`;
+        } else {
+            const { reasoning, answer } = splitReasoning(msg.content);
+            body = options.reasoning
+                ? reasoning.map(thought => panel('Reasoning', Markdown.toHtml(thought, MARKDOWN_OPTIONS), print)).join('')
+                : '';
+            if (options.metadata) {
+                body += (msg.toolCalls || []).map(call => {
+                    const result = call.result === undefined ? '' : `<div class="label">Result</div><pre><code>${escapeHtml(call.result)}</code></pre>`;
+                    return panel(`Called ${escapeHtml(call.name)}`, `<div class="label">Arguments</div><pre><code>${escapeHtml(formatArguments(call.arguments))}</code></pre>${result}`, print);
+                }).join('');
+            }
+            const json = structuredJson(msg, answer);
+            body += json ? renderCode({ code: json, lang: 'json', closed: true }) : Markdown.toHtml(answer, MARKDOWN_OPTIONS);
+        }
+        const meta = options.metadata && messageMeta(msg);
+        return `
+    <section class="message ${msg.role}">
+      <div class="role">${roleLabel(msg)}</div>
+      <div class="body">${body}</div>${meta ? `\n      <div class="meta">${escapeHtml(meta)}</div>` : ''}
+    </section>`;
+    }
+
+    function conversationToHtml(conv, options, print) {
+        const meta = options.metadata
+            ? `<dl class="conversation-meta">${conversationMeta(conv).map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`
+            : '';
+        const system = options.systemPrompt && conv.systemPrompt
+            ? `<div class="system-prompt"><div class="label">System prompt</div>${escapeHtml(conv.systemPrompt)}</div>`
+            : '';
+        return `
+  <article class="conversation">
+    <h1>${escapeHtml(conv.title)}</h1>
+    ${meta}${system}${conv.messages.map(msg => messageToHtml(msg, options, print)).join('')}
+  </article>`;
+    }
+
+    // One self-contained file: styles inline, images as data URLs, math as MathML
+    function toHtml(conversations, options, print = false) {
+        const title = conversations.length === 1 ? conversations[0].title : 'AI Chat Export';
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  ${conversations.map(conv => conversationToHtml(conv, options, print)).join('\n')}
+  <footer>Exported from AI Chat on ${escapeHtml(new Date().toLocaleString())}</footer>
+</body>
+</html>
+`;
+    }
+
+    // The app's light theme, trimmed to what an exported page uses
+    const STYLES = `
+    :root { --accent: #4F46E5; --text: #1A1A2E; --muted: #6B6B80; --border: rgba(0, 0, 0, 0.08); --bg-soft: #F8F7FC; --bg-user: #F0EDF6; }
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; padding: 32px 20px; max-width: 820px; font: 15px/1.65 Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: var(--text); background: #fff; }
+    h1 { font-size: 1.6rem; letter-spacing: -0.02em; margin: 0 0 12px; color: var(--accent); }
+    .conversation + .conversation { margin-top: 48px; padding-top: 32px; border-top: 2px solid var(--border); }
+    .conversation-meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0 0 16px; font-size: 0.85rem; color: var(--muted); }
+    .conversation-meta dt { font-weight: 600; }
+    .conversation-meta dd { margin: 0; }
+    .system-prompt { margin-bottom: 20px; padding: 12px 16px; border-left: 3px solid var(--accent); background: var(--bg-soft); border-radius: 0 8px 8px 0; white-space: pre-wrap; font-size: 0.9rem; }
+    .label { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: var(--muted); margin-bottom: 4px; }
+    .message { margin: 16px 0; padding: 14px 18px; border: 1px solid var(--border); border-radius: 14px; }
+    .message.user { background: var(--bg-user); }
+    .role { font-size: 0.8rem; font-weight: 600; color: var(--accent); margin-bottom: 6px; }
+    .user-text { white-space: pre-wrap; }
+    .body > :first-child { margin-top: 0; }
+    .body > :last-child { margin-bottom: 0; }
+    .meta { margin-top: 8px; font-size: 0.75rem; color: var(--muted); }
+    .images { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+    .images img { max-width: 240px; max-height: 240px; border-radius: 8px; }
+    .files { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }
+    .file { padding: 2px 10px; border: 1px solid var(--border); border-radius: 999px; font-size: 0.8rem; background: #fff; }
+    .panel { margin: 0 0 12px; border: 1px solid var(--border); border-radius: 10px; background: var(--bg-soft); }
+    .panel summary { padding: 8px 12px; cursor: pointer; font-size: 0.85rem; font-weight: 500; color: var(--muted); }
+    .panel-content { padding: 0 12px 10px; font-size: 0.9rem; color: var(--muted); }
+    a { color: var(--accent); }
+    blockquote { margin: 12px 0; padding-left: 14px; border-left: 3px solid var(--border); color: var(--muted); }
+    table { border-collapse: collapse; margin: 12px 0; font-size: 0.9rem; }
+    th, td { border: 1px solid var(--border); padding: 6px 10px; text-align: left; }
+    th { background: var(--bg-soft); }
+    code { font-family: 'JetBrains Mono', ui-monospace, monospace; font-size: 0.85em; background: var(--bg-soft); padding: 1px 5px; border-radius: 4px; }
+    pre { margin: 0 0 12px; padding: 12px 14px; background: var(--bg-soft); border: 1px solid var(--border); border-radius: 8px; overflow-x: auto; }
+    pre code { padding: 0; background: none; font-size: 0.82rem; line-height: 1.55; }
+    .code-line { display: block; min-height: 1.55em; }
+    .code-label { margin-top: 12px; padding: 4px 14px; font-size: 0.75rem; color: var(--muted); background: #F0EDF6; border: 1px solid var(--border); border-bottom: none; border-radius: 8px 8px 0 0; }
+    .code-label + pre { border-radius: 0 0 8px 8px; }
+    .diagram { margin: 12px 0; overflow-x: auto; }
+    .math-display { display: block; margin: 12px 0; overflow-x: auto; }
+    .math-error { color: #ef4444; }
+    .tok-comment { color: #6A737D; font-style: italic; }
+    .tok-keyword, .tok-tag { color: #D73A49; }
+    .tok-string, .tok-regex { color: #22863A; }
+    .tok-number, .tok-literal, .tok-entity { color: #005CC5; }
+    .tok-function, .tok-selector { color: #6F42C1; }
+    .tok-builtin, .tok-type { color: #E36209; }
+    .tok-attr, .tok-property, .tok-variable { color: #0550AE; }
+    .tok-meta { color: #735C0F; }
+    .tok-operator, .tok-punctuation { color: var(--muted); }
+    footer { margin-top: 40px; font-size: 0.75rem; color: var(--muted); text-align: center; }
+    @page { margin: 18mm 16mm; }
+    @media print {
+      body { max-width: none; padding: 0; font-size: 11pt; }
+      .message { break-inside: avoid; border-color: #ddd; }
+      .conversation + .conversation { break-before: page; border: none; margin-top: 0; padding-top: 0; }
+      pre { white-space: pre-wrap; word-break: break-word; overflow: visible; }
+      .panel summary { cursor: default; }
+      a { color: inherit; }
+    }
+    `;
+
+    // ---- Output ----
+    function download(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function baseName(conversations) {
+        return conversations.length === 1
+            ? `chat-${conversations[0].title.replace(/[^a-z0-9]/gi, '_').slice(0, 30)}`
+            : `ai-chat-export-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    // A hidden frame prints without a popup (which blockers would stop)
+    function printHtml(html) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // print() returns once the dialog is closed in most browsers
+            setTimeout(() => frame.remove(), 1000);
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    // Diagrams are drawn asynchronously: a first pass starts every one that
+    // is not cached yet, so the real pass finds them all drawn
+    async function drawDiagrams(conversations, options) {
+        diagramJobs = [];
+        try {
+            toHtml(conversations, options);
+        } finally {
+            const jobs = diagramJobs;
+            diagramJobs = null;
+            await Promise.allSettled(jobs);
+        }
+    }
+
+    // `id` of one conversation, or null for all; resolves to false when there was nothing to export
+    async function exportConversations(id, options = loadOptions()) {
+        if (options.format === 'json') {
+            if (id) Conversations.exportOne(id);
+            else Conversations.exportAll();
+            return true;
+        }
+        const conversations = id ? [Conversations.get(id)].filter(Boolean) : Conversations.loadAll();
+        if (conversations.length === 0) return false;
+        if (options.format === 'markdown') {
+            download(toMarkdown(conversations, options), 'text/markdown', `${baseName(conversations)}.md`);
+            return true;
+        }
+        await drawDiagrams(conversations, options);
+        if (options.format === 'html') {
+            download(toHtml(conversations, options), 'text/html', `${baseName(conversations)}.html`);
+        } else {
+            printHtml(toHtml(conversations, options, true));
+        }
+        return true;
+    }
+
+    // ---- Dialog ----
+    const FORMAT_HINTS = {
+        markdown: 'Plain text with headings per message; reasoning goes into collapsible <details> blocks.',
+        html: 'One self-contained page styled like the app, to open in any browser.',
+        pdf: 'Opens the print dialog; choose "Save as PDF" as the printer.',
+        json: 'Everything, including branches and settings, for importing back into the app. The options above do not apply.',
+    };
+
+    function readDialog() {
+        return {
+            format: document.querySelector('input[name="export-format"]:checked')?.value || DEFAULT_OPTIONS.format,
+            systemPrompt: document.getElementById('export-system-prompt').checked,
+            reasoning: document.getElementById('export-reasoning').checked,
+            metadata: document.getElementById('export-metadata').checked,
+        };
+    }
+
+    function updateDialog() {
+        const { format } = readDialog();
+        document.getElementById('export-hint').textContent = FORMAT_HINTS[format];
+        document.querySelectorAll('#export-include input').forEach(input => {
+            input.disabled = format === 'json';
+        });
+    }
+
+    // `id` of the conversation to export, or null for all of them
+    function open(id = null) {
+        targetId = id;
+        const options = loadOptions();
+        const title = id ? Conversations.get(id)?.title : null;
+        document.getElementById('export-title').textContent = title ? `⬇ Export “${title}”` : '⬇ Export All Chats';
+        document.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.checked = input.value === options.format;
+        });
+        document.getElementById('export-system-prompt').checked = options.systemPrompt;
+        document.getElementById('export-reasoning').checked = options.reasoning;
+        document.getElementById('export-metadata').checked = options.metadata;
+        updateDialog();
+        document.getElementById('export-modal').classList.add('active');
+        document.getElementById('export-overlay').classList.add('active');
+    }
+
+    function close() {
+        document.getElementById('export-modal').classList.remove('active');
+        document.getElementById('export-overlay').classList.remove('active');
+    }
+
+    async function run() {
+        const options = readDialog();
+        saveOptions(options);
+        close();
+        if (!await exportConversations(targetId, options)) {
+            Toast.show('There is nothing to export yet.', 'warning');
+            return;
+        }
+        if (options.format !== 'pdf') Toast.show(targetId ? 'Conversation exported' : 'All conversations exported', 'success');
+    }
+
+    function init() {
+        document.getElementById('btn-close-export')?.addEventListener('click', close);
+        document.getElementById('export-overlay')?.addEventListener('click', close);
+        document.getElementById('btn-export-run')?.addEventListener('click', run);
+        document.getElementById('export-modal')?.addEventListener('change', updateDialog);
+    }
+
+    return {
+        init,
+        open,
+        close,
+        toMarkdown,
+        toHtml,
+        exportConversations,
+    };
+})();
@@ -0,0 +1,548 @@
+// ============================================================
+// importer.js — Conversation Import with Preview
+// Reads this app's own exports and the chat exports of ChatGPT,
+// Claude and Open WebUI, validates every record and lets the user
+// pick what to import, with already-imported chats recognized
+// ============================================================
+
+const Importer = (() => {
+    const FORMATS = {
+        app: 'AI Chat export',
+        chatgpt: 'ChatGPT export',
+        claude: 'Claude export',
+        openwebui: 'Open WebUI export',
+    };
+    const ROLES = ['user', 'assistant'];
+    // Whole-value match: the URL ends up in an <img src>, so nothing may follow the data
+    const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+    let pending = null;  // result of parse() shown in the preview dialog
+    let idCounter = 0;
+
+    // ---- Helpers ----
+    // Same shape as the ids Conversations hands out; the counter keeps a
+    // batch built within one millisecond apart
+    function newMessageId() {
+        return 'msg_' + Date.now().toString(36) + '_' + (idCounter++).toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    // Foreign ids keep their source in front so they never meet ours
+    function safeId(prefix, raw) {
+        if (raw === undefined || raw === null || raw === '') return null;
+        const id = String(raw).replace(/[^\w-]/g, '_');
+        return prefix ? `${prefix}_${id}` : id;
+    }
+
+    // ISO string from ISO strings, epoch seconds or epoch milliseconds
+    function toIso(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+        return isNaN(date) ? null : date.toISOString();
+    }
+
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const text = value => typeof value === 'string' ? value : '';
+    const isImageDataUrl = value => typeof value === 'string' && IMAGE_DATA_URL.test(value);
+
+    // ---- Tree Building ----
+    // Walks a foreign message tree depth-first. `toMessage(key)` returns an app
+    // message or null to leave the node out; its children then hang from the
+    // nearest kept ancestor. Nodes reached twice (cycles) or never are dropped.
+    // `activeKey` is the message the chat should open on.
+    function buildTree(rootKeys, childKeys, toMessage, activeKey) {
+        const nodes = {};
+        const rootIds = [];
+        const resolved = new Map();  // key -> id of the node or of its nearest kept ancestor
+        const stack = [...rootKeys].reverse().map(key => [key, null]);
+        let skipped = 0;
+
+        while (stack.length > 0) {
+            const [key, parentId] = stack.pop();
+            if (resolved.has(key)) continue;
+            const message = toMessage(key);
+            let id = parentId;
+            if (message) {
+                id = newMessageId();
+                nodes[id] = { ...message, id, parentId, children: [], activeChild: null };
+                if (parentId) nodes[parentId].children.push(id);
+                else rootIds.push(id);
+            } else {
+                skipped++;
+            }
+            resolved.set(key, id);
+            [...childKeys(key)].reverse().forEach(child => stack.push([child, id]));
+        }
+
+        // The newest branch is shown unless the source says otherwise
+        Object.values(nodes).forEach(node => {
+            node.activeChild = node.children[node.children.length - 1] || null;
+        });
+        let activeRootId = rootIds[rootIds.length - 1] || null;
+        for (let id = resolved.get(activeKey); id; id = nodes[id].parentId) {
+            const parentId = nodes[id].parentId;
+            if (parentId) nodes[parentId].activeChild = id;
+            else activeRootId = id;
+        }
+        return { tree: { nodes, rootIds, activeRootId }, skipped };
+    }
+
+    // A list of messages in order, as a single branch
+    function buildLinear(messages, toMessage) {
+        return buildTree(
+            messages.length > 0 ? [0] : [],
+            i => i + 1 < messages.length ? [i + 1] : [],
+            i => toMessage(messages[i]),
+            messages.length - 1
+        );
+    }
+
+    // ---- Validation ----
+    // Only fields the app knows, with the types it expects; anything else in
+    // the file is dropped so a bad record cannot break rendering
+    function cleanGeneration(gen) {
+        if (!isObject(gen)) return null;
+        const clean = {};
+        ['model', 'provider', 'profile', 'finishReason'].forEach(key => {
+            if (typeof gen[key] === 'string') clean[key] = gen[key];
+        });
+        ['temperature', 'top_p', 'max_tokens', 'firstTokenMs', 'durationMs', 'tokensPerSecond'].forEach(key => {
+            if (Number.isFinite(gen[key])) clean[key] = gen[key];
+        });
+        return Object.keys(clean).length > 0 ? clean : null;
+    }
+
+    function cleanMessage(raw) {
+        if (!isObject(raw) || !ROLES.includes(raw.role)) return null;
+        const msg = { role: raw.role, content: text(raw.content), timestamp: toIso(raw.timestamp) || new Date().toISOString() };
+
+        const images = (Array.isArray(raw.images) ? raw.images : [])
+            .filter(img => isObject(img) && isImageDataUrl(img.dataUrl))
+            .map(img => ({ name: text(img.name) || 'image', dataUrl: img.dataUrl }));
+        if (images.length > 0) msg.images = images;
+
+        const files = (Array.isArray(raw.files) ? raw.files : [])
+            .filter(file => isObject(file) && text(file.name))
+            .map(file => ({ name: file.name, chunks: Number.isFinite(file.chunks) ? file.chunks : 0, embedded: !!file.embedded }));
+        if (files.length > 0) msg.files = files;
+
+        const toolCalls = (Array.isArray(raw.toolCalls) ? raw.toolCalls : [])
+            .filter(call => isObject(call) && text(call.name))
+            .map(call => ({
+                id: text(call.id),
+                name: call.name,
+                arguments: text(call.arguments),
+                ...(call.result !== undefined ? { result: String(call.result) } : {}),
+            }));
+        if (toolCalls.length > 0) msg.toolCalls = toolCalls;
+
+        const references = (Array.isArray(raw.references) ? raw.references : [])
+            .filter(ref => isObject(ref) && text(ref.docName) && text(ref.text))
+            .map((ref, i) => ({
+                n: Number.isFinite(ref.n) ? ref.n : i + 1,
+                docName: ref.docName,
+                index: Number.isFinite(ref.index) ? ref.index : 0,
+                chunkCount: Number.isFinite(ref.chunkCount) ? ref.chunkCount : 1,
+                text: ref.text,
+                score: Number.isFinite(ref.score) ? ref.score : 0,
+            }));
+        if (references.length > 0) msg.references = references;
+
+        const drafts = (Array.isArray(raw.drafts) ? raw.drafts : [])
+            .filter(draft => isObject(draft) && text(draft.model))
+            .map(draft => ({
+                model: draft.model,
+                content: text(draft.content),
+                generation: cleanGeneration(draft.generation),
+                ...(typeof draft.error === 'string' ? { error: draft.error } : {}),
+            }));
+        if (drafts.length > 0) msg.drafts = drafts;
+
+        const generation = cleanGeneration(raw.generation);
+        if (generation) msg.generation = generation;
+        if (isObject(raw.usage)) msg.usage = raw.usage;
+        if (isObject(raw.structured) && typeof raw.structured.valid === 'boolean') {
+            msg.structured = {
+                valid: raw.structured.valid,
+                errors: Array.isArray(raw.structured.errors) ? raw.structured.errors : [],
+                repairs: Number.isFinite(raw.structured.repairs) ? raw.structured.repairs : 0,
+            };
+        }
+        if (typeof raw.arenaModel === 'string') msg.arenaModel = raw.arenaModel;
+        return msg;
+    }
+
+    function cleanStructuredOutput(so) {
+        if (!isObject(so)) return undefined;
+        return { enabled: !!so.enabled && isObject(so.schema), name: text(so.name) || 'response', schema: isObject(so.schema) ? so.schema : null };
+    }
+
+    // ---- Converters ----
+    // Each returns { conv, skipped } with `conv` in the stored form (a message
+    // tree in `nodes`, no `messages`), or throws when the record is unusable
+    function fromApp(raw) {
+        let built;
+        if (isObject(raw.nodes)) {
+            const node = key => isObject(raw.nodes[key]) ? raw.nodes[key] : null;
+            // Follow the stored active path to find where the chat was left
+            let activeKey = raw.activeRootId;
+            const seen = new Set();
+            while (node(activeKey)?.activeChild && !seen.has(activeKey)) {
+                seen.add(activeKey);
+                activeKey = node(activeKey).activeChild;
+            }
+            built = buildTree(
+                Array.isArray(raw.rootIds) ? raw.rootIds : [],
+                key => Array.isArray(node(key)?.children) ? node(key).children : [],
+                key => cleanMessage(node(key)),
+                activeKey
+            );
+        } else if (Array.isArray(raw.messages)) {
+            built = buildLinear(raw.messages, cleanMessage);
+        } else {
+            throw new Error('No messages');
+        }
+        return {
+            conv: {
+                id: /^[\w-]+$/.test(text(raw.id)) ? raw.id : null,
+                title: text(raw.title).trim() || 'Imported Chat',
+                systemPrompt: text(raw.systemPrompt),
+                structuredOutput: cleanStructuredOutput(raw.structuredOutput),
+                pinned: raw.pinned,
+                tags: raw.tags,
+                folder: raw.folder,
+                createdAt: toIso(raw.createdAt),
+                updatedAt: toIso(raw.updatedAt),
+                ...built.tree,
+            },
+            skipped: built.skipped,
+        };
+    }
+
+    // conversations.json from ChatGPT's data export: every node of `mapping`
+    // has a parent and children; `current_node` is the leaf last shown
+    function fromChatGPT(raw) {
+        if (!isObject(raw.mapping)) throw new Error('No message tree');
+        const mapping = raw.mapping;
+        const node = key => isObject(mapping[key]) ? mapping[key] : null;
+        const keys = Object.keys(mapping);
+        const roots = keys.filter(key => !node(key)?.parent || !node(node(key).parent));
+        let systemPrompt = '';
+
+        const toMessage = key => {
+            const message = node(key)?.message;
+            if (!isObject(message)) return null;
+            const role = message.author?.role;
+            const content = message.content || {};
+            // Tool traffic, hidden context and non-text parts are not chat turns
+            if (message.metadata?.is_visually_hidden_from_conversation) return null;
+            if (message.recipient && message.recipient !== 'all') return null;
+            if (!['text', 'multimodal_text'].includes(content.content_type)) return null;
+            const parts = Array.isArray(content.parts) ? content.parts : [];
+            const body = parts.map(part => typeof part === 'string' ? part : '[Image]').join('\n').trim();
+            if (role === 'system') {
+                systemPrompt ||= body;
+                return null;
+            }
+            if (!ROLES.includes(role) || !body) return null;
+            const msg = { role, content: body, timestamp: toIso(message.create_time) || toIso(raw.create_time) || new Date().toISOString() };
+            if (role === 'assistant' && typeof message.metadata?.model_slug === 'string') {
+                msg.generation = { model: message.metadata.model_slug };
+            }
+            return msg;
+        };
+
+        const built = buildTree(roots, key => (node(key)?.children || []).filter(child => node(child)), toMessage, raw.current_node);
+        return {
+            conv: {
+                id: safeId('chatgpt', raw.conversation_id || raw.id),
+                title: text(raw.title).trim() || 'ChatGPT Chat',
+                systemPrompt,
+                createdAt: toIso(raw.create_time),
+                updatedAt: toIso(raw.update_time),
+                ...built.tree,
+            },
+            skipped: built.skipped,
+        };
+    }
+
+    // Claude's data export: `chat_messages` in order, newer exports also link
+    // each message to its parent, which keeps edited branches
+    function fromClaude(raw) {
+        if (!Array.isArray(raw.chat_messages)) throw new Error('No messages');
+        const messages = raw.chat_messages.filter(isObject);
+        const toMessage = msg => {
+            const role = msg.sender === 'human' ? 'user' : msg.sender === 'assistant' ? 'assistant' : null;
+            if (!role) return null;
+            const blocks = Array.isArray(msg.content) ? msg.content.filter(isObject) : [];
+            let body = blocks.length > 0
+                ? blocks.map(block => {
+                    if (block.type === 'thinking' && text(block.thinking)) return `<think>${block.thinking}</think>`;
+                    return block.type === 'text' ? text(block.text) : '';
+                }).join('\n\n')
+                : text(msg.text);
+            (Array.isArray(msg.attachments) ? msg.attachments : []).forEach(att => {
+                if (!isObject(att)) return;
+                const content = text(att.extracted_content);
+                body += `\n\n📎 ${text(att.file_name) || 'attachment'}` + (content ? `\n\n\`\`\`\n${content}\n\`\`\`` : '');
+            });
+            (Array.isArray(msg.files) ? msg.files : []).forEach(file => {
+                if (isObject(file) && text(file.file_name)) body += `\n\n📎 ${file.file_name}`;
+            });
+            body = body.trim();
+            if (!body) return null;
+            return { role, content: body, timestamp: toIso(msg.created_at) || new Date().toISOString() };
+        };
+
+        let built;
+        if (messages.length > 0 && messages.every(msg => msg.uuid && msg.parent_message_uuid)) {
+            const byId = new Map(messages.map(msg => [msg.uuid, msg]));
+            const children = new Map();
+            messages.forEach(msg => {
+                if (!children.has(msg.parent_message_uuid)) children.set(msg.parent_message_uuid, []);
+                children.get(msg.parent_message_uuid).push(msg.uuid);
+            });
+            built = buildTree(
+                messages.filter(msg => !byId.has(msg.parent_message_uuid)).map(msg => msg.uuid),
+                key => children.get(key) || [],
+                key => toMessage(byId.get(key)),
+                messages[messages.length - 1].uuid
+            );
+        } else {
+            built = buildLinear(messages, toMessage);
+        }
+        return {
+            conv: {
+                id: safeId('claude', raw.uuid),
+                title: text(raw.name).trim() || 'Claude Chat',
+                systemPrompt: '',
+                createdAt: toIso(raw.created_at),
+                updatedAt: toIso(raw.updated_at),
+                ...built.tree,
+            },
+            skipped: built.skipped,
+        };
+    }
+
+    // Open WebUI's chat export: `chat.history.messages` is a tree keyed by id
+    // with `currentId` as the shown leaf; older exports only have `chat.messages`
+    function fromOpenWebUI(raw) {
+        const chat = isObject(raw.chat) ? raw.chat : raw;
+        const toMessage = msg => {
+            if (!isObject(msg) || !ROLES.includes(msg.role)) return null;
+            const content = text(msg.content).trim();
+            const images = (Array.isArray(msg.files) ? msg.files : [])
+                .filter(file => isObject(file) && file.type === 'image' && isImageDataUrl(file.url))
+                .map(file => ({ name: text(file.name) || 'image', dataUrl: file.url }));
+            if (!content && images.length === 0) return null;
+            const result = { role: msg.role, content, timestamp: toIso(msg.timestamp) || new Date().toISOString() };
+            if (images.length > 0) result.images = images;
+            if (msg.role === 'assistant' && typeof msg.model === 'string') result.generation = { model: msg.model };
+            return result;
+        };
+
+        let built;
+        const history = chat.history?.messages;
+        if (isObject(history)) {
+            const get = key => isObject(history[key]) ? history[key] : null;
+            built = buildTree(
+                Object.keys(history).filter(key => !get(get(key)?.parentId)),
+                key => Array.isArray(get(key)?.childrenIds) ? get(key).childrenIds.filter(get) : [],
+                key => toMessage(get(key)),
+                chat.history.currentId
+            );
+        } else if (Array.isArray(chat.messages)) {
+            built = buildLinear(chat.messages, toMessage);
+        } else {
+            throw new Error('No messages');
+        }
+        const system = chat.params?.system ?? chat.system;
+        return {
+            conv: {
+                id: safeId('openwebui', raw.id || chat.id),
+                title: text(raw.title || chat.title).trim() || 'Open WebUI Chat',
+                systemPrompt: text(system),
+                pinned: !!raw.pinned,
+                tags: (Array.isArray(raw.meta?.tags) ? raw.meta.tags : Array.isArray(chat.tags) ? chat.tags : [])
+                    .map(tag => ({ name: typeof tag === 'string' ? tag : text(tag?.name) })),
+                createdAt: toIso(raw.created_at ?? chat.timestamp),
+                updatedAt: toIso(raw.updated_at),
+                ...built.tree,
+            },
+            skipped: built.skipped,
+        };
+    }
+
+    const CONVERTERS = { app: fromApp, chatgpt: fromChatGPT, claude: fromClaude, openwebui: fromOpenWebUI };
+
+    function detect(records) {
+        const first = records.find(isObject);
+        if (!first) return null;
+        if (isObject(first.mapping)) return 'chatgpt';
+        if (Array.isArray(first.chat_messages)) return 'claude';
+        if (isObject(first.chat) && (isObject(first.chat.history) || Array.isArray(first.chat.messages))) return 'openwebui';
+        if (isObject(first.history?.messages) && first.history.currentId !== undefined) return 'openwebui';
+        if (isObject(first.nodes) || Array.isArray(first.messages)) return 'app';
+        return null;
+    }
+
+    // ---- Duplicates ----
+    // Two chats are the same when their shown messages are
+    function fingerprint(messages) {
+        return JSON.stringify(messages.map(m => [m.role, m.content]));
+    }
+
+    function activeMessages(tree) {
+        const path = [];
+        const seen = new Set();
+        for (let id = tree.activeRootId; id && tree.nodes[id] && !seen.has(id); id = tree.nodes[id].activeChild) {
+            seen.add(id);
+            path.push(tree.nodes[id]);
+        }
+        return path;
+    }
+
+    // 'new', 'duplicate' (same messages already here) or 'changed' (same id, different messages)
+    function classify(items) {
+        const existing = Conversations.loadAll();
+        const byId = new Map(existing.map(conv => [conv.id, conv]));
+        const prints = new Map(existing.filter(conv => conv.messages.length > 0).map(conv => [fingerprint(conv.messages), conv]));
+        items.forEach(item => {
+            const print = fingerprint(activeMessages(item.conv));
+            const sameId = byId.get(item.conv.id);
+            const twin = prints.get(print);
+            if (sameId) {
+                item.status = fingerprint(sameId.messages) === print ? 'duplicate' : 'changed';
+                item.existing = sameId.title;
+            } else if (twin) {
+                item.status = 'duplicate';
+                item.existing = twin.title;
+            } else {
+                item.status = 'new';
+            }
+        });
+    }
+
+    // ---- Parse ----
+    // { format, items: [{ conv, messageCount, status, existing }], failed, skippedMessages };
+    // throws when the file is not JSON or not a format we know
+    function parse(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch {
+            throw new Error('The file is not valid JSON.');
+        }
+        const records = Array.isArray(data) ? data : [data];
+        const format = detect(records);
+        if (!format) throw new Error('Unrecognized file. Supported: AI Chat, ChatGPT (conversations.json), Claude and Open WebUI exports.');
+
+        const items = [];
+        let failed = 0;
+        let skippedMessages = 0;
+        records.forEach(raw => {
+            try {
+                if (!isObject(raw)) throw new Error('Not a conversation');
+                const { conv, skipped } = CONVERTERS[format](raw);
+                const messageCount = Object.keys(conv.nodes).length;
+                // Our own exports may hold chats never written in; others' empty ones are noise
+                if (messageCount === 0 && format !== 'app') throw new Error('No readable messages');
+                conv.createdAt ||= new Date().toISOString();
+                conv.updatedAt ||= conv.createdAt;
+                items.push({ conv, messageCount });
+                skippedMessages += skipped;
+            } catch (err) {
+                console.warn('Skipping conversation in import:', err);
+                failed++;
+            }
+        });
+        classify(items);
+        return { format, items, failed, skippedMessages };
+    }
+
+    // ---- Preview Dialog ----
+    const STATUS_LABELS = { new: 'New', duplicate: 'Already imported', changed: 'Changed' };
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    // Opens the preview for a file's contents; returns false (after a toast) when it cannot be read
+    function preview(jsonString) {
+        try {
+            pending = parse(jsonString);
+        } catch (err) {
+            Toast.show(err.message, 'error');
+            return false;
+        }
+        const { format, items, failed, skippedMessages } = pending;
+        if (items.length === 0) {
+            Toast.show(`No readable conversations in this ${FORMATS[format]}.`, 'error');
+            return false;
+        }
+
+        const duplicates = items.filter(item => item.status === 'duplicate').length;
+        const notes = [`${FORMATS[format]} · ${items.length} conversation${items.length !== 1 ? 's' : ''}`];
+        if (duplicates > 0) notes.push(`${duplicates} already imported (unticked)`);
+        if (failed > 0) notes.push(`${failed} could not be read`);
+        if (skippedMessages > 0) notes.push(`${skippedMessages} hidden, tool or empty message${skippedMessages !== 1 ? 's' : ''} left out`);
+        document.getElementById('import-summary').textContent = notes.join(' · ');
+
+        document.getElementById('import-list').innerHTML = items.map((item, i) => `
+            <label class="import-row">
+                <input type="checkbox" data-index="${i}"${item.status === 'duplicate' ? '' : ' checked'}>
+                <span class="import-row-main">
+                    <span class="import-row-title">${escapeHtml(item.conv.title)}</span>
+                    <span class="import-row-meta">${item.messageCount} message${item.messageCount !== 1 ? 's' : ''} · ${escapeHtml(new Date(item.conv.updatedAt).toLocaleDateString())}${item.existing ? ` · matches “${escapeHtml(item.existing)}”` : ''}</span>
+                </span>
+                <span class="import-status ${item.status}">${STATUS_LABELS[item.status]}</span>
+            </label>`).join('');
+        document.getElementById('import-keep-both').checked = false;
+
+        document.getElementById('import-modal').classList.add('active');
+        document.getElementById('import-overlay').classList.add('active');
+        return true;
+    }
+
+    function close() {
+        document.getElementById('import-modal').classList.remove('active');
+        document.getElementById('import-overlay').classList.remove('active');
+        pending = null;
+    }
+
+    // Ticked duplicates come in as copies; changed chats replace the stored
+    // version unless "keep both" is ticked
+    function run() {
+        if (!pending) return;
+        const keepBoth = document.getElementById('import-keep-both').checked;
+        const selected = [...document.querySelectorAll('#import-list input[type="checkbox"]:checked')]
+            .map(input => pending.items[Number(input.dataset.index)])
+            .filter(Boolean);
+        if (selected.length === 0) {
+            Toast.show('Nothing selected to import.', 'warning');
+            return;
+        }
+        const ids = Conversations.importConversations(selected.map(item => ({
+            conv: item.conv,
+            mode: item.status === 'duplicate' || (item.status === 'changed' && keepBoth) ? 'copy' : 'replace',
+        })));
+        close();
+        Toast.show(`Imported ${ids.length} conversation${ids.length !== 1 ? 's' : ''}`, 'success');
+        App.renderSidebar();
+        App.switchConversation(ids[0]);
+    }
+
+    function init() {
+        document.getElementById('btn-close-import')?.addEventListener('click', close);
+        document.getElementById('import-overlay')?.addEventListener('click', close);
+        document.getElementById('btn-import-run')?.addEventListener('click', run);
+    }
+
+    return {
+        init,
+        parse,
+        preview,
+        close,
+    };
+})();
@@ -0,0 +1,317 @@
+// ============================================================
+// inspector.js — Request/Response Inspector & Debug Log
+// Records every API exchange reported by API.onDebug: request
+// body, status, headers, raw stream chunks, timing, parse errors
+// ============================================================
+
+const Inspector = (() => {
+    const MAX_ENTRIES = 200;
+    const MAX_CHUNKS = 2000;
+
+    let entries = [];
+    let selectedId = null;
+    let renderTimer = null;
+
+    // ---- Recording ----
+    function find(id) {
+        return entries.find(e => e.id === id);
+    }
+
+    function parseBody(body) {
+        try {
+            return JSON.parse(body);
+        } catch {
+            return null;
+        }
+    }
+
+    function record(event) {
+        if (event.type === 'request') {
+            const json = parseBody(event.body);
+            entries.push({
+                id: event.id,
+                url: event.url,
+                method: event.method || 'GET',
+                headers: event.headers,
+                body: event.body,
+                model: json?.model || '',
+                stream: !!json?.stream,
+                startedAt: event.time,
+                status: null,
+                statusText: '',
+                responseHeaders: {},
+                firstTokenAt: null,
+                endedAt: null,
+                usage: null,
+                chunks: [],
+                chunkCount: 0,
+                parseErrors: [],
+                error: null,
+            });
+            if (entries.length > MAX_ENTRIES) entries.shift();
+            scheduleRender();
+            return;
+        }
+
+        const entry = find(event.id);
+        if (!entry) return;
+
+        switch (event.type) {
+            case 'response':
+                entry.status = event.status;
+                entry.statusText = event.statusText;
+                entry.responseHeaders = event.headers;
+                break;
+            case 'first-token':
+                entry.firstTokenAt = event.time;
+                break;
+            case 'chunk':
+                entry.chunkCount++;
+                if (entry.chunks.length < MAX_CHUNKS) entry.chunks.push(event.data);
+                break;
+            case 'parse-error':
+                entry.parseErrors.push({ data: event.data, error: event.error });
+                break;
+            case 'end':
+                entry.endedAt = event.time;
+                entry.usage = event.usage || null;
+                break;
+            case 'error':
+                entry.endedAt = event.time;
+                entry.error = event.error;
+                break;
+        }
+        scheduleRender();
+    }
+
+    API.onDebug(record);
+
+    function clear() {
+        entries = [];
+        selectedId = null;
+        render();
+    }
+
+    // ---- Formatting ----
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function formatMs(ms) {
+        if (ms === null || ms === undefined || isNaN(ms)) return '—';
+        return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+    }
+
+    function formatJSON(text) {
+        const json = parseBody(text);
+        return json ? JSON.stringify(json, null, 2) : text;
+    }
+
+    function formatHeaders(headers) {
+        return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+    }
+
+    function hasProblem(entry) {
+        return !!entry.error || entry.status >= 400 || entry.parseErrors.length > 0;
+    }
+
+    function getPath(url) {
+        try {
+            return new URL(url).pathname;
+        } catch {
+            return url;
+        }
+    }
+
+    // Keys are already redacted to $API_KEY, so headers go in double quotes
+    // and the shell expands the variable; the body goes in single quotes.
+    function toCurl(entry) {
+        const lines = [`curl${entry.stream ? ' -N' : ''} -X ${entry.method} '${entry.url.replace(/'/g, "'\\''")}'`];
+        Object.entries(entry.headers || {}).forEach(([name, value]) => {
+            lines.push(`  -H "${name}: ${String(value).replace(/["\\`]/g, '\\$&')}"`);
+        });
+        if (entry.body) {
+            lines.push(`  --data-raw '${entry.body.replace(/'/g, "'\\''")}'`);
+        }
+        return lines.join(' \\\n');
+    }
+
+    function copyText(text, label) {
+        navigator.clipboard.writeText(text).then(() => {
+            Toast.show(`${label} copied`, 'success', 2000);
+        });
+    }
+
+    function copyCurl(id) {
+        const entry = find(id);
+        if (entry) copyText(toCurl(entry), 'curl command');
+    }
+
+    function copyBody(id) {
+        const entry = find(id);
+        if (entry) copyText(formatJSON(entry.body), 'Request body');
+    }
+
+    function copyResponse(id) {
+        const entry = find(id);
+        if (entry) copyText(entry.chunks.join('\n'), 'Response');
+    }
+
+    // ---- Rendering ----
+    function getFiltered() {
+        const query = document.getElementById('inspector-filter')?.value.trim().toLowerCase() || '';
+        const kind = document.getElementById('inspector-kind')?.value || 'all';
+        return entries.filter(entry => {
+            if (kind === 'errors' && !hasProblem(entry)) return false;
+            if (kind === 'chat' && entry.method !== 'POST') return false;
+            if (!query) return true;
+            return [entry.url, entry.model, entry.body, entry.error, String(entry.status)]
+                .some(field => (field || '').toLowerCase().includes(query));
+        });
+    }
+
+    function renderItem(entry) {
+        const pending = !entry.endedAt && !entry.error;
+        const status = entry.error && !entry.status ? 'ERR' : (entry.status ?? '…');
+        const total = pending ? 'pending…' : formatMs(entry.endedAt - entry.startedAt);
+        const classes = ['inspector-item'];
+        if (entry.id === selectedId) classes.push('selected');
+        if (hasProblem(entry)) classes.push('error');
+        return `<div class="${classes.join(' ')}" onclick="Inspector.select(${entry.id})">
+            <span class="inspector-method">${escapeHtml(entry.method)}</span>
+            <span class="inspector-status">${escapeHtml(status)}</span>
+            <span class="inspector-path" title="${escapeHtml(entry.url)}">${escapeHtml(getPath(entry.url))}</span>
+            <span class="inspector-model">${escapeHtml(entry.model)}</span>
+            <span class="inspector-time">${total}</span>
+        </div>`;
+    }
+
+    function renderSection(title, content, open = false) {
+        return `<details class="inspector-section"${open ? ' open' : ''}>
+            <summary>${title}</summary>
+            <pre><code>${escapeHtml(content)}</code></pre>
+        </details>`;
+    }
+
+    function renderDetail(entry) {
+        if (!entry) {
+            return '<div class="inspector-empty">Select a request to see its details.</div>';
+        }
+        const ttft = entry.firstTokenAt ? entry.firstTokenAt - entry.startedAt : null;
+        const total = entry.endedAt ? entry.endedAt - entry.startedAt : null;
+        const usage = entry.usage
+            ? `${entry.usage.prompt_tokens ?? '?'} prompt + ${entry.usage.completion_tokens ?? '?'} completion`
+            : '—';
+        const truncated = entry.chunkCount > entry.chunks.length
+            ? `\n… ${entry.chunkCount - entry.chunks.length} more chunks not kept`
+            : '';
+
+        let html = `<div class="inspector-summary">
+            <div><strong>${escapeHtml(entry.method)}</strong> ${escapeHtml(entry.url)}</div>
+            <div>Status: ${escapeHtml(entry.status ?? '—')} ${escapeHtml(entry.statusText)}</div>
+            <div>Started: ${new Date(entry.startedAt).toLocaleTimeString()} · First token: ${formatMs(ttft)} · Total: ${formatMs(total)}</div>
+            <div>Chunks: ${entry.chunkCount} · Usage: ${escapeHtml(usage)}</div>
+            ${entry.error ? `<div class="inspector-error">Error: ${escapeHtml(entry.error)}</div>` : ''}
+        </div>
+        <div class="inspector-actions">
+            <button class="btn-secondary" onclick="Inspector.copyCurl(${entry.id})">Copy as curl</button>
+            <button class="btn-secondary" onclick="Inspector.copyBody(${entry.id})">Copy body</button>
+            <button class="btn-secondary" onclick="Inspector.copyResponse(${entry.id})">Copy response</button>
+        </div>`;
+
+        if (entry.parseErrors.length > 0) {
+            html += renderSection(
+                `Parse errors (${entry.parseErrors.length})`,
+                entry.parseErrors.map(p => `${p.error}\n  ${p.data}`).join('\n\n'),
+                true,
+            );
+        }
+        html += renderSection('Request body', formatJSON(entry.body), true);
+        html += renderSection('Request headers', formatHeaders(entry.headers));
+        html += renderSection('Response headers', formatHeaders(entry.responseHeaders));
+        html += renderSection(`Raw response (${entry.chunkCount} chunks)`, entry.chunks.join('\n') + truncated);
+        return html;
+    }
+
+    function render() {
+        const list = document.getElementById('inspector-list');
+        const detail = document.getElementById('inspector-detail');
+        if (!list || !detail) return;
+
+        const filtered = getFiltered();
+        list.innerHTML = filtered.length > 0
+            ? filtered.slice().reverse().map(renderItem).join('')
+            : '<div class="inspector-empty">No requests recorded yet.</div>';
+
+        // Keep open sections open while a stream updates the detail view
+        const openSections = [...detail.querySelectorAll('details')].map(d => d.open);
+        detail.innerHTML = renderDetail(find(selectedId));
+        detail.querySelectorAll('details').forEach((d, i) => {
+            if (openSections[i] !== undefined) d.open = openSections[i];
+        });
+    }
+
+    // Streams report a chunk per line, so repaint at most a few times a second
+    function scheduleRender() {
+        if (!isOpen() || renderTimer) return;
+        renderTimer = setTimeout(() => {
+            renderTimer = null;
+            render();
+        }, 200);
+    }
+
+    function select(id) {
+        if (selectedId !== id) {
+            selectedId = id;
+            const detail = document.getElementById('inspector-detail');
+            if (detail) detail.innerHTML = '';
+        }
+        render();
+    }
+
+    // ---- Panel ----
+    function isOpen() {
+        return document.getElementById('inspector-modal')?.classList.contains('active') || false;
+    }
+
+    function open() {
+        if (selectedId === null && entries.length > 0) {
+            selectedId = entries[entries.length - 1].id;
+        }
+        document.getElementById('inspector-modal').classList.add('active');
+        document.getElementById('inspector-overlay').classList.add('active');
+        render();
+    }
+
+    function close() {
+        document.getElementById('inspector-modal').classList.remove('active');
+        document.getElementById('inspector-overlay').classList.remove('active');
+    }
+
+    function toggle() {
+        if (isOpen()) close();
+        else open();
+    }
+
+    function init() {
+        document.getElementById('btn-inspector')?.addEventListener('click', open);
+        document.getElementById('btn-close-inspector')?.addEventListener('click', close);
+        document.getElementById('inspector-overlay')?.addEventListener('click', close);
+        document.getElementById('btn-inspector-clear')?.addEventListener('click', clear);
+        document.getElementById('inspector-filter')?.addEventListener('input', render);
+        document.getElementById('inspector-kind')?.addEventListener('change', render);
+    }
+
+    return {
+        init,
+        open,
+        close,
+        toggle,
+        isOpen,
+        select,
+        clear,
+        copyCurl,
+        copyBody,
+        copyResponse,
+    };
+})();
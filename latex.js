@@ -0,0 +1,564 @@
+// ============================================================
+// latex.js — Offline TeX Math → MathML Typesetter
+// Converts the LaTeX math subset models produce into MathML,
+// which browsers render natively. The TeX source travels along in
+// an <annotation> and a data attribute so copying returns it.
+// ============================================================
+
+const Latex = (() => {
+    const MAX_DEPTH = 50;
+
+    const GREEK = {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+        theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο',
+        pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+        phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+        Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    };
+
+    // Ordinary symbols rendered as identifiers
+    const IDENTIFIERS = {
+        infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+        Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘', top: '⊤', bot: '⊥', angle: '∠', triangle: '△',
+        prime: '′', degree: '°', imath: 'ı', jmath: 'ȷ',
+    };
+
+    const OPERATORS = {
+        pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+        simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', doteq: '≐',
+        in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+        cup: '∪', cap: '∩', wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬',
+        setminus: '∖', oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙',
+        forall: '∀', exists: '∃', nexists: '∄', therefore: '∴', because: '∵',
+        to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+        leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺', implies: '⟹', impliedby: '⟸', mapsto: '↦',
+        longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓', hookrightarrow: '↪',
+        ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+        perp: '⊥', parallel: '∥', mid: '∣', nmid: '∤', vdash: '⊢', models: '⊨',
+        langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+        lvert: '|', rvert: '|', vert: '|', Vert: '‖', lVert: '‖', rVert: '‖',
+        colon: ':', cdotp: '⋅', ldotp: '.', backslash: '∖',
+    };
+
+    const LARGE_OPERATORS = {
+        sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+        bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀', bigsqcup: '⨆',
+    };
+
+    // Integrals keep their limits beside the sign even in display mode
+    const SIDE_LIMITS = new Set(['int', 'iint', 'iiint', 'oint']);
+
+    const FUNCTIONS = new Set([
+        'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+        'coth', 'log', 'ln', 'lg', 'exp', 'det', 'gcd', 'deg', 'dim', 'ker', 'arg', 'Pr', 'hom', 'mod',
+    ]);
+
+    // Functions whose subscripts sit underneath in display mode
+    const LIMIT_FUNCTIONS = new Set(['lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin']);
+
+    const ACCENTS = {
+        hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', overleftarrow: '←',
+        dot: '˙', ddot: '¨', tilde: '~', widetilde: '~', check: 'ˇ', breve: '˘', acute: '´', grave: '`',
+        overbrace: '⏞',
+    };
+
+    const UNDER_ACCENTS = { underline: '_', underbrace: '⏟' };
+
+    const SPACES = {
+        ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+        '!': '-0.1667em', quad: '1em', qquad: '2em', enspace: '0.5em', thinspace: '0.1667em',
+    };
+
+    // Letter styles → start of the matching Mathematical Alphanumeric Symbols range
+    const VARIANTS = {
+        mathbf: { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+        boldsymbol: { upper: 0x1D468, lower: 0x1D482, digit: 0x1D7CE },
+        mathbb: { upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8, holes: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' } },
+        mathcal: { upper: 0x1D49C, lower: 0x1D4B6, holes: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' } },
+        mathfrak: { upper: 0x1D504, lower: 0x1D51E, holes: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' } },
+        mathsf: { upper: 0x1D5A0, lower: 0x1D5BA, digit: 0x1D7E2 },
+        mathtt: { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 },
+    };
+    VARIANTS.mathscr = VARIANTS.mathcal;
+    VARIANTS.bm = VARIANTS.boldsymbol;
+
+    const UPRIGHT = new Set(['mathrm', 'rm', 'mathup', 'operatorname']);
+
+    // Environments and the delimiters drawn around them
+    const MATRIX_FENCES = {
+        matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+        vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], smallmatrix: ['', ''], cases: ['{', ''],
+        array: ['', ''], aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', ''],
+        gather: ['', ''], 'gather*': ['', ''], split: ['', ''], equation: ['', ''], 'equation*': ['', ''],
+    };
+
+    const DELIMITERS = {
+        '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '.': '',
+        '\\{': '{', '\\}': '}', '\\lbrace': '{', '\\rbrace': '}', '\\|': '‖', '\\langle': '⟨', '\\rangle': '⟩',
+        '\\lvert': '|', '\\rvert': '|', '\\vert': '|', '\\Vert': '‖', '\\lVert': '‖', '\\rVert': '‖',
+        '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉', '\\backslash': '∖',
+        '<': '⟨', '>': '⟩',
+    };
+
+    // ---- Helpers ----
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function styleChar(ch, variant) {
+        const style = VARIANTS[variant];
+        if (!style) return ch;
+        if (style.holes?.[ch]) return style.holes[ch];
+        if (ch >= 'A' && ch <= 'Z') return String.fromCodePoint(style.upper + ch.charCodeAt(0) - 65);
+        if (ch >= 'a' && ch <= 'z') return String.fromCodePoint(style.lower + ch.charCodeAt(0) - 97);
+        if (ch >= '0' && ch <= '9' && style.digit) return String.fromCodePoint(style.digit + ch.charCodeAt(0) - 48);
+        return ch;
+    }
+
+    function mrow(items) {
+        return items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`;
+    }
+
+    function mo(symbol, attrs = '') {
+        return `<mo${attrs}>${escapeXml(symbol)}</mo>`;
+    }
+
+    // ---- Tokenizing ----
+    function tokenize(tex) {
+        const tokens = [];
+        const pattern = /\\[a-zA-Z]+\*?|\\[^a-zA-Z]|\d+(?:\.\d+)?|\s+|[\s\S]/g;
+        let m;
+        while ((m = pattern.exec(tex)) !== null) {
+            const value = m[0];
+            if (/^\s+$/.test(value)) tokens.push({ type: 'space', value });
+            else if (value[0] === '\\') tokens.push({ type: 'command', value, name: value.slice(1) });
+            else if (/^\d/.test(value)) tokens.push({ type: 'number', value });
+            else tokens.push({ type: 'char', value });
+        }
+        return tokens;
+    }
+
+    // ---- Parsing ----
+    // Recursive descent over the token list; every method returns MathML strings
+    class Parser {
+        constructor(tex, display) {
+            this.tokens = tokenize(tex);
+            this.pos = 0;
+            this.display = display;
+            this.variant = null;
+            this.upright = false;
+            this.depth = 0;
+        }
+
+        peek() {
+            while (this.tokens[this.pos]?.type === 'space') this.pos++;
+            return this.tokens[this.pos];
+        }
+
+        next() {
+            const token = this.peek();
+            if (token) this.pos++;
+            return token;
+        }
+
+        // Items until `stop` (a closing char), an enclosing group's end or the end
+        parseList(stop) {
+            const items = [];
+            for (;;) {
+                const token = this.peek();
+                if (!token || token.value === stop || token.value === '}') break;
+                if (this.isTableBreak(token)) {
+                    if (this.inTable) break;
+                    // Stray & or \\ outside a table
+                    this.pos++;
+                    continue;
+                }
+                if (token.type === 'command' && this.stopCommands?.includes(token.name)) break;
+                const atom = this.parseScripted();
+                if (atom) items.push(atom);
+            }
+            return items;
+        }
+
+        isTableBreak(token) {
+            return token.value === '&' || (token.type === 'command' && (token.name === '\\' || token.name === 'cr'));
+        }
+
+        // A required argument: {group} or a single token
+        parseArgument() {
+            const token = this.peek();
+            if (!token) return '<mrow></mrow>';
+            if (token.value === '{') {
+                this.pos++;
+                const items = this.parseList('}');
+                if (this.peek()?.value === '}') this.pos++;
+                return mrow(items);
+            }
+            return this.parseAtom() || '<mrow></mrow>';
+        }
+
+        // Raw text of a {group}, for \text and environment names
+        readGroupText() {
+            while (this.tokens[this.pos]?.type === 'space') this.pos++;
+            const token = this.tokens[this.pos];
+            if (!token) return '';
+            if (token.value !== '{') {
+                this.pos++;
+                return token.value;
+            }
+            this.pos++;
+            let depth = 1;
+            let text = '';
+            while (this.pos < this.tokens.length) {
+                const t = this.tokens[this.pos++];
+                if (t.value === '{') depth++;
+                if (t.value === '}' && --depth === 0) break;
+                text += t.type === 'command' && t.name.length === 1 && !/[a-zA-Z]/.test(t.name) ? t.name : t.value;
+            }
+            return text;
+        }
+
+        readOptional() {
+            if (this.peek()?.value !== '[') return null;
+            this.pos++;
+            const items = this.parseList(']');
+            if (this.peek()?.value === ']') this.pos++;
+            return mrow(items);
+        }
+
+        // Base followed by any ^, _ and primes
+        parseScripted() {
+            const startToken = this.peek();
+            const base = this.parseAtom();
+            if (base === null) return null;
+            const limits = startToken?.type === 'command' && this.usesLimits(startToken.name);
+
+            let sub = null;
+            let sup = null;
+            let primes = '';
+            for (;;) {
+                const token = this.peek();
+                if (!token) break;
+                if (token.value === "'") {
+                    this.pos++;
+                    primes += '′';
+                } else if (token.value === '_' && sub === null) {
+                    this.pos++;
+                    sub = this.parseArgument();
+                } else if (token.value === '^' && sup === null) {
+                    this.pos++;
+                    sup = this.parseArgument();
+                } else if (token.type === 'command' && (token.name === 'limits' || token.name === 'nolimits')) {
+                    this.pos++;
+                } else {
+                    break;
+                }
+            }
+            if (primes) sup = sup ? mrow([mo(primes), sup]) : mo(primes);
+
+            if (sub !== null && sup !== null) return limits ? `<munderover>${base}${sub}${sup}</munderover>` : `<msubsup>${base}${sub}${sup}</msubsup>`;
+            if (sub !== null) return limits ? `<munder>${base}${sub}</munder>` : `<msub>${base}${sub}</msub>`;
+            if (sup !== null) return limits ? `<mover>${base}${sup}</mover>` : `<msup>${base}${sup}</msup>`;
+            return base;
+        }
+
+        usesLimits(name) {
+            if (!this.display) return false;
+            return (name in LARGE_OPERATORS && !SIDE_LIMITS.has(name)) || LIMIT_FUNCTIONS.has(name);
+        }
+
+        parseAtom() {
+            if (++this.depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+            try {
+                return this.parseAtomInner();
+            } finally {
+                this.depth--;
+            }
+        }
+
+        parseAtomInner() {
+            const token = this.next();
+            if (!token) return null;
+
+            if (token.type === 'number') {
+                const digits = [...token.value].map(ch => styleChar(ch, this.variant)).join('');
+                return `<mn>${escapeXml(digits)}</mn>`;
+            }
+
+            if (token.type === 'char') {
+                const ch = token.value;
+                if (ch === '{') {
+                    const items = this.parseList('}');
+                    if (this.peek()?.value === '}') this.pos++;
+                    return mrow(items);
+                }
+                if (ch === '}') return '';
+                if (ch === '^' || ch === '_') {
+                    // Script with no base: attach to an empty row
+                    this.pos--;
+                    return '<mrow></mrow>';
+                }
+                if (ch === '~') return '<mspace width="0.25em"></mspace>';
+                if (/[a-zA-Z]/.test(ch)) {
+                    const letter = styleChar(ch, this.variant);
+                    return this.upright || this.variant ? `<mi mathvariant="normal">${escapeXml(letter)}</mi>` : `<mi>${escapeXml(letter)}</mi>`;
+                }
+                if (ch === '-') return mo('−');
+                if (ch === '*') return mo('∗');
+                if (ch === "'") return mo('′');
+                if (/[()[\]]/.test(ch)) return mo(ch, ' stretchy="false"');
+                if (/[+=<>/|!,;:.?]/.test(ch)) return mo(ch);
+                return `<mi>${escapeXml(ch)}</mi>`;
+            }
+
+            return this.parseCommand(token);
+        }
+
+        parseCommand(token) {
+            const name = token.name;
+
+            if (name in GREEK) {
+                const upper = /^[A-Z]/.test(name);
+                return upper || this.upright ? `<mi mathvariant="normal">${GREEK[name]}</mi>` : `<mi>${GREEK[name]}</mi>`;
+            }
+            if (name in IDENTIFIERS) return `<mi>${IDENTIFIERS[name]}</mi>`;
+            if (name in OPERATORS) return mo(OPERATORS[name]);
+            if (name in LARGE_OPERATORS) return mo(LARGE_OPERATORS[name], ' largeop="true" movablelimits="true"');
+            if (FUNCTIONS.has(name) || LIMIT_FUNCTIONS.has(name)) {
+                const label = name === 'liminf' ? 'lim inf' : name === 'limsup' ? 'lim sup' : name.replace(/^arg(max|min)$/, 'arg $1');
+                return `<mi>${escapeXml(label)}</mi>`;
+            }
+            if (name in SPACES) return `<mspace width="${SPACES[name]}"></mspace>`;
+            if (name.length === 1 && !/[a-zA-Z]/.test(name)) {
+                // Escaped punctuation: \{ \} \% \$ \# \& \_ \|
+                return mo(name === '|' ? '‖' : name);
+            }
+
+            switch (name) {
+                case 'frac':
+                case 'dfrac':
+                case 'tfrac':
+                case 'cfrac': {
+                    const num = this.parseArgument();
+                    const den = this.parseArgument();
+                    return `<mfrac>${num}${den}</mfrac>`;
+                }
+                case 'binom':
+                case 'dbinom':
+                case 'tbinom': {
+                    const top = this.parseArgument();
+                    const bottom = this.parseArgument();
+                    return `<mrow>${mo('(')}<mfrac linethickness="0">${top}${bottom}</mfrac>${mo(')')}</mrow>`;
+                }
+                case 'sqrt': {
+                    const index = this.readOptional();
+                    const radicand = this.parseArgument();
+                    return index ? `<mroot>${radicand}${index}</mroot>` : `<msqrt>${radicand}</msqrt>`;
+                }
+                case 'text':
+                case 'textrm':
+                case 'textit':
+                case 'textbf':
+                case 'textsf':
+                case 'texttt':
+                case 'mbox':
+                case 'hbox':
+                    return `<mtext>${escapeXml(this.readGroupText())}</mtext>`;
+                case 'operatorname':
+                case 'operatorname*':
+                    return `<mi>${escapeXml(this.readGroupText())}</mi>`;
+                case 'left':
+                    return this.parseLeftRight();
+                case 'right':
+                    // Unbalanced \right: show the delimiter
+                    return mo(this.readDelimiter());
+                case 'big':
+                case 'Big':
+                case 'bigg':
+                case 'Bigg':
+                case 'bigl':
+                case 'bigr':
+                case 'Bigl':
+                case 'Bigr':
+                case 'biggl':
+                case 'biggr':
+                case 'Biggl':
+                case 'Biggr':
+                    return mo(this.readDelimiter(), ' stretchy="false"');
+                case 'begin':
+                    return this.parseEnvironment(this.readGroupText());
+                case 'end':
+                    this.readGroupText();
+                    return '';
+                case 'not': {
+                    const negated = this.parseAtom() || '';
+                    return negated.replace(/<(mo|mi)([^>]*)>([^<]*)<\/\1>/, (m, tag, attrs, text) => `<${tag}${attrs}>${text}̸</${tag}>`);
+                }
+                case 'color':
+                case 'textcolor': {
+                    const color = this.readGroupText().trim();
+                    const safe = /^(?:#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(color) ? color : 'inherit';
+                    const body = name === 'textcolor' ? this.parseArgument() : mrow(this.parseList());
+                    return `<mrow style="color:${safe}">${body}</mrow>`;
+                }
+                case 'displaystyle':
+                case 'textstyle': {
+                    const body = mrow(this.parseList());
+                    return `<mstyle displaystyle="${name === 'displaystyle'}">${body}</mstyle>`;
+                }
+                case 'pmod': {
+                    const arg = this.parseArgument();
+                    return `<mrow><mspace width="0.4em"></mspace>${mo('(')}<mi>mod</mi><mspace width="0.3em"></mspace>${arg}${mo(')')}</mrow>`;
+                }
+                case 'bmod':
+                    return '<mrow><mspace width="0.25em"></mspace><mi>mod</mi><mspace width="0.25em"></mspace></mrow>';
+                case 'stackrel':
+                case 'overset': {
+                    const over = this.parseArgument();
+                    const base = this.parseArgument();
+                    return `<mover>${base}${over}</mover>`;
+                }
+                case 'underset': {
+                    const under = this.parseArgument();
+                    const base = this.parseArgument();
+                    return `<munder>${base}${under}</munder>`;
+                }
+                case 'boxed':
+                    return `<menclose notation="box">${this.parseArgument()}</menclose>`;
+                case 'label':
+                case 'tag':
+                case 'nonumber':
+                case 'notag':
+                    if (name === 'label' || name === 'tag') this.readGroupText();
+                    return '';
+                case 'limits':
+                case 'nolimits':
+                    return '';
+            }
+
+            if (name in ACCENTS) {
+                const base = this.parseArgument();
+                const stretchy = /^(?:wide|over)/.test(name) ? 'true' : 'false';
+                return `<mover accent="true">${base}${mo(ACCENTS[name], ` stretchy="${stretchy}"`)}</mover>`;
+            }
+            if (name in UNDER_ACCENTS) {
+                const base = this.parseArgument();
+                return `<munder accentunder="true">${base}${mo(UNDER_ACCENTS[name], ' stretchy="true"')}</munder>`;
+            }
+            if (name in VARIANTS || UPRIGHT.has(name)) {
+                return this.withStyle(name, () => this.parseArgument());
+            }
+
+            return `<merror><mtext>${escapeXml(token.value)}</mtext></merror>`;
+        }
+
+        withStyle(name, parse) {
+            const saved = [this.variant, this.upright];
+            if (name in VARIANTS) this.variant = name;
+            else this.upright = true;
+            try {
+                return parse();
+            } finally {
+                [this.variant, this.upright] = saved;
+            }
+        }
+
+        readDelimiter() {
+            const token = this.next();
+            if (!token) return '';
+            return DELIMITERS[token.value] ?? (OPERATORS[token.name] || token.value);
+        }
+
+        parseLeftRight() {
+            const open = this.readDelimiter();
+            const saved = this.stopCommands;
+            this.stopCommands = ['right'];
+            const items = this.parseList();
+            this.stopCommands = saved;
+            let close = '';
+            if (this.peek()?.name === 'right') {
+                this.pos++;
+                close = this.readDelimiter();
+            }
+            const fence = symbol => symbol ? mo(symbol, ' fence="true" stretchy="true"') : '';
+            return `<mrow>${fence(open)}${items.join('')}${fence(close)}</mrow>`;
+        }
+
+        parseEnvironment(env) {
+            if (env === 'array') this.readGroupText(); // column spec
+            const fences = MATRIX_FENCES[env] || ['', ''];
+            const savedTable = this.inTable;
+            const savedStops = this.stopCommands;
+            this.inTable = true;
+            this.stopCommands = ['end'];
+
+            const rows = [];
+            let row = [];
+            for (;;) {
+                const items = this.parseList();
+                row.push(items);
+                const token = this.peek();
+                if (!token) break;
+                if (token.value === '&') {
+                    this.pos++;
+                    continue;
+                }
+                if (this.isTableBreak(token)) {
+                    this.pos++;
+                    rows.push(row);
+                    row = [];
+                    continue;
+                }
+                if (token.type === 'command' && token.name === 'end') {
+                    this.pos++;
+                    this.readGroupText();
+                }
+                break;
+            }
+            if (row.length > 1 || row[0]?.length > 0) rows.push(row);
+            this.inTable = savedTable;
+            this.stopCommands = savedStops;
+
+            // Aligned environments pair right- and left-aligned columns around "&"
+            const aligned = /^(?:aligned|align\*?|split)$/.test(env);
+            const align = aligned ? ' columnalign="right left right left right left"' : env === 'cases' ? ' columnalign="left left"' : '';
+            const spacing = aligned ? ' columnspacing="0em"' : '';
+            const table = `<mtable${align}${spacing}${env === 'smallmatrix' ? ' displaystyle="false"' : ''}>${rows.map(cells => `<mtr>${cells.map(items => `<mtd>${mrow(items.length > 0 ? items : [''])}</mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+            const fence = symbol => symbol ? mo(symbol, ' fence="true" stretchy="true"') : '';
+            return fences[0] || fences[1] ? `<mrow>${fence(fences[0])}${table}${fence(fences[1])}</mrow>` : table;
+        }
+    }
+
+    // ---- Rendering ----
+    // MathML for `tex`; throws on malformed input
+    function toMathML(tex, display = false) {
+        const parser = new Parser(tex, display);
+        const items = parser.parseList();
+        // Stray closing braces and the like: keep going past them
+        while (parser.peek()) {
+            parser.pos++;
+            items.push(...parser.parseList());
+        }
+        const annotation = `<annotation encoding="application/x-tex">${escapeXml(tex)}</annotation>`;
+        return `<math${display ? ' display="block"' : ''}><semantics>${mrow(items.length > 0 ? items : ['<mrow></mrow>'])}${annotation}</semantics></math>`;
+    }
+
+    // Wrapped markup for a message; `source` is the original text with its
+    // delimiters, which copy handlers put back on the clipboard
+    // A <span> either way so display math may sit inside a paragraph.
+    function render(tex, display, source) {
+        const attrs = `class="math ${display ? 'math-display' : 'math-inline'}" data-source="${escapeXml(source ?? tex)}"`;
+        try {
+            return `<span ${attrs}>${toMathML(tex.trim(), display)}</span>`;
+        } catch (err) {
+            return `<span ${attrs} title="${escapeXml(err.message)}"><code class="math-error">${escapeXml(source ?? tex)}</code></span>`;
+        }
+    }
+
+    return {
+        toMathML,
+        render,
+    };
+})();
@@ -0,0 +1,1000 @@
+// ============================================================
+// markdown.js — CommonMark + GFM Parser & HTML Renderer
+// Parses block structure first (containers, then leaves), then
+// inlines with a delimiter stack. Every piece of text is escaped
+// on output; raw HTML in the source is shown as text.
+// ============================================================
+
+const Markdown = (() => {
+    const TAB_STOP = 4;
+    // Hostile input can nest thousands deep; past these limits markers are
+    // plain text, so parsing and rendering never run out of stack
+    const MAX_NESTING = 100;
+    const MAX_LINK_PARENS = 32;
+    const MAX_LABEL_LENGTH = 999;
+
+    const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+    const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+    const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+    const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+    const BLOCKQUOTE = /^ {0,3}> ?/;
+    const LIST_MARKER = /^( {0,3})(?:([-+*])|(\d{1,9})([.)]))(?=[ \t]|$)/;
+    const MATH_BLOCK_OPEN = /^ {0,3}(\$\$|\\\[)(.*)$/;
+    const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+    const LINK_DEFINITION = /^ {0,3}\[((?:[^\]\\]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]*\n?[ \t]*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+    const ESCAPABLE = /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]$/;
+    const PUNCTUATION = /[\p{P}\p{S}]/u;
+    const WHITESPACE = /\s/;
+
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+        trade: '™', hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', middot: '·',
+        times: '×', divide: '÷', deg: '°', plusmn: '±', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+    };
+
+    // Nesting of inline containers built so far; leaves are not in it
+    const depths = new WeakMap();
+
+    // ---- Helpers ----
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function expandTabs(line) {
+        if (!line.includes('\t')) return line;
+        let out = '';
+        for (const ch of line) {
+            out += ch === '\t' ? ' '.repeat(TAB_STOP - (out.length % TAB_STOP)) : ch;
+        }
+        return out;
+    }
+
+    function isBlank(line) {
+        return /^[ \t]*$/.test(line);
+    }
+
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    function normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    function decodeEntity(entity) {
+        const numeric = entity.match(/^&#(?:[xX]([0-9a-fA-F]{1,6})|([0-9]{1,7}));$/);
+        if (numeric) {
+            const code = numeric[1] ? parseInt(numeric[1], 16) : parseInt(numeric[2], 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+        }
+        return ENTITIES[entity.slice(1, -1)] ?? null;
+    }
+
+    // Backslash escapes and entities, for link destinations and titles
+    function unescapeString(text) {
+        return text
+            .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1')
+            .replace(/&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z]+);/g, e => decodeEntity(e) ?? e);
+    }
+
+    // Only web, mail and relative links survive; javascript: and friends are dropped.
+    // Browsers ignore tabs, newlines and leading controls in URLs, so the scheme
+    // is read the way they would read it (java&#9;script: is still javascript:)
+    // Registers a new inline container one level above its deepest child
+    function nest(node) {
+        depths.set(node, 1 + node.children.reduce((max, child) => Math.max(max, depths.get(child) || 0), 0));
+        return node;
+    }
+
+    function nestingOf(nodes) {
+        return 1 + nodes.reduce((max, node) => node.children ? Math.max(max, depths.get(node) || 0) : max, 0);
+    }
+
+    function isSafeUrl(url) {
+        const trimmed = url.replace(/[\u0000-\u001F\u007F]/g, '').trim();
+        const scheme = trimmed.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+
+    // ---- Block Parsing ----
+    function parseListMarker(line) {
+        const m = line.match(LIST_MARKER);
+        if (!m) return null;
+        const markerEnd = m[0].length;
+        const rest = line.slice(markerEnd);
+        const spaces = indentOf(rest);
+        const empty = isBlank(rest);
+        // 5+ spaces after the marker means the item starts with indented code
+        const padding = empty || spaces > 4 ? 1 : spaces;
+        return {
+            ordered: !!m[3],
+            bullet: m[2] || null,
+            delimiter: m[4] || null,
+            start: m[3] ? parseInt(m[3], 10) : null,
+            contentIndent: markerEnd + padding,
+            firstLine: empty ? '' : rest.slice(padding),
+            empty,
+        };
+    }
+
+    function sameListType(a, b) {
+        return a.ordered === b.ordered && a.bullet === b.bullet && a.delimiter === b.delimiter;
+    }
+
+    // Lines that end a paragraph without a blank line in between
+    function interruptsParagraph(line) {
+        if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+        const fence = line.match(FENCE_OPEN);
+        if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) return true;
+        const marker = parseListMarker(line);
+        return !!marker && !marker.empty && (!marker.ordered || marker.start === 1);
+    }
+
+    // Display math: $$ or \[ opening a line, closed by $$ or \] at a line end.
+    // "$$x$$ and more" is inline math inside a paragraph instead.
+    function matchMathBlock(line) {
+        const m = line.match(MATH_BLOCK_OPEN);
+        if (!m) return null;
+        const closer = m[1] === '$$' ? '$$' : '\\]';
+        const closesAt = m[2].indexOf(closer);
+        if (closesAt !== -1 && closesAt !== m[2].trimEnd().length - closer.length) return null;
+        return { closer, rest: m[2] };
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += row[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    function parseAlignments(line) {
+        return splitTableRow(line).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+    }
+
+    // Item content with a blank line between two blocks makes the list loose
+    function hasInnerBlankLine(lines) {
+        let inFence = false;
+        let sawBlank = false;
+        for (const line of lines) {
+            if (FENCE_OPEN.test(line)) inFence = !inFence;
+            if (inFence) continue;
+            if (isBlank(line)) {
+                sawBlank = true;
+            } else if (sawBlank) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function parseBlocks(lines, context, depth = 0) {
+        const nested = depth < MAX_NESTING;
+        const nodes = [];
+        let paragraph = null;
+        let i = 0;
+
+        const closeParagraph = () => {
+            if (!paragraph) return;
+            let text = paragraph.join('\n');
+            // Link reference definitions may only open a paragraph
+            let def;
+            while ((def = text.match(LINK_DEFINITION))) {
+                const label = normalizeLabel(def[1]);
+                if (!label) break;
+                if (!(label in context.refs)) {
+                    const dest = def[2].startsWith('<') ? def[2].slice(1, -1) : def[2];
+                    context.refs[label] = {
+                        href: unescapeString(dest),
+                        title: def[3] ? unescapeString(def[3].slice(1, -1)) : '',
+                    };
+                }
+                text = text.slice(def[0].length);
+            }
+            if (text.trim()) nodes.push({ type: 'paragraph', text: text.trim() });
+            paragraph = null;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                closeParagraph();
+                i++;
+                continue;
+            }
+
+            if (paragraph) {
+                // Setext heading underline
+                const setext = line.match(SETEXT_UNDERLINE);
+                if (setext) {
+                    nodes.push({ type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text: paragraph.join('\n').trim() });
+                    paragraph = null;
+                    i++;
+                    continue;
+                }
+
+                // GFM table: the paragraph's last line is the header row
+                const header = paragraph[paragraph.length - 1];
+                if (TABLE_DELIMITER.test(line) && header.includes('|')) {
+                    const headerCells = splitTableRow(header);
+                    const align = parseAlignments(line);
+                    if (headerCells.length === align.length) {
+                        paragraph.pop();
+                        closeParagraph();
+                        const rows = [];
+                        i++;
+                        while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+                            const cells = splitTableRow(lines[i]);
+                            rows.push(align.map((_, c) => cells[c] ?? ''));
+                            i++;
+                        }
+                        nodes.push({ type: 'table', align, header: headerCells, rows });
+                        continue;
+                    }
+                }
+
+                if (!interruptsParagraph(line) && !(context.math && matchMathBlock(line))) {
+                    paragraph.push(line.replace(/^[ \t]+/, ''));
+                    i++;
+                    continue;
+                }
+                closeParagraph();
+            }
+
+            // Indented code (cannot interrupt a paragraph)
+            if (indentOf(line) >= 4) {
+                const code = [];
+                while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+                    code.push(lines[i].slice(Math.min(4, indentOf(lines[i]))));
+                    i++;
+                }
+                while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+                nodes.push({ type: 'code', lang: '', info: '', code: code.join('\n'), closed: true });
+                continue;
+            }
+
+            const heading = line.match(ATX_HEADING);
+            if (heading) {
+                const text = heading[2].replace(/^[ \t]+/, '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+                nodes.push({ type: 'heading', level: heading[1].length, text });
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                nodes.push({ type: 'thematicBreak' });
+                i++;
+                continue;
+            }
+
+            const mathOpen = context.math && matchMathBlock(line);
+            if (mathOpen) {
+                const mathCloser = mathOpen.closer;
+                const first = i;
+                const body = [];
+                let rest = mathOpen.rest;
+                let closed = false;
+                i++;
+                for (;;) {
+                    const trimmed = rest.trimEnd();
+                    if (trimmed.endsWith(mathCloser)) {
+                        body.push(trimmed.slice(0, -mathCloser.length));
+                        closed = true;
+                        break;
+                    }
+                    body.push(rest);
+                    if (i >= lines.length) break;
+                    rest = lines[i++];
+                }
+                // An unclosed block runs to the end (e.g. while streaming)
+                const source = lines.slice(first, i).join('\n').trim();
+                nodes.push({ type: 'math', tex: body.join('\n').trim(), display: true, source, closed });
+                continue;
+            }
+
+            const fence = line.match(FENCE_OPEN);
+            if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+                const indent = fence[1].length;
+                const marker = fence[2];
+                const info = unescapeString(fence[3].trim());
+                const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+                const code = [];
+                let closed = false;
+                i++;
+                while (i < lines.length) {
+                    if (closing.test(lines[i])) {
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+                    i++;
+                }
+                // An unclosed fence runs to the end (e.g. while streaming)
+                nodes.push({ type: 'code', lang: info.split(/\s+/)[0] || '', info, code: code.join('\n'), closed });
+                continue;
+            }
+
+            if (nested && BLOCKQUOTE.test(line)) {
+                const inner = [];
+                while (i < lines.length) {
+                    const current = lines[i];
+                    if (BLOCKQUOTE.test(current)) {
+                        inner.push(current.replace(BLOCKQUOTE, ''));
+                    } else if (!isBlank(current) && inner.length > 0 && !isBlank(inner[inner.length - 1]) && !interruptsParagraph(current)) {
+                        // Lazy continuation of a quoted paragraph
+                        inner.push(current);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                nodes.push({ type: 'blockquote', children: parseBlocks(inner, context, depth + 1) });
+                continue;
+            }
+
+            const marker = nested && parseListMarker(line);
+            if (marker) {
+                const list = { type: 'list', ordered: marker.ordered, start: marker.start ?? 1, loose: false, items: [] };
+                let item = { indent: marker.contentIndent, lines: [marker.firstLine] };
+                let previousBlank = false;
+                i++;
+
+                while (i < lines.length) {
+                    const current = lines[i];
+                    if (isBlank(current)) {
+                        item.lines.push('');
+                        previousBlank = true;
+                        i++;
+                        continue;
+                    }
+                    if (indentOf(current) >= item.indent) {
+                        item.lines.push(current.slice(item.indent));
+                        previousBlank = false;
+                        i++;
+                        continue;
+                    }
+                    const next = parseListMarker(current);
+                    if (next && sameListType(marker, next) && !THEMATIC_BREAK.test(current)) {
+                        if (previousBlank) list.loose = true;
+                        list.items.push(item);
+                        item = { indent: next.contentIndent, lines: [next.firstLine] };
+                        previousBlank = false;
+                        i++;
+                        continue;
+                    }
+                    if (!previousBlank && !interruptsParagraph(current)) {
+                        // Lazy continuation of the item's paragraph
+                        item.lines.push(current.replace(/^[ \t]+/, ''));
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                list.items.push(item);
+
+                list.items = list.items.map(({ lines: itemLines }) => {
+                    while (itemLines.length > 0 && isBlank(itemLines[itemLines.length - 1])) itemLines.pop();
+                    if (hasInnerBlankLine(itemLines)) list.loose = true;
+                    // GFM task list item
+                    let checked = null;
+                    const task = (itemLines[0] || '').match(/^\[([ xX])\](?=[ \t]|$)[ \t]?/);
+                    if (task) {
+                        checked = task[1] !== ' ';
+                        itemLines[0] = itemLines[0].slice(task[0].length);
+                    }
+                    return { checked, children: parseBlocks(itemLines, context, depth + 1) };
+                });
+                nodes.push(list);
+                continue;
+            }
+
+            paragraph = [line.replace(/^[ \t]+/, '')];
+            i++;
+        }
+        closeParagraph();
+        return nodes;
+    }
+
+    // ---- Inline Parsing ----
+    function flanking(text, start, end) {
+        const before = start === 0 ? ' ' : text[start - 1];
+        const after = end >= text.length ? ' ' : text[end];
+        const beforeSpace = WHITESPACE.test(before);
+        const afterSpace = WHITESPACE.test(after);
+        const beforePunct = PUNCTUATION.test(before);
+        const afterPunct = PUNCTUATION.test(after);
+        const left = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+        const right = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+        return { left, right, beforePunct, afterPunct };
+    }
+
+    // Matches the CommonMark link tail "(destination "title")" at text[pos].
+    // Every scan stops at the next character that would open another tail
+    // ("<", "(" past the nesting limit, the title's own opener), so a run of
+    // failed tails like "[a](" is read in linear time.
+    function parseLinkTail(text, pos) {
+        if (text[pos] !== '(') return null;
+        let i = pos + 1;
+        const skipSpace = () => {
+            while (i < text.length && /[ \t\n]/.test(text[i])) i++;
+        };
+        skipSpace();
+
+        let href = '';
+        if (text[i] === '<') {
+            const end = text.slice(i + 1).search(/[<>\n]/) + i + 1;
+            if (end === i || text[end] !== '>') return null;
+            href = text.slice(i + 1, end);
+            i = end + 1;
+        } else {
+            let depth = 0;
+            const start = i;
+            while (i < text.length) {
+                const ch = text[i];
+                if (ch === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+                    i += 2;
+                    continue;
+                }
+                if (/[\s\x00-\x1f]/.test(ch)) break;
+                if (ch === '(' && ++depth > MAX_LINK_PARENS) return null;
+                if (ch === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                i++;
+            }
+            if (depth !== 0) return null;
+            href = text.slice(start, i);
+        }
+
+        const beforeTitle = i;
+        skipSpace();
+        let title = '';
+        const opener = text[i];
+        if (i > beforeTitle && (opener === '"' || opener === "'" || opener === '(')) {
+            const closer = opener === '(' ? ')' : opener;
+            let j = i + 1;
+            while (j < text.length && text[j] !== closer) {
+                // "(" may not appear unescaped in a (title)
+                if (opener === '(' && text[j] === '(') return null;
+                if (text[j] === '\\') j++;
+                j++;
+            }
+            if (j >= text.length) return null;
+            title = text.slice(i + 1, j);
+            i = j + 1;
+            skipSpace();
+        }
+
+        if (text[i] !== ')') return null;
+        return { href: unescapeString(href), title: unescapeString(title), end: i + 1 };
+    }
+
+    // GFM autolink literal starting at text[pos], or null
+    function matchAutolinkLiteral(text, pos) {
+        const prev = pos === 0 ? ' ' : text[pos - 1];
+        if (!/[\s*_~(]/.test(prev)) return null;
+        const m = text.slice(pos).match(/^(?:https?:\/\/|www\.)[^\s<]*/i);
+        if (!m) return null;
+        let url = m[0];
+        // Trailing punctuation and unbalanced closing parens are not part of the link
+        while (url.length > 0) {
+            const last = url[url.length - 1];
+            if (/[?!.,:*_~'"]/.test(last)) {
+                url = url.slice(0, -1);
+            } else if (last === ')' && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+                url = url.slice(0, -1);
+            } else {
+                const entity = url.match(/&[a-zA-Z0-9]+;$/);
+                if (!entity) break;
+                url = url.slice(0, -entity[0].length);
+            }
+        }
+        if (/^www\.$/i.test(url) || /^https?:\/\/$/i.test(url)) return null;
+        return url;
+    }
+
+    // Inline math at text[pos]: { node, end } or null. A single $ must hug its
+    // content ("$x$", not "$ x $") and cannot close before a digit, so
+    // prices like "$5 and $10" stay text.
+    function matchMath(text, pos) {
+        const pairs = { '$$': '$$', '\\(': '\\)', '\\[': '\\]' };
+        const opener = Object.keys(pairs).find(o => text.startsWith(o, pos));
+        if (opener) {
+            const end = text.indexOf(pairs[opener], pos + 2);
+            if (end === -1 || !text.slice(pos + 2, end).trim()) return null;
+            return {
+                node: { type: 'math', tex: text.slice(pos + 2, end).trim(), display: opener !== '\\(', source: text.slice(pos, end + 2) },
+                end: end + 2,
+            };
+        }
+        if (text[pos] !== '$' || !text[pos + 1] || /[\s$]/.test(text[pos + 1])) return null;
+        for (let i = pos + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '$' && !/\s/.test(text[i - 1]) && !/\d/.test(text[i + 1] || '')) {
+                return {
+                    node: { type: 'math', tex: text.slice(pos + 1, i), display: false, source: text.slice(pos, i + 1) },
+                    end: i + 1,
+                };
+            }
+        }
+        return null;
+    }
+
+    function processEmphasis(nodes, delims, bottom) {
+        const openersBottom = {};
+        let ci = bottom;
+
+        while (ci < delims.length) {
+            const closer = delims[ci];
+            if (!closer.canClose) {
+                ci++;
+                continue;
+            }
+
+            const key = `${closer.char}${closer.canOpen ? 'o' : ''}${closer.origCount % 3}`;
+            const floor = Math.max(bottom, openersBottom[key] ?? bottom);
+            let oi = ci - 1;
+            let opener = null;
+            for (; oi >= floor; oi--) {
+                const candidate = delims[oi];
+                if (candidate.char !== closer.char || !candidate.canOpen) continue;
+                if (closer.char === '~') {
+                    if (candidate.count === closer.count) {
+                        opener = candidate;
+                        break;
+                    }
+                    continue;
+                }
+                // "Rule of 3" for runs that can both open and close
+                const sum = candidate.origCount + closer.origCount;
+                if ((candidate.canClose || closer.canOpen) && sum % 3 === 0
+                    && !(candidate.origCount % 3 === 0 && closer.origCount % 3 === 0)) {
+                    continue;
+                }
+                opener = candidate;
+                break;
+            }
+
+            // Too deep to wrap once more: the pair stays as plain text
+            if (opener && nestingOf(nodes.slice(nodes.indexOf(opener.node) + 1, nodes.indexOf(closer.node))) > MAX_NESTING) {
+                opener = null;
+            }
+
+            if (!opener) {
+                openersBottom[key] = ci;
+                if (!closer.canOpen) {
+                    delims.splice(ci, 1);
+                } else {
+                    ci++;
+                }
+                continue;
+            }
+
+            const use = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+            const type = closer.char === '~' ? 'delete' : use === 2 ? 'strong' : 'emphasis';
+            opener.count -= use;
+            closer.count -= use;
+            opener.node.value = opener.node.value.slice(0, opener.count);
+            closer.node.value = closer.node.value.slice(0, closer.count);
+
+            const start = nodes.indexOf(opener.node);
+            const end = nodes.indexOf(closer.node);
+            const children = nodes.splice(start + 1, end - start - 1);
+            nodes.splice(start + 1, 0, nest({ type, children }));
+
+            // Delimiters between the pair can no longer match
+            delims.splice(oi + 1, ci - oi - 1);
+            ci = oi + 1;
+            if (opener.count === 0) {
+                nodes.splice(nodes.indexOf(opener.node), 1);
+                delims.splice(oi, 1);
+                ci--;
+            }
+            if (closer.count === 0) {
+                nodes.splice(nodes.indexOf(closer.node), 1);
+                delims.splice(ci, 1);
+            }
+        }
+        delims.length = Math.min(delims.length, bottom);
+    }
+
+    function parseInlines(text, context) {
+        const nodes = [];
+        const delims = [];
+        const brackets = [];
+        let buffer = '';
+        let pos = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push({ type: 'text', value: buffer });
+                buffer = '';
+            }
+        };
+
+        while (pos < text.length) {
+            const ch = text[pos];
+
+            // Math goes first so its _, * and \ are not read as Markdown
+            if (context.math && (ch === '$' || ch === '\\')) {
+                const math = matchMath(text, pos);
+                if (math) {
+                    flush();
+                    nodes.push(math.node);
+                    pos = math.end;
+                    continue;
+                }
+            }
+
+            if (ch === '\\') {
+                const next = text[pos + 1];
+                if (next === '\n') {
+                    flush();
+                    nodes.push({ type: 'break' });
+                    pos += 2;
+                    while (text[pos] === ' ') pos++;
+                } else if (next && ESCAPABLE.test(next)) {
+                    buffer += next;
+                    pos += 2;
+                } else {
+                    buffer += ch;
+                    pos++;
+                }
+                continue;
+            }
+
+            if (ch === '`') {
+                const run = text.slice(pos).match(/^`+/)[0];
+                const closer = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+                closer.lastIndex = pos + run.length;
+                const match = closer.exec(text);
+                if (!match) {
+                    buffer += run;
+                    pos += run.length;
+                    continue;
+                }
+                let code = text.slice(pos + run.length, match.index).replace(/\n/g, ' ');
+                if (code.length > 2 && code[0] === ' ' && code[code.length - 1] === ' ' && code.trim()) {
+                    code = code.slice(1, -1);
+                }
+                flush();
+                nodes.push({ type: 'inlineCode', value: code });
+                pos = match.index + run.length;
+                continue;
+            }
+
+            if (ch === '*' || ch === '_' || ch === '~') {
+                const run = text.slice(pos).match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+                const f = flanking(text, pos, pos + run.length);
+                flush();
+                const node = { type: 'text', value: run };
+                nodes.push(node);
+                let canOpen = f.left;
+                let canClose = f.right;
+                if (ch === '_') {
+                    canOpen = f.left && (!f.right || f.beforePunct);
+                    canClose = f.right && (!f.left || f.afterPunct);
+                }
+                // GFM strikethrough takes one or two tildes only
+                if (ch !== '~' || run.length <= 2) {
+                    delims.push({ node, char: ch, count: run.length, origCount: run.length, canOpen, canClose });
+                }
+                pos += run.length;
+                continue;
+            }
+
+            if (ch === '[' || (ch === '!' && text[pos + 1] === '[')) {
+                const image = ch === '!';
+                flush();
+                const node = { type: 'text', value: image ? '![' : '[' };
+                nodes.push(node);
+                brackets.push({ node, image, active: true, delimBottom: delims.length, textStart: pos + (image ? 2 : 1) });
+                pos += image ? 2 : 1;
+                continue;
+            }
+
+            if (ch === ']') {
+                const opener = brackets[brackets.length - 1];
+                if (!opener || !opener.active) {
+                    if (opener) brackets.pop();
+                    buffer += ']';
+                    pos++;
+                    continue;
+                }
+
+                let target = parseLinkTail(text, pos + 1);
+                if (!target) {
+                    // Reference link: [text][label], [text][] or [text]
+                    const labelMatch = text.slice(pos + 1).match(/^\[((?:[^\]\\]|\\.){0,999})\]/);
+                    let label = labelMatch && labelMatch[1].trim() ? labelMatch[1] : text.slice(opener.textStart, pos);
+                    const def = label.length <= MAX_LABEL_LENGTH && context.refs[normalizeLabel(label)];
+                    if (def) {
+                        target = { href: def.href, title: def.title, end: pos + 1 + (labelMatch ? labelMatch[0].length : 0) };
+                    }
+                }
+
+                if (!target) {
+                    brackets.pop();
+                    buffer += ']';
+                    pos++;
+                    continue;
+                }
+
+                flush();
+                processEmphasis(nodes, delims, opener.delimBottom);
+                const start = nodes.indexOf(opener.node);
+                if (nestingOf(nodes.slice(start + 1)) > MAX_NESTING) {
+                    // Openers further out would hold the same content, so none of them can link either
+                    brackets.forEach(b => {
+                        b.active = false;
+                    });
+                    brackets.pop();
+                    buffer += ']';
+                    pos++;
+                    continue;
+                }
+                const children = nodes.splice(start + 1);
+                nodes.pop();
+                nodes.push(nest(opener.image
+                    ? { type: 'image', src: target.href, title: target.title, children }
+                    : { type: 'link', href: target.href, title: target.title, children }));
+                brackets.pop();
+                // Links may not contain other links
+                if (!opener.image) {
+                    brackets.forEach(b => {
+                        if (!b.image) b.active = false;
+                    });
+                }
+                pos = target.end;
+                continue;
+            }
+
+            if (ch === '<') {
+                const rest = text.slice(pos);
+                const uri = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+                const email = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+                const lineBreak = rest.match(/^<br\s*\/?>/i);
+                if (uri || email) {
+                    flush();
+                    const label = (uri || email)[1];
+                    nodes.push({ type: 'link', href: uri ? label : `mailto:${label}`, title: '', children: [{ type: 'text', value: label }] });
+                    pos += (uri || email)[0].length;
+                    continue;
+                }
+                if (lineBreak) {
+                    // Models often put <br> in table cells; it is the only tag kept
+                    flush();
+                    nodes.push({ type: 'break' });
+                    pos += lineBreak[0].length;
+                    continue;
+                }
+                buffer += ch;
+                pos++;
+                continue;
+            }
+
+            if (ch === '\n') {
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                flush();
+                nodes.push({ type: hard ? 'break' : 'softbreak' });
+                pos++;
+                while (text[pos] === ' ') pos++;
+                continue;
+            }
+
+            if (ch === '&') {
+                const entity = text.slice(pos).match(/^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/);
+                const decoded = entity && decodeEntity(entity[0]);
+                if (decoded !== null && decoded !== undefined) {
+                    buffer += decoded;
+                    pos += entity[0].length;
+                    continue;
+                }
+            }
+
+            if ((ch === 'h' || ch === 'H' || ch === 'w' || ch === 'W') && !brackets.some(b => b.active && !b.image)) {
+                const url = matchAutolinkLiteral(text, pos);
+                if (url) {
+                    flush();
+                    const href = /^www\./i.test(url) ? `http://${url}` : url;
+                    nodes.push({ type: 'link', href, title: '', children: [{ type: 'text', value: url }] });
+                    pos += url.length;
+                    continue;
+                }
+            }
+
+            buffer += ch;
+            pos++;
+        }
+
+        flush();
+        processEmphasis(nodes, delims, 0);
+        return mergeText(nodes);
+    }
+
+    function mergeText(nodes) {
+        const out = [];
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                if (!node.value) return;
+                const last = out[out.length - 1];
+                if (last?.type === 'text') {
+                    last.value += node.value;
+                    return;
+                }
+                out.push({ type: 'text', value: node.value });
+                return;
+            }
+            if (node.children) node.children = mergeText(node.children);
+            out.push(node);
+        });
+        return out;
+    }
+
+    // ---- Tree ----
+    // Block nodes carry raw `text` until inlines are resolved here
+    function resolveInlines(nodes, context) {
+        nodes.forEach(node => {
+            if (node.type === 'paragraph' || node.type === 'heading') {
+                node.children = parseInlines(node.text, context);
+            } else if (node.type === 'table') {
+                node.header = node.header.map(cell => parseInlines(cell, context));
+                node.rows = node.rows.map(row => row.map(cell => parseInlines(cell, context)));
+            } else if (node.type === 'blockquote') {
+                resolveInlines(node.children, context);
+            } else if (node.type === 'list') {
+                node.items.forEach(item => resolveInlines(item.children, context));
+            }
+        });
+        return nodes;
+    }
+
+    // options.math also recognises $…$, $$…$$, \(…\) and \[…\] as TeX math
+    function parse(text, options = {}) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+        const context = { refs: {}, math: !!options.math };
+        const children = parseBlocks(lines, context);
+        return { type: 'document', children: resolveInlines(children, context) };
+    }
+
+    // ---- Rendering ----
+    function plainText(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+            if (node.children) return plainText(node.children);
+            return node.type === 'softbreak' || node.type === 'break' ? ' ' : '';
+        }).join('');
+    }
+
+    function renderInlines(nodes, options) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return escapeHtml(node.value);
+                case 'softbreak':
+                    return options.breaks ? '<br>\n' : '\n';
+                case 'break':
+                    return '<br>';
+                case 'inlineCode':
+                    return `<code>${escapeHtml(node.value)}</code>`;
+                case 'emphasis':
+                    return `<em>${renderInlines(node.children, options)}</em>`;
+                case 'strong':
+                    return `<strong>${renderInlines(node.children, options)}</strong>`;
+                case 'delete':
+                    return `<del>${renderInlines(node.children, options)}</del>`;
+                case 'link': {
+                    const label = renderInlines(node.children, options);
+                    if (!isSafeUrl(node.href)) return label;
+                    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                    return `<a href="${escapeHtml(node.href)}"${title} target="_blank" rel="noopener noreferrer">${label}</a>`;
+                }
+                case 'math':
+                    return options.renderMath ? options.renderMath(node) : `<code class="math">${escapeHtml(node.source)}</code>`;
+                case 'image': {
+                    // Remote images are linked, not loaded: an injected image URL
+                    // could otherwise leak conversation text to a third party
+                    const alt = plainText(node.children) || 'image';
+                    if (!isSafeUrl(node.src)) return escapeHtml(alt);
+                    return `<a class="md-image-link" href="${escapeHtml(node.src)}" target="_blank" rel="noopener noreferrer">🖼 ${escapeHtml(alt)}</a>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    function renderBlock(node, options, tight = false) {
+        switch (node.type) {
+            case 'paragraph': {
+                const inner = renderInlines(node.children, options);
+                return tight ? inner : `<p>${inner}</p>`;
+            }
+            case 'heading':
+                return `<h${node.level}>${renderInlines(node.children, options)}</h${node.level}>`;
+            case 'thematicBreak':
+                return '<hr>';
+            case 'code':
+                if (options.renderCode) return options.renderCode(node);
+                return `<pre><code${node.lang ? ` class="language-${escapeHtml(node.lang)}"` : ''}>${escapeHtml(node.code)}</code></pre>`;
+            case 'math':
+                return options.renderMath ? options.renderMath(node) : `<pre class="math"><code>${escapeHtml(node.source)}</code></pre>`;
+            case 'blockquote':
+                return `<blockquote>${renderBlocks(node.children, options)}</blockquote>`;
+            case 'list': {
+                const tag = node.ordered ? 'ol' : 'ul';
+                const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+                const isTaskList = node.items.some(item => item.checked !== null);
+                const items = node.items.map(item => {
+                    const checkbox = item.checked === null ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+                    const cls = item.checked === null ? '' : ' class="task-list-item"';
+                    return `<li${cls}>${checkbox}${renderBlocks(item.children, options, !node.loose)}</li>`;
+                }).join('');
+                return `<${tag}${start}${isTaskList ? ' class="contains-task-list"' : ''}>${items}</${tag}>`;
+            }
+            case 'table': {
+                const cell = (tag, content, i) => {
+                    const align = node.align[i] ? ` style="text-align:${node.align[i]}"` : '';
+                    return `<${tag}${align}>${renderInlines(content, options)}</${tag}>`;
+                };
+                const head = `<thead><tr>${node.header.map((c, i) => cell('th', c, i)).join('')}</tr></thead>`;
+                const body = node.rows.length > 0
+                    ? `<tbody>${node.rows.map(row => `<tr>${row.map((c, i) => cell('td', c, i)).join('')}</tr>`).join('')}</tbody>`
+                    : '';
+                return `<div class="table-wrapper"><table>${head}${body}</table></div>`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    function renderBlocks(nodes, options = {}, tight = false) {
+        return nodes.map(node => renderBlock(node, options, tight)).join('');
+    }
+
+    // options.breaks renders soft line breaks as <br>;
+    // options.renderCode(node) and options.renderMath(node) replace the
+    // default code and math markup
+    function toHtml(text, options = {}) {
+        return renderBlocks(parse(text, options).children, options);
+    }
+
+    return {
+        parse,
+        renderBlocks,
+        toHtml,
+        escapeHtml,
+        isSafeUrl,
+    };
+})();
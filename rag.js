@@ -0,0 +1,352 @@
+// ============================================================
+// rag.js — Local Retrieval for Attached Files
+// Splits attachments into chunks, embeds them through API.embed,
+// keeps them in IndexedDB and retrieves the top-k per question
+// ============================================================
+
+const Rag = (() => {
+    const DB_NAME = 'chatapp_rag';
+    const DB_VERSION = 1;
+    const EMBED_BATCH = 32;
+    // Share of each chunk repeated at the start of the next one
+    const CHUNK_OVERLAP = 0.15;
+    const TABLE_EXTENSIONS = ['csv', 'tsv'];
+
+    let dbPromise = null;
+
+    // ---- IndexedDB ----
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                const docs = db.createObjectStore('documents', { keyPath: 'id' });
+                docs.createIndex('convId', 'convId');
+                const chunks = db.createObjectStore('chunks', { keyPath: 'id' });
+                chunks.createIndex('convId', 'convId');
+                chunks.createIndex('docId', 'docId');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    function promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function getByConversation(storeName, convId) {
+        const db = await openDb();
+        const store = db.transaction(storeName).objectStore(storeName);
+        return promisify(store.index('convId').getAll(convId));
+    }
+
+    async function putAll(doc, chunks) {
+        const db = await openDb();
+        const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+        tx.objectStore('documents').put(doc);
+        const store = tx.objectStore('chunks');
+        chunks.forEach(chunk => store.put(chunk));
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // ---- Chunking ----
+    function getExtension(name) {
+        return (name.split('.').pop() || '').toLowerCase();
+    }
+
+    // Cuts a block that is too long on its own at line breaks, then hard
+    function splitLong(block, size) {
+        if (block.length <= size) return [block];
+        const lines = block.split('\n');
+        const parts = [];
+        let current = '';
+        lines.forEach(line => {
+            while (line.length > size) {
+                if (current) {
+                    parts.push(current);
+                    current = '';
+                }
+                parts.push(line.slice(0, size));
+                line = line.slice(size);
+            }
+            if (current && current.length + line.length + 1 > size) {
+                parts.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${line}` : line;
+        });
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    // Packs blocks into chunks of up to `size` characters, carrying the tail
+    // of each chunk into the next so answers spanning a boundary survive
+    function packBlocks(blocks, size, separator, prefix = '') {
+        const budget = Math.max(100, size - prefix.length);
+        const overlap = Math.floor(budget * CHUNK_OVERLAP);
+        const chunks = [];
+        let current = [];
+        let length = 0;
+        let carriedCount = 0;
+
+        const flush = () => {
+            chunks.push(prefix + current.join(separator));
+            // Keep trailing blocks that fit in the overlap window
+            const carried = [];
+            let carriedLength = 0;
+            for (let i = current.length - 1; i > 0; i--) {
+                if (carriedLength + current[i].length > overlap) break;
+                carried.unshift(current[i]);
+                carriedLength += current[i].length + separator.length;
+            }
+            current = carried;
+            length = carriedLength;
+            carriedCount = carried.length;
+        };
+
+        blocks.flatMap(block => splitLong(block, budget)).forEach(block => {
+            if (length + block.length > budget) {
+                if (current.length > carriedCount) {
+                    flush();
+                }
+                // The overlap alone plus this block is still too long
+                if (length + block.length > budget) {
+                    current = [];
+                    length = 0;
+                    carriedCount = 0;
+                }
+            }
+            current.push(block);
+            length += block.length + separator.length;
+        });
+        if (current.length > carriedCount) chunks.push(prefix + current.join(separator));
+        return chunks;
+    }
+
+    function chunkText(text, name, size) {
+        const clean = text.replace(/\r\n?/g, '\n').trim();
+        if (!clean) return [];
+
+        // Tables keep their header row in every chunk so columns stay labelled
+        if (TABLE_EXTENSIONS.includes(getExtension(name))) {
+            const [header, ...rows] = clean.split('\n');
+            if (rows.length === 0) return [header];
+            return packBlocks(rows, size, '\n', `${header}\n`);
+        }
+
+        const blocks = clean.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+        return packBlocks(blocks, size, '\n\n');
+    }
+
+    // ---- Embeddings ----
+    async function embedAll(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+            const batch = await API.embed(texts.slice(i, i + EMBED_BATCH));
+            vectors.push(...batch);
+        }
+        return vectors;
+    }
+
+    // ---- Indexing ----
+    // Resolves { docId, name, chunks, embedded, error }. When embedding fails
+    // the chunks are still stored and ranked by keyword overlap instead.
+    async function addDocument(convId, name, text) {
+        const settings = Settings.load();
+        const pieces = chunkText(text, name, settings.ragChunkSize || 1000);
+        const docId = `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+        let vectors = null;
+        let error = null;
+        if (settings.embeddingModel) {
+            try {
+                vectors = await embedAll(pieces);
+            } catch (err) {
+                error = err.message;
+            }
+        }
+
+        const model = vectors ? settings.embeddingModel : '';
+        const doc = { id: docId, convId, name, chunkCount: pieces.length, model, createdAt: new Date().toISOString() };
+        const chunks = pieces.map((chunk, i) => ({
+            id: `${docId}_${i}`,
+            docId,
+            convId,
+            docName: name,
+            index: i,
+            text: chunk,
+            model,
+            vector: vectors ? Float32Array.from(vectors[i]) : null,
+        }));
+        await putAll(doc, chunks);
+        return { docId, name, chunks: pieces.length, embedded: !!vectors, error };
+    }
+
+    async function listDocuments(convId) {
+        try {
+            return await getByConversation('documents', convId);
+        } catch {
+            return [];
+        }
+    }
+
+    // ---- Retrieval ----
+    function cosine(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    function terms(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || []);
+    }
+
+    // Term overlap with inverse document frequency, normalised by chunk length
+    function keywordScores(query, chunks) {
+        const queryTerms = [...new Set(terms(query))];
+        const chunkTerms = chunks.map(c => terms(c.text));
+        const idf = {};
+        queryTerms.forEach(term => {
+            const df = chunkTerms.filter(list => list.includes(term)).length;
+            idf[term] = Math.log(1 + chunks.length / (1 + df));
+        });
+        return chunkTerms.map(list => {
+            if (list.length === 0) return 0;
+            let score = 0;
+            queryTerms.forEach(term => {
+                const tf = list.filter(t => t === term).length;
+                if (tf > 0) score += idf[term] * (tf / (tf + 1.2));
+            });
+            return score / Math.sqrt(list.length / 100 + 1);
+        });
+    }
+
+    // Top-k chunks of the conversation's documents for `query`:
+    // [{ docName, index, chunkCount, text, score }]
+    async function retrieve(convId, query, topK) {
+        const settings = Settings.load();
+        const k = topK || settings.ragTopK || 4;
+        const chunks = await getByConversation('chunks', convId);
+        if (chunks.length === 0) return [];
+
+        const docs = await getByConversation('documents', convId);
+        const counts = Object.fromEntries(docs.map(d => [d.id, d.chunkCount]));
+
+        // Vectors are only comparable when every chunk used the current model
+        let scores = null;
+        const model = settings.embeddingModel;
+        if (model && chunks.every(c => c.vector && c.model === model)) {
+            try {
+                const [queryVector] = await API.embed([query]);
+                scores = chunks.map(c => cosine(queryVector, c.vector));
+            } catch {
+                // Fall through to keyword ranking
+            }
+        }
+
+        let ranked;
+        if (scores) {
+            ranked = chunks.map((c, i) => ({ chunk: c, score: scores[i] }));
+        } else {
+            const keyword = keywordScores(query, chunks);
+            ranked = chunks.map((c, i) => ({ chunk: c, score: keyword[i] })).filter(r => r.score > 0);
+            // Nothing matched ("summarise this file"): use the newest file's opening chunks
+            if (ranked.length === 0) {
+                const newest = docs.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+                ranked = chunks
+                    .filter(c => c.docId === newest?.id)
+                    .sort((a, b) => a.index - b.index)
+                    .map(c => ({ chunk: c, score: 0 }));
+            }
+        }
+
+        return ranked
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k)
+            .map(({ chunk, score }) => ({
+                docName: chunk.docName,
+                index: chunk.index,
+                chunkCount: counts[chunk.docId] || 1,
+                text: chunk.text,
+                score: Math.round(score * 1000) / 1000,
+            }));
+    }
+
+    // ---- Prompt Context ----
+    function formatContext(references) {
+        let context = '\n\n[Relevant excerpts from the attached files. Cite the ones you use as [1], [2], …]\n';
+        references.forEach((ref, i) => {
+            context += `--- [${i + 1}] ${ref.docName} (part ${ref.index + 1} of ${ref.chunkCount}) ---\n${ref.text}\n`;
+        });
+        return context;
+    }
+
+    // References the answer cites as [n]; all of them when it cites none
+    function citedReferences(answer, references) {
+        if (!references || references.length === 0) return [];
+        const cited = new Set();
+        (answer || '').replace(/\[(\d+)\]/g, (match, n) => {
+            const idx = parseInt(n, 10) - 1;
+            if (idx >= 0 && idx < references.length) cited.add(idx);
+            return match;
+        });
+        const numbered = references.map((ref, i) => ({ ...ref, n: i + 1 }));
+        return cited.size > 0 ? numbered.filter((ref, i) => cited.has(i)) : numbered;
+    }
+
+    // ---- Cleanup ----
+    async function removeConversation(convId) {
+        try {
+            const db = await openDb();
+            const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+            ['documents', 'chunks'].forEach(name => {
+                const store = tx.objectStore(name);
+                store.index('convId').getAllKeys(convId).onsuccess = (e) => {
+                    e.target.result.forEach(key => store.delete(key));
+                };
+            });
+        } catch {
+            // Nothing indexed
+        }
+    }
+
+    async function clear() {
+        try {
+            const db = await openDb();
+            const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+            tx.objectStore('documents').clear();
+            tx.objectStore('chunks').clear();
+        } catch {
+            // Nothing indexed
+        }
+    }
+
+    return {
+        chunkText,
+        addDocument,
+        listDocuments,
+        retrieve,
+        formatContext,
+        citedReferences,
+        removeConversation,
+        clear,
+    };
+})();
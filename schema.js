@@ -0,0 +1,189 @@
+// ============================================================
+// schema.js — JSON Schema Validation for Structured Output
+// Covers the draft 2020-12 keywords models are usually given:
+// types, properties, items, enums, bounds, combinators, local $refs
+// ============================================================
+
+const Schema = (() => {
+    const MAX_ERRORS = 20;
+
+    // ---- Helpers ----
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    function deepEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function joinPath(path, key) {
+        return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+    }
+
+    // Only local references ("#/$defs/Thing") are supported
+    function resolveRef(ref, root) {
+        if (!ref.startsWith('#')) throw new Error(`Unsupported $ref "${ref}"`);
+        return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+            const key = decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~'));
+            if (!node || typeof node !== 'object' || !Object.hasOwn(node, key)) throw new Error(`Unresolved $ref "${ref}"`);
+            return node[key];
+        }, root);
+    }
+
+    // ---- Validation ----
+    function validateNode(value, schema, path, root, errors) {
+        if (errors.length >= MAX_ERRORS) return;
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+        }
+
+        const fail = (message) => errors.push({ path, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(t => matchesType(value, t))) {
+                fail(`should be ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(e => deepEqual(e, value))) {
+            fail(`should be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+        }
+        if ('const' in schema && !deepEqual(schema.const, value)) {
+            fail(`should equal ${JSON.stringify(schema.const)}`);
+        }
+
+        // Numbers
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`should be > ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`should be < ${schema.exclusiveMaximum}`);
+            if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+                fail(`should be a multiple of ${schema.multipleOf}`);
+            }
+        }
+
+        // Strings
+        if (typeof value === 'string') {
+            const length = [...value].length;
+            if (schema.minLength !== undefined && length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`should match /${schema.pattern}/`);
+        }
+
+        // Arrays
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+            if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+                fail('should not contain duplicate items');
+            }
+            const prefix = schema.prefixItems || [];
+            value.forEach((item, i) => {
+                const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+                validateNode(item, itemSchema, joinPath(path, i), root, errors);
+            });
+        }
+
+        // Objects
+        if (typeOf(value) === 'object') {
+            const props = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (!Object.hasOwn(value, key)) errors.push({ path: joinPath(path, key), message: 'is required' });
+            });
+            Object.keys(value).forEach(key => {
+                if (Object.hasOwn(props, key)) {
+                    validateNode(value[key], props[key], joinPath(path, key), root, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: joinPath(path, key), message: 'is not an allowed property' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    validateNode(value[key], schema.additionalProperties, joinPath(path, key), root, errors);
+                }
+            });
+            const count = Object.keys(value).length;
+            if (schema.minProperties !== undefined && count < schema.minProperties) fail(`should have at least ${schema.minProperties} properties`);
+            if (schema.maxProperties !== undefined && count > schema.maxProperties) fail(`should have at most ${schema.maxProperties} properties`);
+        }
+
+        // Combinators
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => validateNode(value, sub, path, root, errors));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => collect(value, sub, path, root).length === 0)) {
+            fail('should match at least one of the anyOf schemas');
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(sub => collect(value, sub, path, root).length === 0).length;
+            if (matches !== 1) fail(`should match exactly one of the oneOf schemas (matched ${matches})`);
+        }
+        if (schema.not && collect(value, schema.not, path, root).length === 0) {
+            fail('should not match the "not" schema');
+        }
+    }
+
+    function collect(value, schema, path, root) {
+        const errors = [];
+        validateNode(value, schema, path, root, errors);
+        return errors;
+    }
+
+    // Returns a list of { path, message }; empty when the value is valid
+    function validate(value, schema) {
+        return collect(value, schema, '$', schema).slice(0, MAX_ERRORS);
+    }
+
+    // ---- Model Output ----
+    // Pulls the JSON document out of a reply that may include reasoning
+    // blocks or a ```json fence around it
+    function extractJSON(text) {
+        let body = (text || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+        const fence = body.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+        if (fence) body = fence[1].trim();
+        return JSON.parse(body);
+    }
+
+    // Parses and validates a reply: { valid, value, errors }
+    function check(text, schema) {
+        let value;
+        try {
+            value = extractJSON(text);
+        } catch (err) {
+            return { valid: false, value: undefined, errors: [{ path: '$', message: `is not valid JSON (${err.message})` }] };
+        }
+        let errors;
+        try {
+            errors = validate(value, schema);
+        } catch (err) {
+            errors = [{ path: '$', message: err.message }];
+        }
+        return { valid: errors.length === 0, value, errors };
+    }
+
+    function formatErrors(errors) {
+        return errors.map(e => `${e.path} ${e.message}`).join('\n');
+    }
+
+    return {
+        validate,
+        check,
+        extractJSON,
+        formatErrors,
+    };
+})();
@@ -0,0 +1,265 @@
+// ============================================================
+// search.js — Full-Text Search Across Conversations
+// An inverted index over titles and the messages on each active
+// path, kept current through Conversations.onChange
+// ============================================================
+
+const Search = (() => {
+    const MAX_RESULTS = 50;
+    const SNIPPET_RADIUS = 70;
+    const REINDEX_DELAY = 400;
+    const TITLE_BOOST = 3;
+
+    const postings = new Map();        // term -> Map(doc key -> term count)
+    const docs = new Map();            // doc key -> { convId, messageId, role, terms, print }
+    const byConversation = new Map();  // conversation id -> Set(doc key)
+    const stale = new Set();           // conversation ids waiting to be re-indexed
+    let built = false;
+    let reindexTimer = null;
+    let inputTimer = null;
+
+    // ---- Terms ----
+    // Accents are folded so "cafe" finds "café"
+    function terms(text) {
+        return (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    function countTerms(text) {
+        const counts = new Map();
+        terms(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    }
+
+    function fingerprint(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${text.length}.${hash >>> 0}`;
+    }
+
+    // ---- Index ----
+    function addDoc(key, doc) {
+        docs.set(key, doc);
+        doc.terms.forEach((count, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(key, count);
+        });
+    }
+
+    function removeDoc(key) {
+        const doc = docs.get(key);
+        if (!doc) return;
+        doc.terms.forEach((_, term) => {
+            const list = postings.get(term);
+            list.delete(key);
+            if (list.size === 0) postings.delete(term);
+        });
+        docs.delete(key);
+    }
+
+    // Only documents whose text changed are re-tokenized
+    function indexConversation(conv) {
+        const previous = byConversation.get(conv.id) || new Set();
+        const current = new Set();
+        const entries = [
+            { key: `${conv.id}:title`, messageId: null, role: 'title', text: conv.title || '' },
+            ...conv.messages.map(m => ({ key: `${conv.id}:${m.id}`, messageId: m.id, role: m.role, text: m.content || '' })),
+        ];
+        entries.forEach(({ key, messageId, role, text }) => {
+            current.add(key);
+            const print = fingerprint(text);
+            if (docs.get(key)?.print === print) return;
+            removeDoc(key);
+            addDoc(key, { convId: conv.id, messageId, role, terms: countTerms(text), print });
+        });
+        previous.forEach(key => {
+            if (!current.has(key)) removeDoc(key);
+        });
+        byConversation.set(conv.id, current);
+    }
+
+    function removeConversation(id) {
+        (byConversation.get(id) || []).forEach(removeDoc);
+        byConversation.delete(id);
+    }
+
+    // Built on first use; until then changes need no bookkeeping
+    function ensureIndex() {
+        if (built) return;
+        Conversations.loadAll().forEach(indexConversation);
+        built = true;
+    }
+
+    // `id` is the conversation that changed, or null when all of them did
+    function onConversationChange(id) {
+        if (!built) return;
+        if (id === null) {
+            postings.clear();
+            docs.clear();
+            byConversation.clear();
+            stale.clear();
+            built = false;
+        } else {
+            stale.add(id);
+        }
+        // Streaming replies change their conversation on every token
+        clearTimeout(reindexTimer);
+        reindexTimer = setTimeout(reindex, REINDEX_DELAY);
+    }
+
+    function reindex() {
+        ensureIndex();
+        stale.forEach(id => {
+            const conv = Conversations.get(id);
+            if (conv) indexConversation(conv);
+            else removeConversation(id);
+        });
+        stale.clear();
+        if (getInput()?.value.trim()) render();
+    }
+
+    // ---- Query ----
+    // Keys with the term, or with any term starting with it (the word being typed)
+    function lookup(term, prefix) {
+        if (!prefix) return postings.get(term) || new Map();
+        const merged = new Map();
+        postings.forEach((list, candidate) => {
+            if (!candidate.startsWith(term)) return;
+            list.forEach((count, key) => merged.set(key, (merged.get(key) || 0) + count));
+        });
+        return merged;
+    }
+
+    // [{ convId, messageId, role, score }], every query term must match
+    function search(query) {
+        ensureIndex();
+        const queryTerms = [...new Set(terms(query))];
+        if (queryTerms.length === 0) return [];
+        const lists = queryTerms.map((term, i) => lookup(term, i === queryTerms.length - 1));
+        lists.sort((a, b) => a.size - b.size);
+
+        const results = [];
+        lists[0].forEach((_, key) => {
+            if (!lists.every(list => list.has(key))) return;
+            const doc = docs.get(key);
+            let score = 0;
+            lists.forEach(list => {
+                const tf = list.get(key);
+                score += Math.log(1 + docs.size / list.size) * (tf / (tf + 1.2));
+            });
+            if (doc.role === 'title') score *= TITLE_BOOST;
+            results.push({ convId: doc.convId, messageId: doc.messageId, role: doc.role, score });
+        });
+        return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+    }
+
+    // ---- Snippets ----
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // A window of text around the first match, with every match marked
+    function snippet(text, query) {
+        const words = (query.match(/[\p{L}\p{N}_]+/gu) || []).sort((a, b) => b.length - a.length);
+        const flat = text.replace(/\s+/g, ' ').trim();
+        if (words.length === 0) return escapeHtml(flat.slice(0, SNIPPET_RADIUS * 2));
+        const pattern = new RegExp(words.map(escapeRegExp).join('|'), 'giu');
+        const first = flat.search(pattern);
+        const start = Math.max(0, first - SNIPPET_RADIUS);
+        const end = Math.min(flat.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+        const excerpt = flat.slice(start, end);
+        let html = '';
+        let last = 0;
+        for (const match of excerpt.matchAll(pattern)) {
+            html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        html += escapeHtml(excerpt.slice(last));
+        return (start > 0 ? '…' : '') + html + (end < flat.length ? '…' : '');
+    }
+
+    // ---- UI ----
+    function getInput() {
+        return document.getElementById('search-input');
+    }
+
+    function render() {
+        const query = getInput()?.value.trim() || '';
+        const resultsEl = document.getElementById('search-results');
+        const listEl = document.getElementById('conversation-list');
+        if (!resultsEl) return;
+        resultsEl.classList.toggle('hidden', !query);
+        listEl?.classList.toggle('hidden', !!query);
+        if (!query) return;
+
+        const results = search(query);
+        if (results.length === 0) {
+            resultsEl.innerHTML = '<div class="search-empty">No matches</div>';
+            return;
+        }
+        const conversations = new Map();
+        const conversation = id => {
+            if (!conversations.has(id)) conversations.set(id, Conversations.get(id));
+            return conversations.get(id);
+        };
+        resultsEl.innerHTML = results.map(result => {
+            const conv = conversation(result.convId);
+            if (!conv) return '';
+            const message = result.messageId && conv.messages.find(m => m.id === result.messageId);
+            const label = result.role === 'title' ? 'Title' : result.role === 'user' ? 'You' : 'Assistant';
+            const text = message ? snippet(message.content, query) : snippet(conv.title, query);
+            return `
+                <div class="search-result" data-conv="${escapeHtml(result.convId)}" data-message="${escapeHtml(result.messageId || '')}">
+                    <div class="search-result-title">${escapeHtml(conv.title)}</div>
+                    <div class="search-result-snippet"><span class="search-result-role">${label}</span> ${text}</div>
+                </div>`;
+        }).join('');
+    }
+
+    function openResult(el) {
+        const messageId = el.dataset.message || null;
+        App.switchConversation(el.dataset.conv, messageId ? { highlightId: messageId } : {});
+    }
+
+    function focus() {
+        const input = getInput();
+        input?.focus();
+        input?.select();
+    }
+
+    function init() {
+        Conversations.onChange(onConversationChange);
+        const input = getInput();
+        if (!input) return;
+        input.addEventListener('input', () => {
+            clearTimeout(inputTimer);
+            inputTimer = setTimeout(render, 120);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && input.value) {
+                e.stopPropagation();
+                input.value = '';
+                render();
+            } else if (e.key === 'Enter') {
+                const first = document.querySelector('#search-results .search-result');
+                if (first) openResult(first);
+            }
+        });
+        document.getElementById('search-results')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) openResult(item);
+        });
+    }
+
+    return {
+        init,
+        search,
+        focus,
+    };
+})();
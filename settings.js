@@ -13,42 +13,179 @@ const Settings = (() => {
         temperature: 0.7,
         topP: 0.9,
         maxTokens: 4096,
+        contextLimit: 0,
         provider: 'lmstudio',
         darkMode: false,
         researchSpeed: 50,
         crawlDepth: 5,
-        multiModelPrimary: ''
+        multiModelPrimary: '',
+        multiModelDrafts: [],
+        toolsEnabled: false,
+        codeLineNumbers: false,
+        codeWrap: false,
+        embeddingModel: '',
+        ragTopK: 4,
+        ragChunkSize: 1000,
+        retryCount: 2,
+        retryDelay: 1000,
+        fallbacks: [],
+        profiles: [],
+        activeProfileId: ''
     };
 
+    // Fields that belong to a connection profile rather than the app
+    const PROFILE_FIELDS = ['provider', 'apiEndpoint', 'apiKey', 'model', 'embeddingModel', 'temperature', 'topP', 'maxTokens', 'contextLimit'];
+
     const providerPresets = {
-        lmstudio: { apiEndpoint: 'http://localhost:1234/v1', apiKey: '' },
-        anythingllm: { apiEndpoint: 'http://localhost:3001/api/v1', apiKey: '' },
-        openai: { apiEndpoint: '', apiKey: '' },
-        gemini: { apiEndpoint: '', apiKey: '' },
-        groq: { apiEndpoint: '', apiKey: '' },
-        anthropic: { apiEndpoint: '', apiKey: '' },
-        custom: { apiEndpoint: '', apiKey: '' },
+        lmstudio: { apiEndpoint: 'http://localhost:1234/v1' },
+        anythingllm: { apiEndpoint: 'http://localhost:3001/api/v1' },
+        ollama: { apiEndpoint: 'http://localhost:11434' },
+        openai: { apiEndpoint: '' },
+        gemini: { apiEndpoint: '' },
+        groq: { apiEndpoint: '' },
+        anthropic: { apiEndpoint: '' },
+        custom: { apiEndpoint: '' },
     };
 
     // ---- Load / Save ----
-    function load() {
+    function readStored() {
         try {
-            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
-            return { ...defaults, ...stored };
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
         } catch {
-            return { ...defaults };
+            return {};
         }
     }
 
-    function save(settings) {
+    function writeStored(data) {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
         } catch (e) {
             console.error('Failed to save settings:', e);
             Toast.show('Storage error: Settings not saved.', 'error');
         }
     }
 
+    // Returns app settings with the active profile's fields applied on top
+    function load() {
+        return { ...defaults, ...API.getSettings() };
+    }
+
+    // Profile fields go to the active profile; everything else is app-wide
+    function save(settings) {
+        const data = { ...readStored(), ...settings };
+        const profile = (data.profiles || []).find(p => p.id === data.activeProfileId);
+        if (profile) {
+            PROFILE_FIELDS.forEach(key => {
+                if (key in settings) profile[key] = settings[key];
+            });
+        }
+        writeStored(data);
+    }
+
+    // ---- Connection Profiles ----
+    function generateProfileId() {
+        return 'profile_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6);
+    }
+
+    function pickProfileFields(source) {
+        const fields = {};
+        PROFILE_FIELDS.forEach(key => {
+            fields[key] = source[key] ?? defaults[key];
+        });
+        return fields;
+    }
+
+    // Older installs kept a single endpoint/key pair; turn it into the first profile
+    function ensureProfiles() {
+        const data = readStored();
+        if (Array.isArray(data.profiles) && data.profiles.length > 0) {
+            if (!data.profiles.some(p => p.id === data.activeProfileId)) {
+                data.activeProfileId = data.profiles[0].id;
+                writeStored(data);
+            }
+            return;
+        }
+        const profile = { id: generateProfileId(), name: 'Default', ...pickProfileFields({ ...defaults, ...data }) };
+        data.profiles = [profile];
+        data.activeProfileId = profile.id;
+        writeStored(data);
+    }
+
+    function getProfiles() {
+        return readStored().profiles || [];
+    }
+
+    function getActiveProfile() {
+        const data = readStored();
+        return (data.profiles || []).find(p => p.id === data.activeProfileId) || null;
+    }
+
+    function createProfile(name, base = {}) {
+        const data = readStored();
+        const profile = { ...pickProfileFields({ ...defaults, ...base }), id: generateProfileId(), name: name };
+        data.profiles = [...(data.profiles || []), profile];
+        writeStored(data);
+        return profile;
+    }
+
+    function updateProfile(id, updates) {
+        const data = readStored();
+        const profile = (data.profiles || []).find(p => p.id === id);
+        if (!profile) return null;
+        Object.assign(profile, updates, { id });
+        writeStored(data);
+        return profile;
+    }
+
+    function deleteProfile(id) {
+        const data = readStored();
+        if (!data.profiles || data.profiles.length <= 1) return false;
+        data.profiles = data.profiles.filter(p => p.id !== id);
+        if (data.activeProfileId === id) data.activeProfileId = data.profiles[0].id;
+        writeStored(data);
+        return true;
+    }
+
+    async function switchProfile(id) {
+        const data = readStored();
+        if (!(data.profiles || []).some(p => p.id === id)) return;
+        data.activeProfileId = id;
+        writeStored(data);
+
+        populateUI();
+        renderProfileSelectors();
+        const name = document.getElementById('model-name');
+        if (name) name.textContent = 'Connecting…';
+
+        const result = await API.checkConnection();
+        if (result.connected) {
+            populateModelDropdowns(result.models);
+            const s = load();
+            if (s.model) els.modelSelect.value = s.model;
+            updateConnectionStatus(true, result.models.length);
+        } else {
+            updateConnectionStatus(false);
+        }
+    }
+
+    function renderProfileSelectors() {
+        const profiles = getProfiles();
+        const activeId = readStored().activeProfileId;
+        [els.profileSelect, els.profileSwitcher].forEach(select => {
+            if (!select) return;
+            select.innerHTML = '';
+            profiles.forEach(p => {
+                const opt = document.createElement('option');
+                opt.value = p.id;
+                opt.textContent = p.name;
+                select.appendChild(opt);
+            });
+            select.value = activeId;
+        });
+        if (els.profileName) els.profileName.value = getActiveProfile()?.name || '';
+        if (els.btnProfileDelete) els.btnProfileDelete.disabled = profiles.length <= 1;
+    }
+
     // ---- DOM References ----
     let els = {};
 
@@ -58,6 +195,12 @@ const Settings = (() => {
             overlay: document.getElementById('settings-overlay'),
             btnClose: document.getElementById('btn-close-settings'),
             btnOpen: document.getElementById('btn-settings'),
+            profileSelect: document.getElementById('profile-select'),
+            profileSwitcher: document.getElementById('profile-switcher'),
+            profileName: document.getElementById('profile-name'),
+            btnProfileNew: document.getElementById('btn-profile-new'),
+            btnProfileDuplicate: document.getElementById('btn-profile-duplicate'),
+            btnProfileDelete: document.getElementById('btn-profile-delete'),
             endpoint: document.getElementById('api-endpoint'),
             apiKey: document.getElementById('api-key'),
             modelSelect: document.getElementById('model-select'),
@@ -69,6 +212,8 @@ const Settings = (() => {
             valTemperature: document.getElementById('val-temperature'),
             valTopP: document.getElementById('val-top-p'),
             valMaxTokens: document.getElementById('val-max-tokens'),
+            contextLimit: document.getElementById('param-context-limit'),
+            valContextLimit: document.getElementById('val-context-limit'),
             themeToggle: document.getElementById('theme-toggle'),
             presetLMStudio: document.getElementById('preset-lmstudio'),
             presetAnythingLLM: document.getElementById('preset-anythingllm'),
@@ -84,6 +229,18 @@ const Settings = (() => {
             crawlDepth: document.getElementById('crawl-depth'),
             valCrawlDepth: document.getElementById('crawl-depth-val'),
             multiModelSelect: document.getElementById('multi-model-select'),
+            multiModelDrafts: document.getElementById('multi-model-drafts'),
+            toolsEnabled: document.getElementById('tools-enabled'),
+            embeddingModel: document.getElementById('embedding-model'),
+            embeddingModelOptions: document.getElementById('embedding-model-options'),
+            ragTopK: document.getElementById('param-rag-top-k'),
+            valRagTopK: document.getElementById('val-rag-top-k'),
+            ragChunkSize: document.getElementById('param-rag-chunk-size'),
+            valRagChunkSize: document.getElementById('val-rag-chunk-size'),
+            retryCount: document.getElementById('param-retry-count'),
+            valRetryCount: document.getElementById('val-retry-count'),
+            fallbacks: document.getElementById('fallback-endpoints'),
+            toolsList: document.getElementById('tools-list'),
         };
     }
 
@@ -91,6 +248,37 @@ const Settings = (() => {
     function open() {
         els.panel.classList.add('active');
         els.overlay.classList.add('active');
+        renderStorageUsage();
+    }
+
+    // ---- Storage Usage ----
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB', 'TB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+    }
+
+    async function renderStorageUsage() {
+        const el = document.getElementById('storage-usage');
+        if (!el) return;
+        const info = await Conversations.storageInfo();
+        const where = info.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage';
+        const counts = `${info.conversations} conversation${info.conversations !== 1 ? 's' : ''}, ${info.messages} message${info.messages !== 1 ? 's' : ''}`;
+        if (info.usage === null) {
+            el.textContent = `${where} · ${counts}`;
+            return;
+        }
+        const share = info.quota ? Math.min(100, info.usage / info.quota * 100) : 0;
+        const of = info.quota ? ` of ${formatBytes(info.quota)}` : '';
+        el.innerHTML = `
+            <div class="storage-usage-text">${where} · ${counts} · ${formatBytes(info.usage)}${of} used</div>
+            <div class="storage-bar${share > 80 ? ' storage-bar-full' : ''}"><div style="width:${share.toFixed(1)}%"></div></div>`;
     }
 
     function close() {
@@ -103,16 +291,24 @@ const Settings = (() => {
     }
 
     // ---- Populate UI from Settings ----
+    // 0 leaves the window to the server and sends the whole history
+    function contextLimitLabel(value) {
+        return Number(value) > 0 ? String(value) : 'Off';
+    }
+
     function populateUI() {
         const s = load();
         els.endpoint.value = s.apiEndpoint;
         els.apiKey.value = s.apiKey;
         els.systemPrompt.value = s.systemPrompt;
         els.temperature.value = s.temperature;
+        if (els.valTemperature) els.valTemperature.textContent = Number(s.temperature).toFixed(2);
         if (els.topP && s.topP !== undefined) els.topP.value = s.topP;
         if (els.valTopP && s.topP !== undefined) els.valTopP.textContent = Number(s.topP).toFixed(2);
         if (els.maxTokens && s.maxTokens !== undefined) els.maxTokens.value = s.maxTokens;
         if (els.valMaxTokens && s.maxTokens !== undefined) els.valMaxTokens.textContent = s.maxTokens;
+        if (els.contextLimit && s.contextLimit !== undefined) els.contextLimit.value = s.contextLimit;
+        if (els.valContextLimit && s.contextLimit !== undefined) els.valContextLimit.textContent = contextLimitLabel(s.contextLimit);
         
         // New values
         if (els.researchSpeed && s.researchSpeed !== undefined) {
@@ -130,8 +326,25 @@ const Settings = (() => {
             const inlineSelect = document.getElementById('multi-model-select-inline');
             if(inlineSelect) inlineSelect.value = s.multiModelPrimary;
         }
+        selectDraftModels(s.multiModelDrafts);
 
         if (els.themeToggle && s.darkMode !== undefined) els.themeToggle.checked = s.darkMode;
+        if (els.toolsEnabled) els.toolsEnabled.checked = !!s.toolsEnabled;
+        if (els.embeddingModel) els.embeddingModel.value = s.embeddingModel || '';
+        if (els.ragTopK && s.ragTopK !== undefined) {
+            els.ragTopK.value = s.ragTopK;
+            els.valRagTopK.textContent = s.ragTopK;
+        }
+        if (els.ragChunkSize && s.ragChunkSize !== undefined) {
+            els.ragChunkSize.value = s.ragChunkSize;
+            els.valRagChunkSize.textContent = s.ragChunkSize;
+        }
+        if (els.retryCount && s.retryCount !== undefined) {
+            els.retryCount.value = s.retryCount;
+            els.valRetryCount.textContent = s.retryCount;
+        }
+        if (els.fallbacks) els.fallbacks.value = formatFallbacks(s.fallbacks);
+        renderToolsList();
 
         // Set active preset
         document.querySelectorAll('.btn-preset').forEach(b => b.classList.remove('active'));
@@ -149,14 +362,67 @@ const Settings = (() => {
             temperature: els.temperature ? parseFloat(els.temperature.value) : 0.7,
             topP: els.topP ? parseFloat(els.topP.value) : 0.9,
             maxTokens: els.maxTokens ? parseInt(els.maxTokens.value, 10) : 4096,
+            contextLimit: els.contextLimit ? parseInt(els.contextLimit.value, 10) : 0,
             provider: document.querySelector('.btn-preset.active')?.dataset.provider || 'custom',
             darkMode: els.themeToggle ? els.themeToggle.checked : false,
             researchSpeed: els.researchSpeed ? parseInt(els.researchSpeed.value, 10) : 50,
             crawlDepth: els.crawlDepth ? parseInt(els.crawlDepth.value, 10) : 5,
-            multiModelPrimary: els.multiModelSelect ? els.multiModelSelect.value : ''
+            multiModelPrimary: els.multiModelSelect ? els.multiModelSelect.value : '',
+            multiModelDrafts: readDraftModels(),
+            toolsEnabled: els.toolsEnabled ? els.toolsEnabled.checked : false,
+            embeddingModel: els.embeddingModel ? els.embeddingModel.value.trim() : '',
+            ragTopK: els.ragTopK ? parseInt(els.ragTopK.value, 10) : 4,
+            ragChunkSize: els.ragChunkSize ? parseInt(els.ragChunkSize.value, 10) : 1000,
+            retryCount: els.retryCount ? parseInt(els.retryCount.value, 10) : 2,
+            retryDelay: load().retryDelay,
+            fallbacks: els.fallbacks ? parseFallbacks(els.fallbacks.value) : []
         };
     }
 
+    // ---- Draft Models (Multi-Model Synthesis) ----
+    // Until the model list is loaded the select is empty, so keep what was saved
+    function readDraftModels() {
+        if (!els.multiModelDrafts || els.multiModelDrafts.options.length === 0) return load().multiModelDrafts || [];
+        return [...els.multiModelDrafts.selectedOptions].map(opt => opt.value);
+    }
+
+    function selectDraftModels(models) {
+        if (!els.multiModelDrafts) return;
+        [...els.multiModelDrafts.options].forEach(opt => {
+            opt.selected = (models || []).includes(opt.value);
+        });
+    }
+
+    // ---- Fallback Endpoints ----
+    // One per line: "endpoint | model | api key (optional)"
+    function parseFallbacks(text) {
+        return (text || '').split('\n')
+            .map(line => line.split('|').map(part => part.trim()))
+            .filter(([endpoint, model]) => endpoint && model)
+            .map(([endpoint, model, apiKey]) => ({ endpoint, model, apiKey: apiKey || '' }));
+    }
+
+    function formatFallbacks(fallbacks) {
+        return (fallbacks || [])
+            .map(f => [f.endpoint, f.model, f.apiKey].filter(Boolean).join(' | '))
+            .join('\n');
+    }
+
+    // ---- Registered Tools ----
+    function renderToolsList() {
+        if (!els.toolsList) return;
+        els.toolsList.innerHTML = '';
+        Tools.list().forEach(tool => {
+            const item = document.createElement('div');
+            item.className = 'tools-list-item';
+            const name = document.createElement('strong');
+            name.textContent = tool.name;
+            item.appendChild(name);
+            item.appendChild(document.createTextNode(tool.description));
+            els.toolsList.appendChild(item);
+        });
+    }
+
     // ---- Auto-save on Change ----
     function autoSave() {
         const s = readFromUI();
@@ -216,6 +482,27 @@ const Settings = (() => {
             });
             if (currentVal) select.value = currentVal;
         });
+
+        if (els.multiModelDrafts) {
+            const saved = load().multiModelDrafts || [];
+            els.multiModelDrafts.innerHTML = '';
+            // Saved drafts the endpoint no longer lists stay visible so they can be deselected
+            [...new Set([...models.map(m => m.id), ...saved])].forEach(id => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = models.find(m => m.id === id)?.name || id;
+                els.multiModelDrafts.appendChild(opt);
+            });
+            selectDraftModels(saved);
+        }
+
+        // Embedding model is free text; suggest likely candidates first
+        if (els.embeddingModelOptions) {
+            const sorted = [...models].sort((a, b) => /embed/i.test(b.id) - /embed/i.test(a.id));
+            els.embeddingModelOptions.innerHTML = sorted
+                .map(m => `<option value="${m.id.replace(/"/g, '&quot;')}"></option>`)
+                .join('');
+        }
     }
 
     // ---- Connection Status ----
@@ -240,7 +527,9 @@ const Settings = (() => {
     // ---- Initialize ----
     function init() {
         cacheElements();
+        ensureProfiles();
         populateUI();
+        renderProfileSelectors();
 
         const s = load();
         applyTheme(s.darkMode);
@@ -257,15 +546,48 @@ const Settings = (() => {
                 btn.classList.add('active');
                 const provider = btn.dataset.provider;
                 const preset = providerPresets[provider];
+                // Only the endpoint changes; the profile keeps its API key
                 if (preset) {
                     els.endpoint.value = preset.apiEndpoint;
-                    els.apiKey.value = preset.apiKey;
                 }
-                // Hide endpoint for cloud providers if desired, or just show it but empty
                 autoSave();
             });
         });
 
+        // Connection profiles
+        [els.profileSelect, els.profileSwitcher].forEach(select => {
+            select?.addEventListener('change', () => switchProfile(select.value));
+        });
+        els.profileName?.addEventListener('change', () => {
+            const name = els.profileName.value.trim();
+            const active = getActiveProfile();
+            if (!name || !active) return;
+            updateProfile(active.id, { name });
+            renderProfileSelectors();
+        });
+        els.btnProfileNew?.addEventListener('click', () => {
+            const name = prompt('Name for the new connection profile:', 'New Profile');
+            if (!name || !name.trim()) return;
+            const profile = createProfile(name.trim());
+            switchProfile(profile.id);
+            Toast.show(`Profile "${profile.name}" created`, 'success');
+        });
+        els.btnProfileDuplicate?.addEventListener('click', () => {
+            const active = getActiveProfile();
+            if (!active) return;
+            const profile = createProfile(`${active.name} (copy)`, active);
+            switchProfile(profile.id);
+            Toast.show(`Profile "${active.name}" duplicated`, 'success');
+        });
+        els.btnProfileDelete?.addEventListener('click', () => {
+            const active = getActiveProfile();
+            if (!active || getProfiles().length <= 1) return;
+            if (!confirm(`Delete the connection profile "${active.name}"?`)) return;
+            deleteProfile(active.id);
+            switchProfile(readStored().activeProfileId);
+            Toast.show(`Profile "${active.name}" deleted`, 'warning');
+        });
+
         // Range sliders
         els.temperature.addEventListener('input', () => {
             els.valTemperature.textContent = Number(els.temperature.value).toFixed(2);
@@ -279,6 +601,10 @@ const Settings = (() => {
             els.valMaxTokens.textContent = els.maxTokens.value;
             autoSave();
         });
+        els.contextLimit?.addEventListener('input', () => {
+            els.valContextLimit.textContent = contextLimitLabel(els.contextLimit.value);
+            autoSave();
+        });
 
         if (els.researchSpeed) {
             els.researchSpeed.addEventListener('input', () => {
@@ -307,9 +633,23 @@ const Settings = (() => {
                 });
             }
         }
+        els.multiModelDrafts?.addEventListener('change', autoSave);
+
+        els.retryCount?.addEventListener('input', () => {
+            els.valRetryCount.textContent = els.retryCount.value;
+            autoSave();
+        });
+        els.ragTopK?.addEventListener('input', () => {
+            els.valRagTopK.textContent = els.ragTopK.value;
+            autoSave();
+        });
+        els.ragChunkSize?.addEventListener('input', () => {
+            els.valRagChunkSize.textContent = els.ragChunkSize.value;
+            autoSave();
+        });
 
         // Other inputs auto-save on change/blur
-        ['endpoint', 'apiKey', 'systemPrompt'].forEach(key => {
+        ['endpoint', 'apiKey', 'systemPrompt', 'fallbacks', 'embeddingModel'].forEach(key => {
             els[key].addEventListener('change', autoSave);
             els[key].addEventListener('blur', autoSave);
         });
@@ -333,6 +673,9 @@ const Settings = (() => {
             applyTheme(dark);
             autoSave();
         });
+
+        // Tool calling toggle
+        els.toolsEnabled?.addEventListener('change', autoSave);
     }
 
     return {
@@ -345,6 +688,12 @@ const Settings = (() => {
         refreshModels,
         updateConnectionStatus,
         applyTheme,
-        populateModelDropdowns
+        populateModelDropdowns,
+        getProfiles,
+        getActiveProfile,
+        createProfile,
+        updateProfile,
+        deleteProfile,
+        switchProfile
     };
 })();
@@ -0,0 +1,221 @@
+// ============================================================
+// store.js — IndexedDB Persistence for Conversations
+// One record per conversation (without its messages) and one per
+// message; writes are batched and only touch records that changed
+// ============================================================
+
+const Store = (() => {
+    const DB_NAME = 'chatapp';
+    const DB_VERSION = 1;
+    const FLUSH_DELAY = 300;
+    const MAX_RETRY_DELAY = 30000;
+
+    let dbPromise = null;
+    let flushTimer = null;
+    let queue = Promise.resolve();
+    let warned = false;
+    let failures = 0;  // consecutive failed flushes, for the retry backoff
+    const pending = new Map();  // conversation id -> conversation to write, null to delete
+    const written = new Map();  // conversation id -> Map(message id -> fingerprint)
+
+    // ---- IndexedDB ----
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                db.createObjectStore('conversations', { keyPath: 'id' });
+                const messages = db.createObjectStore('messages', { keyPath: 'id' });
+                messages.createIndex('convId', 'convId');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    function promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Writes run one after another so `written` always matches the database
+    function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    // ---- Records ----
+    // Cheap change detection without keeping a second copy of every message
+    function fingerprint(record) {
+        const text = JSON.stringify(record);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${text.length}.${hash >>> 0}`;
+    }
+
+    // Message records carry their conversation id so they can be found again
+    function split(conv) {
+        const { nodes = {}, messages, ...meta } = conv;
+        return { meta, records: Object.values(nodes).map(node => ({ ...node, convId: conv.id })) };
+    }
+
+    function deleteMessagesOf(store, convId) {
+        const req = store.index('convId').openKeyCursor(IDBKeyRange.only(convId));
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    }
+
+    function writeBatch(tx, batch) {
+        const conversations = tx.objectStore('conversations');
+        const messages = tx.objectStore('messages');
+        batch.forEach(([id, conv]) => {
+            if (!conv) {
+                conversations.delete(id);
+                deleteMessagesOf(messages, id);
+                written.delete(id);
+                return;
+            }
+            const { meta, records } = split(conv);
+            const previous = written.get(id) || new Map();
+            const next = new Map();
+            conversations.put(meta);
+            records.forEach(record => {
+                const print = fingerprint(record);
+                next.set(record.id, print);
+                if (previous.get(record.id) !== print) messages.put(record);
+            });
+            previous.forEach((_, messageId) => {
+                if (!next.has(messageId)) messages.delete(messageId);
+            });
+            written.set(id, next);
+        });
+    }
+
+    // ---- Public ----
+    // Every conversation with its `nodes`, in no particular order
+    async function loadAll() {
+        const db = await openDb();
+        const tx = db.transaction(['conversations', 'messages']);
+        const [metas, records] = await Promise.all([
+            promisify(tx.objectStore('conversations').getAll()),
+            promisify(tx.objectStore('messages').getAll()),
+        ]);
+        const byId = new Map(metas.map(meta => [meta.id, { ...meta, nodes: {} }]));
+        records.forEach(({ convId, ...node }) => {
+            const conv = byId.get(convId);
+            if (conv) conv.nodes[node.id] = node;
+        });
+        written.clear();
+        byId.forEach(conv => {
+            written.set(conv.id, new Map(Object.values(conv.nodes).map(node => [node.id, fingerprint({ ...node, convId: conv.id })])));
+        });
+        return [...byId.values()];
+    }
+
+    // Writes everything at once, e.g. conversations moved over from localStorage
+    function putAll(conversations) {
+        return enqueue(async () => {
+            const db = await openDb();
+            const tx = db.transaction(['conversations', 'messages'], 'readwrite');
+            writeBatch(tx, conversations.map(conv => [conv.id, conv]));
+            await transactionDone(tx);
+        });
+    }
+
+    // Saves are collected for a moment, so a streamed reply costs one write
+    // per batch instead of one per token
+    function save(conv) {
+        pending.set(conv.id, conv);
+        scheduleFlush();
+    }
+
+    function remove(id) {
+        pending.set(id, null);
+        scheduleFlush();
+    }
+
+    function scheduleFlush(delay = FLUSH_DELAY) {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, delay);
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (pending.size === 0) return queue;
+        const batch = [...pending];
+        pending.clear();
+        const before = new Map(batch.map(([id]) => [id, written.get(id)]));
+        return enqueue(async () => {
+            const db = await openDb();
+            const tx = db.transaction(['conversations', 'messages'], 'readwrite');
+            writeBatch(tx, batch);
+            await transactionDone(tx);
+            warned = false;
+            failures = 0;
+        }).catch(err => {
+            // Nothing of a failed transaction was written: keep the batch and retry it
+            before.forEach((prints, id) => {
+                if (prints) written.set(id, prints);
+                else written.delete(id);
+            });
+            batch.forEach(([id, conv]) => {
+                if (!pending.has(id)) pending.set(id, conv);
+            });
+            console.error('Saving conversations failed:', err);
+            if (!warned) Toast.show(`Could not save conversations: ${err.message}`, 'error');
+            warned = true;
+            failures++;
+            scheduleFlush(Math.min(FLUSH_DELAY * 2 ** failures, MAX_RETRY_DELAY));
+        });
+    }
+
+    function clear() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pending.clear();
+        return enqueue(async () => {
+            const db = await openDb();
+            const tx = db.transaction(['conversations', 'messages'], 'readwrite');
+            tx.objectStore('conversations').clear();
+            tx.objectStore('messages').clear();
+            await transactionDone(tx);
+            written.clear();
+        });
+    }
+
+    return {
+        open: openDb,
+        loadAll,
+        putAll,
+        save,
+        remove,
+        flush,
+        clear,
+    };
+})();
@@ -0,0 +1,387 @@
+// ============================================================
+// syntax.js — Offline Syntax Highlighting & Language Detection
+// Small state-machine tokenizer per language. Unterminated strings
+// and comments run to the end so partial (streaming) code still
+// highlights correctly.
+// ============================================================
+
+const Syntax = (() => {
+    // Minimum detection score before a guess is used
+    const DETECT_THRESHOLD = 2;
+
+    const NUMBER = /0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?/;
+    const C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/;
+    const DOUBLE_STRING = /"(?:[^"\\\n]|\\.)*(?:"|$)/;
+    const SINGLE_STRING = /'(?:[^'\\\n]|\\.)*(?:'|$)/;
+    const WORD = /[A-Za-z_$][\w$]*/;
+    const WHITESPACE = /\s+/y;
+
+    function words(list) {
+        return new Set(list.split(' '));
+    }
+
+    const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+    const JS_BUILTINS = 'Array Boolean Date Error JSON Map Math Number Object Promise Proxy Reflect RegExp Set String Symbol WeakMap WeakSet console document window globalThis process require module fetch setTimeout clearTimeout parseInt parseFloat';
+
+    // Each language is a set of states; a rule may push a state (`next`)
+    // or leave the current one ('@pop'). Rules of type `word` are
+    // classified against the keyword lists, `embed` hands off to another language.
+    const LANGUAGES = {
+        javascript: {
+            aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+            keywords: words(JS_KEYWORDS),
+            literals: words('true false null undefined NaN Infinity'),
+            builtins: words(JS_BUILTINS),
+            states: {
+                root: [
+                    { type: 'comment', pattern: C_COMMENT },
+                    { type: 'string', pattern: /`(?:[^`\\]|\\[\s\S])*(?:`|$)/ },
+                    { type: 'string', pattern: DOUBLE_STRING },
+                    { type: 'string', pattern: SINGLE_STRING },
+                    // A slash after an operator or at line start begins a regex
+                    { type: 'regex', pattern: /(?<=(?:^|[=(,:;!&|?{}[]|return)\s*)\/(?![*/])(?:[^/\\\n[]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[dgimsuyv]*/ },
+                    { type: 'number', pattern: NUMBER },
+                    { type: 'word', pattern: WORD },
+                    { type: 'operator', pattern: /=>|[+\-*/%=&|^!<>?:~]+/ },
+                    { type: 'punctuation', pattern: /[{}()[\];,.]/ },
+                ],
+            },
+        },
+        typescript: {
+            aliases: ['ts', 'tsx', 'mts', 'cts'],
+            keywords: words(`${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private protected public readonly satisfies type infer is`),
+            literals: words('true false null undefined NaN Infinity'),
+            builtins: words(`${JS_BUILTINS} string number boolean any unknown never void object bigint Record Partial Readonly Pick Omit`),
+            capitalTypes: true,
+            states: null, // filled in from javascript below
+        },
+        python: {
+            aliases: ['py', 'python3', 'py3'],
+            keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda match case nonlocal not or pass raise return try while with yield'),
+            literals: words('True False None'),
+            builtins: words('print len range str int float bool list dict set tuple open type isinstance enumerate zip map filter sorted sum min max abs any all super self cls object Exception ValueError TypeError KeyError input format repr iter next'),
+            capitalTypes: true,
+            states: {
+                root: [
+                    { type: 'comment', pattern: /#.*/ },
+                    { type: 'string', pattern: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/ },
+                    { type: 'string', pattern: /[rRbBuUfF]{0,2}(?:"(?:[^"\\\n]|\\.)*(?:"|$)|'(?:[^'\\\n]|\\.)*(?:'|$))/ },
+                    { type: 'meta', pattern: /@[\w.]+/ },
+                    { type: 'number', pattern: /0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?j?/ },
+                    { type: 'word', pattern: /[A-Za-z_]\w*/ },
+                    { type: 'operator', pattern: /->|[+\-*/%=&|^!<>~:@]+/ },
+                    { type: 'punctuation', pattern: /[{}()[\];,.]/ },
+                ],
+            },
+        },
+        html: {
+            aliases: ['htm', 'xml', 'svg', 'xhtml', 'vue'],
+            states: {
+                root: [
+                    { embed: 'javascript', pattern: /(?<=<script\b[^>]*>\s*)[\s\S]+?(?=<\/script|$)/i },
+                    { embed: 'css', pattern: /(?<=<style\b[^>]*>\s*)[\s\S]+?(?=<\/style|$)/i },
+                    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+                    { type: 'meta', pattern: /<![A-Za-z][^>]*>?|<\?[\s\S]*?(?:\?>|$)/ },
+                    { type: 'tag', pattern: /<\/?[A-Za-z][\w:.-]*/, next: 'tag' },
+                    { type: 'entity', pattern: /&(?:#\d+|#x[\da-fA-F]+|\w+);/ },
+                ],
+                tag: [
+                    { type: 'tag', pattern: /\/?>/, next: '@pop' },
+                    { type: 'attr', pattern: /[^\s"'>/=]+/ },
+                    { type: 'operator', pattern: /=/ },
+                    { type: 'string', pattern: /"[^"]*(?:"|$)|'[^']*(?:'|$)/ },
+                ],
+            },
+        },
+        css: {
+            aliases: ['scss', 'less', 'sass'],
+            states: {
+                root: [
+                    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+                    { type: 'keyword', pattern: /@[\w-]+/ },
+                    { type: 'punctuation', pattern: /\{/, next: 'block' },
+                    { type: 'string', pattern: /"[^"\n]*(?:"|$)|'[^'\n]*(?:'|$)/ },
+                    // Media feature names: @media (max-width: 600px)
+                    { type: 'property', pattern: /(?<=\(\s*)[\w-]+(?=\s*:)/ },
+                    { type: 'selector', pattern: /[.#]?[A-Za-z_-][\w-]*|\*/ },
+                    { type: 'number', pattern: /\d+\.?\d*(?:%|[a-zA-Z]+)?/ },
+                    { type: 'keyword', pattern: /::?[\w-]+/ },
+                    { type: 'punctuation', pattern: /[(),>+~[\]=]/ },
+                ],
+                block: [
+                    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+                    { type: 'punctuation', pattern: /\{/, next: 'block' },
+                    { type: 'punctuation', pattern: /\}/, next: '@pop' },
+                    { type: 'property', pattern: /--[\w-]+|-?[A-Za-z][\w-]*(?=\s*:(?!:))/ },
+                    { type: 'string', pattern: /"[^"\n]*(?:"|$)|'[^'\n]*(?:'|$)/ },
+                    { type: 'number', pattern: /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/ },
+                    { type: 'keyword', pattern: /!important\b|@[\w-]+/ },
+                    { type: 'function', pattern: /[\w-]+(?=\()/ },
+                    { type: 'selector', pattern: /&|[.#][\w-]+/ },
+                    { type: 'punctuation', pattern: /[:;,()]/ },
+                ],
+            },
+        },
+        json: {
+            aliases: ['jsonc', 'json5'],
+            literals: words('true false null'),
+            states: {
+                root: [
+                    { type: 'comment', pattern: C_COMMENT },
+                    { type: 'property', pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/ },
+                    { type: 'string', pattern: DOUBLE_STRING },
+                    { type: 'number', pattern: /-?\d+\.?\d*(?:[eE][+-]?\d+)?/ },
+                    { type: 'word', pattern: /[A-Za-z]+/ },
+                    { type: 'punctuation', pattern: /[{}[\]:,]/ },
+                ],
+            },
+        },
+        bash: {
+            aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript', 'terminal'],
+            keywords: words('if then else elif fi case esac for while until do done in function return local export readonly declare unset break continue select time'),
+            builtins: words('echo printf cd ls pwd cat grep sed awk find xargs sort uniq head tail cp mv rm mkdir rmdir touch chmod chown sudo apt apt-get brew yum dnf pip pip3 npm npx yarn pnpm node python python3 git curl wget tar unzip docker kubectl make ssh scp source exit set test read kill ps which env'),
+            states: {
+                root: [
+                    { type: 'meta', pattern: /^#!.*/ },
+                    { type: 'comment', pattern: /(?<=^|\s)#.*/ },
+                    { type: 'meta', pattern: /(?<=^|\n)[$>] (?=\S)/ },
+                    { type: 'string', pattern: /"(?:[^"\\]|\\[\s\S])*(?:"|$)/ },
+                    { type: 'string', pattern: /'[^']*(?:'|$)/ },
+                    { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*0-9-])/ },
+                    { type: 'attr', pattern: /(?<=\s)--?[\w-]+/ },
+                    { type: 'number', pattern: /\b\d+\b/ },
+                    { type: 'word', pattern: /[A-Za-z_][\w.-]*/ },
+                    { type: 'operator', pattern: /&&|\|\||[|&;<>]=?|=/ },
+                ],
+            },
+        },
+        sql: {
+            aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql', 'tsql'],
+            caseInsensitive: true,
+            keywords: words('select from where and or not insert into values update set delete create table view index drop alter add column primary key foreign references join inner left right full outer cross on as group by order having limit offset union all distinct case when then else end is in like between exists default unique constraint database if begin commit rollback transaction returning with asc desc'),
+            literals: words('null true false'),
+            builtins: words('count sum avg min max coalesce nullif cast now lower upper length substring trim round date int integer bigint smallint varchar char text boolean float real double decimal numeric serial timestamp uuid json jsonb'),
+            states: {
+                root: [
+                    { type: 'comment', pattern: /--.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+                    { type: 'string', pattern: /'(?:[^']|'')*(?:'|$)/ },
+                    { type: 'property', pattern: /"[^"\n]*(?:"|$)|`[^`\n]*(?:`|$)/ },
+                    { type: 'variable', pattern: /[:@$]\w+|\?/ },
+                    { type: 'number', pattern: /\b\d+\.?\d*\b/ },
+                    { type: 'word', pattern: /[A-Za-z_]\w*/ },
+                    { type: 'operator', pattern: /[<>=!]=?|<>|\|\||[+\-*/%]/ },
+                    { type: 'punctuation', pattern: /[(),;.]/ },
+                ],
+            },
+        },
+        go: {
+            aliases: ['golang'],
+            keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+            literals: words('true false nil iota'),
+            builtins: words('append cap close complex copy delete imag len make new panic print println real recover bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any fmt'),
+            states: {
+                root: [
+                    { type: 'comment', pattern: C_COMMENT },
+                    { type: 'string', pattern: /`[^`]*(?:`|$)/ },
+                    { type: 'string', pattern: DOUBLE_STRING },
+                    { type: 'string', pattern: SINGLE_STRING },
+                    { type: 'number', pattern: NUMBER },
+                    { type: 'word', pattern: /[A-Za-z_]\w*/ },
+                    { type: 'operator', pattern: /:=|<-|[+\-*/%=&|^!<>]+/ },
+                    { type: 'punctuation', pattern: /[{}()[\];,.:]/ },
+                ],
+            },
+        },
+        rust: {
+            aliases: ['rs'],
+            keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+            literals: words('true false None Some Ok Err'),
+            builtins: words('i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str String Vec Option Result Box Rc Arc HashMap HashSet'),
+            capitalTypes: true,
+            states: {
+                root: [
+                    { type: 'comment', pattern: C_COMMENT },
+                    { type: 'string', pattern: /b?r#*"[\s\S]*?(?:"#*|$)/ },
+                    { type: 'string', pattern: /b?"(?:[^"\\]|\\[\s\S])*(?:"|$)/ },
+                    { type: 'string', pattern: /b?'(?:[^'\\\n]|\\.)'/ },
+                    { type: 'meta', pattern: /#!?\[[^\]\n]*\]?/ },
+                    { type: 'variable', pattern: /'[A-Za-z_]\w*/ },
+                    { type: 'function', pattern: /[A-Za-z_]\w*!/ },
+                    { type: 'number', pattern: /(?:0x[\da-fA-F_]+|0b[01_]+|0o[0-7_]+|\d[\d_]*\.?[\d_]*(?:[eE][+-]?\d+)?)(?:[iuf](?:8|16|32|64|128|size))?/ },
+                    { type: 'word', pattern: /[A-Za-z_]\w*/ },
+                    { type: 'operator', pattern: /->|=>|::|[+\-*/%=&|^!<>?]+/ },
+                    { type: 'punctuation', pattern: /[{}()[\];,.:]/ },
+                ],
+            },
+        },
+    };
+
+    LANGUAGES.typescript.states = LANGUAGES.javascript.states;
+
+    // Signals used to guess the language of an unlabelled block, with weights
+    const SIGNATURES = {
+        json: [[/^\s*[{[][\s\S]*[}\]]\s*$/, 1], [/^\s*[{[]\s*"[^"]+"\s*:/, 2]],
+        html: [[/<!DOCTYPE html/i, 4], [/<\/?(?:html|head|body|div|span|p|a|ul|li|script|style|section|button|input|form|table)\b[^>]*>/i, 2], [/<\/\w+>/, 1]],
+        css: [[/^\s*[.#:@]?[\w-]+(?:[\s>+~,.#:[\]="\w-]*)\{/m, 1], [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2], [/@media|@import|@keyframes/, 2]],
+        python: [[/^\s*def \w+\(.*\)\s*(?:->\s*[\w[\], ]+)?:\s*$/m, 3], [/^\s*(?:from [\w.]+ )?import \w+(?: as \w+)?\s*$/m, 1], [/^\s*class \w+(?:\(.*\))?:\s*$/m, 3], [/\bself\.\w+/, 2], [/\bprint\(/, 1], [/^\s*(?:elif|except|with) .*:\s*$/m, 2], [/\b(?:None|True|False)\b/, 1], [/^\s*if __name__ == /m, 3]],
+        javascript: [[/\b(?:const|let|var) \w+\s*=/, 2], [/=>/, 1], [/\bfunction\s*\w*\s*\(/, 2], [/console\.\w+\(/, 2], [/\brequire\(['"]|^\s*import .* from ['"]|^\s*export (?:default|const|function)/m, 2], [/\b(?:document|window)\.\w+/, 2], [/===|!==/, 1]],
+        typescript: [[/\b(?:interface|type) \w+(?:<[^>]*>)?\s*(?:=|\{)/, 3], [/\w\s*:\s*(?:string|number|boolean|any|void|unknown)\b/, 3], [/\b(?:public|private|readonly) \w+\s*[:(]/, 2], [/\bas const\b|<\w+>\(/, 1]],
+        bash: [[/^#!.*\b(?:ba|z)?sh\b/, 5], [/^\s*(?:\$ )?(?:sudo|apt(?:-get)?|npm|npx|pip3?|cd|ls|echo|export|git|curl|wget|mkdir|docker|brew|yarn|chmod)\s/m, 2], [/\$\{?\w+\}?/, 1], [/^\s*(?:fi|done|esac)\s*$/m, 3], [/\s--?[a-z][\w-]*/, 1]],
+        sql: [[/\bSELECT\b[\s\S]+?\bFROM\b/i, 3], [/\b(?:INSERT INTO|CREATE TABLE|UPDATE \w+ SET|DELETE FROM|ALTER TABLE|DROP TABLE)\b/i, 4], [/\bWHERE\b/i, 1], [/\b(?:INNER |LEFT |RIGHT )?JOIN\b/i, 1]],
+        go: [[/^package \w+/m, 4], [/\bfunc (?:\(\w+ \*?\w+\) )?\w+\(/, 3], [/:=/, 1], [/\bfmt\.\w+/, 3], [/^import \(/m, 2]],
+        rust: [[/\bfn \w+(?:<[^>]*>)?\(/, 3], [/\blet mut\b/, 3], [/\bimpl\b/, 2], [/\b(?:println|vec|format|panic)!/, 3], [/&str\b|&mut\b/, 2], [/\bpub (?:fn|struct|enum|mod)\b/, 2], [/^\s*use \w+(?:::\w+)+/m, 2]],
+    };
+
+    // Compile every rule once with the sticky flag so it anchors at `lastIndex`
+    Object.values(LANGUAGES).forEach(lang => {
+        Object.values(lang.states).forEach(rules => {
+            rules.forEach(rule => {
+                if (!rule.pattern.sticky) {
+                    rule.pattern = new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y');
+                }
+            });
+        });
+    });
+
+    const aliases = {};
+    Object.entries(LANGUAGES).forEach(([name, lang]) => {
+        aliases[name] = name;
+        lang.aliases.forEach(alias => { aliases[alias] = name; });
+    });
+
+    // ---- Helpers ----
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    function resolve(lang) {
+        return aliases[(lang || '').toLowerCase()] || null;
+    }
+
+    // ---- Detection ----
+    // Best-scoring language for unlabelled code, or null when nothing is convincing
+    function detect(code) {
+        const sample = code.slice(0, 5000);
+        let best = null;
+        let bestScore = 0;
+        Object.entries(SIGNATURES).forEach(([name, signals]) => {
+            let score = signals.reduce((sum, [pattern, weight]) => sum + (pattern.test(sample) ? weight : 0), 0);
+            // TypeScript is JavaScript plus types
+            if (name === 'typescript' && score > 0) score += scoreOf('javascript', sample);
+            if (score > bestScore) {
+                best = name;
+                bestScore = score;
+            }
+        });
+        if (best === 'json') {
+            try {
+                JSON.parse(sample);
+                return 'json';
+            } catch {
+                // Looks like an object literal in some other language
+            }
+        }
+        return bestScore >= DETECT_THRESHOLD ? best : null;
+    }
+
+    function scoreOf(name, sample) {
+        return SIGNATURES[name].reduce((sum, [pattern, weight]) => sum + (pattern.test(sample) ? weight : 0), 0);
+    }
+
+    // ---- Tokenizing ----
+    function classifyWord(lang, word, code, end) {
+        const key = lang.caseInsensitive ? word.toLowerCase() : word;
+        if (lang.keywords?.has(key)) return 'keyword';
+        if (lang.literals?.has(key)) return 'literal';
+        if (lang.builtins?.has(key)) return 'builtin';
+        if (/^\s*\(/.test(code.slice(end, end + 20))) return 'function';
+        if (lang.capitalTypes && /^[A-Z][a-z]/.test(word)) return 'type';
+        return '';
+    }
+
+    // Returns [{ type, value }]; `type` is '' for plain text
+    function tokenize(code, lang) {
+        const tokens = [];
+        const stack = ['root'];
+        let pos = 0;
+
+        const push = (type, value) => {
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === type) last.value += value;
+            else tokens.push({ type, value });
+        };
+
+        while (pos < code.length) {
+            WHITESPACE.lastIndex = pos;
+            const ws = WHITESPACE.exec(code);
+            if (ws) {
+                push('', ws[0]);
+                pos += ws[0].length;
+                continue;
+            }
+
+            let matched = false;
+            for (const rule of lang.states[stack[stack.length - 1]]) {
+                rule.pattern.lastIndex = pos;
+                const m = rule.pattern.exec(code);
+                if (!m || m[0].length === 0) continue;
+                const end = pos + m[0].length;
+                if (rule.embed) {
+                    tokenize(m[0], LANGUAGES[rule.embed]).forEach(t => push(t.type, t.value));
+                } else if (rule.type === 'word') {
+                    push(classifyWord(lang, m[0], code, end), m[0]);
+                } else {
+                    push(rule.type, m[0]);
+                }
+                if (rule.next === '@pop') {
+                    if (stack.length > 1) stack.pop();
+                } else if (rule.next) {
+                    stack.push(rule.next);
+                }
+                pos = end;
+                matched = true;
+                break;
+            }
+            if (!matched) {
+                push('', code[pos]);
+                pos++;
+            }
+        }
+        return tokens;
+    }
+
+    // ---- Rendering ----
+    // One <span class="code-line"> per source line so line numbers (CSS
+    // counters) and wrapping stay aligned. Token spans never cross lines.
+    function renderLines(tokens) {
+        const lines = [''];
+        tokens.forEach(({ type, value }) => {
+            value.split('\n').forEach((part, i) => {
+                if (i > 0) lines.push('');
+                if (!part) return;
+                lines[lines.length - 1] += type ? `<span class="tok-${type}">${escapeHtml(part)}</span>` : escapeHtml(part);
+            });
+        });
+        return lines.map((line, i) => `<span class="code-line">${line}${i < lines.length - 1 ? '\n' : ''}</span>`).join('');
+    }
+
+    // Highlights `code`; `lang` is the fence info (may be empty).
+    // Returns { language, detected, html }
+    function highlight(code, lang) {
+        let language = resolve(lang);
+        let detected = false;
+        if (!language && !lang) {
+            language = detect(code);
+            detected = !!language;
+        }
+        const tokens = language ? tokenize(code, LANGUAGES[language]) : [{ type: '', value: code }];
+        return { language, detected, html: renderLines(tokens) };
+    }
+
+    return {
+        highlight,
+        detect,
+        resolve,
+        tokenize,
+    };
+})();
@@ -0,0 +1,46 @@
+// ============================================================
+// diagram.test.js — Diagram output sanitising
+// Loads markdown.js and diagram.js into a jsdom window and draws
+// DOT sources with the vendored Viz.js build.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadDiagram() {
+    const { window } = new JSDOM('<!DOCTYPE html><head></head><body></body>', { runScripts: 'outside-only' });
+    // jsdom does not fetch scripts, so "loading" the vendor build hands over the node copy
+    window.document.head.appendChild = script => {
+        window.Viz = require(path.join(ROOT, 'vendor', 'viz-global.js'));
+        setTimeout(script.onload, 0);
+        return script;
+    };
+    // One script, as top-level consts in separate evals do not see each other
+    const source = ['markdown.js', 'diagram.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    return window.eval(`${source.join('\n')}\nDiagram;`);
+}
+
+test('Graphviz links with a javascript: URL lose their href', async () => {
+    const Diagram = loadDiagram();
+    const svg = await Diagram.render('digraph { a [URL="javascript:alert(document.cookie)", label="click"] }', 'dot');
+    assert.match(svg, /^<svg/);
+    assert.match(svg, />click</);
+    assert.doesNotMatch(svg, /javascript:/i);
+});
+
+test('Graphviz links with a safe URL are kept', async () => {
+    const Diagram = loadDiagram();
+    const svg = await Diagram.render('digraph { a [URL="https://example.com/", label="site"] }', 'dot');
+    assert.match(svg, /href="https:\/\/example\.com\/"/);
+});
+
+test('Control characters do not hide a javascript: URL', async () => {
+    const Diagram = loadDiagram();
+    const svg = await Diagram.render('digraph { a [URL="java\tscript:alert(1)"] }', 'dot');
+    assert.doesNotMatch(svg, /script:/i);
+});
@@ -0,0 +1,41 @@
+// ============================================================
+// markdown.test.js — Parser limits on hostile input
+// Deep nesting must not overflow the stack and runs of unclosed
+// link tails must not take quadratic time.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'markdown.js'), 'utf8');
+const Markdown = vm.runInNewContext(`${source}\nMarkdown;`);
+
+test('Deeply nested lists and quotes render, with the deepest markers as text', () => {
+    for (const marker of ['- ', '> ', '1. ']) {
+        const html = Markdown.toHtml(`${marker.repeat(5000)}x`);
+        assert.match(html, /x/);
+        assert.ok(html.includes(marker.trim().replace('>', '&gt;')));
+    }
+});
+
+test('Deeply nested emphasis and images render', () => {
+    assert.match(Markdown.toHtml(`${'*a '.repeat(5000)}${'a*'.repeat(5000)}`), /<em>/);
+    assert.match(Markdown.toHtml(`${'![a'.repeat(5000)}${'](b)'.repeat(5000)}`), /md-image-link/);
+});
+
+test('Unclosed link tails are scanned in linear time', () => {
+    for (const tail of ['[a](', '[a](<', '[a](x (']) {
+        const started = Date.now();
+        const html = Markdown.toHtml(tail.repeat(20000));
+        assert.doesNotMatch(html, /<a /);
+        assert.ok(Date.now() - started < 2000, `${tail} took ${Date.now() - started} ms`);
+    }
+});
+
+test('Ordinary links still parse', () => {
+    assert.match(Markdown.toHtml('[a](foo(and(bar)) "t")'), /href="foo\(and\(bar\)\)" title="t"/);
+    assert.match(Markdown.toHtml('[a](<b c>)'), /href="b c"/);
+});
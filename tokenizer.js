@@ -0,0 +1,179 @@
+// ============================================================
+// tokenizer.js — Token Counting & Context-Window Budgeting
+// Byte-pair encoding over tiktoken-format rank tables, with a
+// pre-tokenizer based heuristic when no table is available
+// ============================================================
+
+const Tokenizer = (() => {
+    const TABLE_DIR = 'tokenizers';
+
+    // Per-message framing overhead for chat formats (role markers etc.)
+    const TOKENS_PER_MESSAGE = 4;
+    const TOKENS_PER_REQUEST = 3;
+    // Rough cost of one image content part (a high-detail tile set)
+    const TOKENS_PER_IMAGE = 765;
+
+    const CL100K_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+    const O200K_PATTERN = /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'s|'t|'re|'ve|'m|'ll|'d)?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'s|'t|'re|'ve|'m|'ll|'d)?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+    // Model families and the rank table each one uses. Tables are plain
+    // `.tiktoken` files (base64 token + rank per line) in TABLE_DIR.
+    const families = [
+        { name: 'o200k_base', match: /gpt-4o|gpt-4\.1|gpt-5|chatgpt|(^|[^a-z])o[134](-|$)/i, pattern: O200K_PATTERN },
+        { name: 'cl100k_base', match: /gpt-4|gpt-3\.5|text-embedding-3|ada-002/i, pattern: CL100K_PATTERN },
+        { name: 'llama3', match: /llama-?3/i, pattern: CL100K_PATTERN },
+    ];
+
+    // name → Map(binary string → rank) | 'loading' | 'missing'
+    const tables = {};
+    const cache = new Map();
+    const CACHE_LIMIT = 500;
+    const encoder = new TextEncoder();
+
+    // ---- Tables ----
+    function getFamily(model) {
+        if (!model) return null;
+        return families.find(f => f.match.test(model)) || null;
+    }
+
+    async function loadTable(name) {
+        if (tables[name]) return;
+        tables[name] = 'loading';
+        try {
+            const res = await fetch(`${TABLE_DIR}/${name}.tiktoken`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const text = await res.text();
+            const ranks = new Map();
+            text.split('\n').forEach(line => {
+                const [token, rank] = line.trim().split(' ');
+                if (token && rank !== undefined) ranks.set(atob(token), parseInt(rank, 10));
+            });
+            tables[name] = ranks;
+            cache.clear();
+        } catch {
+            // No table shipped for this family — keep using the estimate
+            tables[name] = 'missing';
+        }
+    }
+
+    function getRanks(model) {
+        const family = getFamily(model);
+        if (!family) return null;
+        const table = tables[family.name];
+        if (table instanceof Map) return table;
+        if (!table) loadTable(family.name);
+        return null;
+    }
+
+    // ---- Byte-Pair Encoding ----
+    function toBinaryString(piece) {
+        const bytes = encoder.encode(piece);
+        let out = '';
+        for (let i = 0; i < bytes.length; i++) out += String.fromCharCode(bytes[i]);
+        return out;
+    }
+
+    function bytePairCount(binary, ranks) {
+        if (ranks.has(binary)) return 1;
+        const parts = binary.split('');
+        while (parts.length > 1) {
+            let bestRank = Infinity;
+            let bestIdx = -1;
+            for (let i = 0; i < parts.length - 1; i++) {
+                const rank = ranks.get(parts[i] + parts[i + 1]);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    bestIdx = i;
+                }
+            }
+            if (bestIdx === -1) break;
+            parts.splice(bestIdx, 2, parts[bestIdx] + parts[bestIdx + 1]);
+        }
+        return parts.length;
+    }
+
+    // ---- Heuristic ----
+    // Short ASCII words are usually one token; longer runs split roughly
+    // every 4 characters, and non-Latin text costs about a token per 3 bytes.
+    function estimatePiece(piece) {
+        if (/^[\x00-\x7F]*$/.test(piece)) {
+            return Math.max(1, Math.ceil(piece.trim().length / 4));
+        }
+        return Math.max(1, Math.ceil(encoder.encode(piece).length / 3));
+    }
+
+    // ---- Counting ----
+    function count(text, model) {
+        if (!text) return 0;
+        const ranks = getRanks(model);
+        const key = (ranks ? 'x:' : 'h:') + (model || '') + ':' + text;
+        if (cache.has(key)) return cache.get(key);
+
+        const pattern = getFamily(model)?.pattern || CL100K_PATTERN;
+        const pieces = text.match(pattern) || [];
+        let total = 0;
+        pieces.forEach(piece => {
+            total += ranks ? bytePairCount(toBinaryString(piece), ranks) : estimatePiece(piece);
+        });
+
+        if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+        cache.set(key, total);
+        return total;
+    }
+
+    // True when counts for this model come from a real BPE table
+    function isExact(model) {
+        return !!getRanks(model);
+    }
+
+    function countMessage(message, model) {
+        if (Array.isArray(message.content)) {
+            return message.content.reduce((sum, part) => {
+                return sum + (part.type === 'text' ? count(part.text, model) : TOKENS_PER_IMAGE);
+            }, TOKENS_PER_MESSAGE);
+        }
+        return TOKENS_PER_MESSAGE + count(message.content || '', model);
+    }
+
+    function countMessages(messages, model) {
+        return messages.reduce((sum, m) => sum + countMessage(m, model), TOKENS_PER_REQUEST);
+    }
+
+    // ---- Context Budgeting ----
+    // Drops the oldest non-system turns until prompt + maxTokens fits in
+    // contextLimit. The latest turn is never cut; when it alone is too big,
+    // `overflow` is set and the request goes out as it is.
+    function fitMessages(messages, { model, contextLimit, maxTokens }) {
+        const budget = (contextLimit || 0) - (maxTokens || 0);
+        const result = { messages, dropped: 0, overflow: false, budget, promptTokens: countMessages(messages, model) };
+        if (!contextLimit || budget <= 0 || result.promptTokens <= budget) return result;
+
+        const system = messages.filter(m => m.role === 'system');
+        const turns = messages.filter(m => m.role !== 'system');
+        let total = result.promptTokens;
+
+        while (total > budget && turns.length > 1) {
+            total -= countMessage(turns.shift(), model);
+            result.dropped++;
+        }
+
+        // Never start the history with a dangling assistant reply
+        while (turns.length > 1 && turns[0].role === 'assistant') {
+            total -= countMessage(turns.shift(), model);
+            result.dropped++;
+        }
+
+        result.messages = [...system, ...turns];
+        result.promptTokens = total;
+        result.overflow = total > budget;
+        return result;
+    }
+
+    return {
+        count,
+        countMessages,
+        isExact,
+        fitMessages,
+        loadTable,
+    };
+})();
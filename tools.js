@@ -0,0 +1,168 @@
+// ============================================================
+// tools.js — Tool Registry for Function Calling
+// Each tool: { name, description, parameters (JSON Schema), handler }
+// ============================================================
+
+const Tools = (() => {
+    const registry = new Map();
+
+    // ---- Registry ----
+    function register(tool) {
+        if (!tool || !tool.name || typeof tool.handler !== 'function') {
+            throw new Error('A tool needs a name and an async handler.');
+        }
+        registry.set(tool.name, {
+            description: '',
+            parameters: { type: 'object', properties: {} },
+            ...tool,
+        });
+    }
+
+    function unregister(name) {
+        registry.delete(name);
+    }
+
+    function get(name) {
+        return registry.get(name) || null;
+    }
+
+    function list() {
+        return [...registry.values()];
+    }
+
+    // Tools to offer the model for the next request (empty when disabled)
+    function getEnabled() {
+        const s = Settings.load();
+        return s.toolsEnabled ? list() : [];
+    }
+
+    // ---- Calculator (no eval) ----
+    const mathFunctions = {
+        sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, log: Math.log10, ln: Math.log, exp: Math.exp,
+    };
+    const mathConstants = { pi: Math.PI, e: Math.E };
+
+    function evaluateExpression(expression) {
+        const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^(),]/gi) || [];
+        if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+            throw new Error('Expression contains unsupported characters.');
+        }
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+
+        function parseSum() {
+            let value = parseProduct();
+            while (peek() === '+' || peek() === '-') {
+                value = next() === '+' ? value + parseProduct() : value - parseProduct();
+            }
+            return value;
+        }
+
+        function parseProduct() {
+            let value = parsePower();
+            while (peek() === '*' || peek() === '/' || peek() === '%') {
+                const op = next();
+                const rhs = parsePower();
+                value = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+            }
+            return value;
+        }
+
+        function parsePower() {
+            const base = parseUnary();
+            if (peek() === '^' || peek() === '**') {
+                next();
+                return Math.pow(base, parsePower());
+            }
+            return base;
+        }
+
+        function parseUnary() {
+            if (peek() === '-') { next(); return -parseUnary(); }
+            if (peek() === '+') { next(); return parseUnary(); }
+            return parseAtom();
+        }
+
+        function parseAtom() {
+            const token = next();
+            if (token === undefined) throw new Error('Unexpected end of expression.');
+            if (token === '(') {
+                const value = parseSum();
+                if (next() !== ')') throw new Error('Missing closing parenthesis.');
+                return value;
+            }
+            if (/^\d/.test(token)) return parseFloat(token);
+            const name = token.toLowerCase();
+            if (Object.hasOwn(mathConstants, name)) return mathConstants[name];
+            if (Object.hasOwn(mathFunctions, name)) {
+                if (next() !== '(') throw new Error(`Expected "(" after ${name}.`);
+                const value = parseSum();
+                if (next() !== ')') throw new Error('Missing closing parenthesis.');
+                return mathFunctions[name](value);
+            }
+            throw new Error(`Unknown symbol "${token}".`);
+        }
+
+        const result = parseSum();
+        if (pos < tokens.length) throw new Error(`Unexpected "${peek()}".`);
+        return result;
+    }
+
+    // ---- Built-in Tools ----
+    register({
+        name: 'get_current_time',
+        description: 'Get the current date, time and time zone of the user.',
+        parameters: { type: 'object', properties: {} },
+        handler: async () => ({
+            iso: new Date().toISOString(),
+            local: new Date().toLocaleString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
+    });
+
+    register({
+        name: 'calculate',
+        description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "(3 + 4) * sqrt(2)"' },
+            },
+            required: ['expression'],
+        },
+        handler: async ({ expression }) => String(evaluateExpression(String(expression || ''))),
+    });
+
+    register({
+        name: 'search_wikipedia',
+        description: 'Search Wikipedia and return the titles and snippets of the top results.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search terms' },
+            },
+            required: ['query'],
+        },
+        handler: async ({ query }) => {
+            const q = encodeURIComponent(String(query || '').substring(0, 100));
+            const res = await fetch(`https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${q}&utf8=&format=json&origin=*`);
+            const data = await res.json();
+            const results = data.query?.search || [];
+            if (results.length === 0) return 'No results found.';
+            return results.slice(0, 5).map(r => ({
+                title: r.title,
+                snippet: r.snippet.replace(/<\/?[^>]+(>|$)/g, ''),
+            }));
+        },
+    });
+
+    return {
+        register,
+        unregister,
+        get,
+        list,
+        getEnabled,
+    };
+})();
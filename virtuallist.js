@@ -0,0 +1,209 @@
+// ============================================================
+// virtuallist.js — Windowed Rendering for Long Lists
+// Mounts only the items near the viewport between two spacers,
+// remembers measured heights, reuses unchanged elements and keeps
+// the visible content still while items above it come and go
+// ============================================================
+
+const VirtualList = (() => {
+    const OVERSCAN = 1200;
+    const DEFAULT_HEIGHT = 160;
+
+    // `options.estimateHeight(item)` guesses the height of items never mounted.
+    // Items are { key, version, render() } where render() returns the HTML of
+    // a single root element; an element is rebuilt only when its version changes.
+    function create(container, options = {}) {
+        const estimateHeight = options.estimateHeight || (() => DEFAULT_HEIGHT);
+        const topSpacer = document.createElement('div');
+        const bottomSpacer = document.createElement('div');
+        topSpacer.className = bottomSpacer.className = 'virtual-spacer';
+
+        let items = [];
+        const heights = new Map();  // key -> measured height incl. margins
+        const mounted = new Map();  // key -> element
+        let frame = null;
+
+        // ---- Geometry ----
+        function heightOf(item) {
+            return heights.get(item.key) ?? estimateHeight(item);
+        }
+
+        function offsets() {
+            const result = [0];
+            items.forEach((item, i) => result.push(result[i] + heightOf(item)));
+            return result;
+        }
+
+        // Scroll offset where the first item starts (container padding etc.)
+        function origin() {
+            return topSpacer.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        }
+
+        function measure(el) {
+            const style = getComputedStyle(el);
+            return el.getBoundingClientRect().height + parseFloat(style.marginTop || 0) + parseFloat(style.marginBottom || 0);
+        }
+
+        function measureMounted() {
+            mounted.forEach((el, key) => heights.set(key, measure(el)));
+        }
+
+        // Programmatic jumps must not be animated by `scroll-behavior: smooth`
+        function setScrollTop(value) {
+            const behavior = container.style.scrollBehavior;
+            container.style.scrollBehavior = 'auto';
+            container.scrollTop = value;
+            container.style.scrollBehavior = behavior;
+        }
+
+        // ---- Anchoring ----
+        // The first mounted element reaching into the viewport, and how far
+        // its top is from the top of the viewport
+        function captureAnchor() {
+            const top = container.getBoundingClientRect().top;
+            for (let el = topSpacer.nextElementSibling; el && el !== bottomSpacer; el = el.nextElementSibling) {
+                const rect = el.getBoundingClientRect();
+                if (rect.bottom > top) return { key: el.dataset.key, offset: rect.top - top };
+            }
+            return null;
+        }
+
+        function restoreAnchor(anchor) {
+            const el = anchor && mounted.get(anchor.key);
+            if (!el) return;
+            const delta = el.getBoundingClientRect().top - container.getBoundingClientRect().top - anchor.offset;
+            if (Math.abs(delta) >= 1) setScrollTop(container.scrollTop + delta);
+        }
+
+        // ---- Mounting ----
+        function attach() {
+            if (topSpacer.parentNode === container) return;
+            container.innerHTML = '';
+            container.append(topSpacer, bottomSpacer);
+            mounted.clear();
+        }
+
+        function createElement(item) {
+            const template = document.createElement('template');
+            template.innerHTML = item.render().trim();
+            const el = template.content.firstElementChild;
+            el.dataset.key = item.key;
+            el.dataset.version = item.version;
+            // Items scrolled back into view should not replay entry animations
+            if (heights.has(item.key)) el.classList.add('virtual-remount');
+            return el;
+        }
+
+        function visibleRange(positions, scrollTop) {
+            const start = scrollTop - origin() - OVERSCAN;
+            const end = scrollTop - origin() + container.clientHeight + OVERSCAN;
+            let first = 0;
+            while (first < items.length - 1 && positions[first + 1] <= start) first++;
+            let last = first;
+            while (last < items.length && positions[last] < end) last++;
+            return [first, Math.max(last, Math.min(first + 1, items.length))];
+        }
+
+        function render(scrollTop = container.scrollTop, anchor = captureAnchor()) {
+            attach();
+            measureMounted();
+            const positions = offsets();
+            const [first, last] = visibleRange(positions, scrollTop);
+
+            const wanted = new Map();
+            for (let i = first; i < last; i++) wanted.set(items[i].key, items[i]);
+            mounted.forEach((el, key) => {
+                if (!wanted.has(key) || el.dataset.version !== wanted.get(key).version) {
+                    el.remove();
+                    mounted.delete(key);
+                }
+            });
+
+            // Unchanged elements stay where they are; only new ones are inserted
+            let cursor = topSpacer.nextSibling;
+            wanted.forEach((item, key) => {
+                let el = mounted.get(key);
+                if (!el) {
+                    el = createElement(item);
+                    mounted.set(key, el);
+                }
+                if (cursor === el) cursor = cursor.nextSibling;
+                else container.insertBefore(el, cursor);
+            });
+
+            measureMounted();
+            const updated = offsets();
+            topSpacer.style.height = `${updated[first]}px`;
+            bottomSpacer.style.height = `${updated[items.length] - updated[last]}px`;
+            restoreAnchor(anchor);
+        }
+
+        function onScroll() {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                render();
+            });
+        }
+        container.addEventListener('scroll', onScroll, { passive: true });
+
+        // ---- Public ----
+        function setItems(next) {
+            const keys = new Set(next.map(item => item.key));
+            [...heights.keys()].forEach(key => {
+                if (!keys.has(key)) heights.delete(key);
+            });
+            items = next;
+            render();
+        }
+
+        function scrollToBottom() {
+            if (items.length === 0) return;
+            const positions = offsets();
+            render(origin() + positions[items.length], null);
+            setScrollTop(container.scrollHeight);
+            // Heights measured on the way down may have moved the end
+            render(container.scrollTop, null);
+            setScrollTop(container.scrollHeight);
+        }
+
+        // { key, offset } of the item at the top of the viewport, for scrollToAnchor
+        function getAnchor() {
+            return captureAnchor();
+        }
+
+        function scrollToAnchor(anchor) {
+            const index = items.findIndex(item => item.key === anchor?.key);
+            if (index === -1) {
+                scrollToBottom();
+                return;
+            }
+            const target = origin() + offsets()[index] - anchor.offset;
+            render(target, null);
+            setScrollTop(target);
+            render(target, null);
+            restoreAnchor(anchor);
+        }
+
+        // Forgets everything, e.g. when the container shows something else
+        function reset() {
+            items = [];
+            heights.clear();
+            mounted.clear();
+            topSpacer.remove();
+            bottomSpacer.remove();
+        }
+
+        return {
+            setItems,
+            scrollToBottom,
+            getAnchor,
+            scrollToAnchor,
+            reset,
+        };
+    }
+
+    return {
+        create,
+    };
+})();